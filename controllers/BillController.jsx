@@ -140,7 +140,7 @@ class BillController {
         const finalAmount = totalAmount - discountAmount;
 
         // Generate bill number
-        const billNumber = await this.billModel.generateBillNumber();
+        const billNumber = await this.billModel.generateBillNumber(tx);
 
         // Create bill
         return await tx.bill.create({
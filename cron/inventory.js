@@ -0,0 +1,37 @@
+const { PrismaClient } = require('@prisma/client');
+const cron = require('node-cron');
+const { notifyLowStock } = require('../utils/lowStock');
+
+const prisma = new PrismaClient();
+
+/**
+ * Find products at or below their reorder level and send alerts for new ones
+ */
+async function checkLowStock() {
+  console.log('Checking for low stock...');
+
+  try {
+    const { lowStock, notified } = await notifyLowStock(prisma);
+    console.log(`Found ${lowStock} low stock items, sent alerts for ${notified}`);
+  } catch (error) {
+    console.error('Error checking low stock:', error);
+  }
+}
+
+/**
+ * Initialize inventory jobs
+ */
+function initializeInventoryJobs() {
+  // Check stock against reorder levels every hour
+  cron.schedule('45 * * * *', () => {
+    checkLowStock();
+  });
+
+  console.log('Inventory jobs initialized successfully');
+  console.log('- Low stock check: Every hour');
+}
+
+module.exports = {
+  initializeInventoryJobs,
+  checkLowStock
+};
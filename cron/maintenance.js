@@ -0,0 +1,103 @@
+const { PrismaClient } = require('@prisma/client');
+const cron = require('node-cron');
+const { cleanupExpiredIdempotencyKeys } = require('../middleware/idempotency');
+const { retryFailedPaymentEvents } = require('../utils/paymentEvents');
+const { expirePaymentLinks } = require('../utils/checkoutSessions');
+const { failStaleImportJobs } = require('../utils/productImport');
+
+const prisma = new PrismaClient();
+
+/**
+ * Delete idempotency keys that are past their expiry
+ */
+async function cleanupIdempotencyKeys() {
+  console.log('Cleaning up expired idempotency keys...');
+
+  try {
+    const count = await cleanupExpiredIdempotencyKeys();
+    console.log(`Removed ${count} expired idempotency keys`);
+  } catch (error) {
+    console.error('Error cleaning up idempotency keys:', error);
+  }
+}
+
+/**
+ * Retry payment provider webhook events that failed to apply
+ */
+async function retryWebhookEvents() {
+  console.log('Retrying failed webhook events...');
+
+  try {
+    const { attempted, succeeded } = await retryFailedPaymentEvents(prisma);
+    console.log(`Retried ${attempted} webhook events, ${succeeded} succeeded`);
+  } catch (error) {
+    console.error('Error retrying webhook events:', error);
+  }
+}
+
+/**
+ * Mark payment links past their expiry as expired and close their checkouts
+ */
+async function expireStalePaymentLinks() {
+  console.log('Expiring stale payment links...');
+
+  try {
+    const count = await expirePaymentLinks(prisma);
+    console.log(`Expired ${count} payment links`);
+  } catch (error) {
+    console.error('Error expiring payment links:', error);
+  }
+}
+
+/**
+ * Fail product imports that stopped with the server
+ */
+async function failStaleImports() {
+  console.log('Checking for stale product imports...');
+
+  try {
+    const count = await failStaleImportJobs(prisma);
+    console.log(`Marked ${count} product imports as failed`);
+  } catch (error) {
+    console.error('Error failing stale product imports:', error);
+  }
+}
+
+/**
+ * Initialize maintenance jobs
+ */
+function initializeMaintenanceJobs() {
+  // Clean up expired idempotency keys every hour
+  cron.schedule('0 * * * *', () => {
+    cleanupIdempotencyKeys();
+  });
+
+  // Retry failed webhook events every 15 minutes
+  cron.schedule('*/15 * * * *', () => {
+    retryWebhookEvents();
+  });
+
+  // Expire stale payment links every hour
+  cron.schedule('30 * * * *', () => {
+    expireStalePaymentLinks();
+  });
+
+  // Fail product imports left running by a restart every 15 minutes
+  cron.schedule('*/15 * * * *', () => {
+    failStaleImports();
+  });
+
+  console.log('Maintenance jobs initialized successfully');
+  console.log('- Idempotency key cleanup: Every hour');
+  console.log('- Webhook event retry: Every 15 minutes');
+  console.log('- Payment link expiry: Every hour');
+  console.log('- Stale product import check: Every 15 minutes');
+}
+
+module.exports = {
+  initializeMaintenanceJobs,
+  cleanupIdempotencyKeys,
+  retryWebhookEvents,
+  expireStalePaymentLinks,
+  failStaleImports
+};
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const MAX_KEY_LENGTH = 255;
+
+// How long a key is remembered, IDEMPOTENCY_KEY_TTL_HOURS (24 hours by default)
+const getKeyTtlMs = () => (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// How long a request may hold its key before a retry may take it over,
+// IDEMPOTENCY_IN_PROGRESS_TIMEOUT_SECONDS (60 seconds by default)
+const getInProgressTimeoutMs = () => (parseInt(process.env.IDEMPOTENCY_IN_PROGRESS_TIMEOUT_SECONDS) || 60) * 1000;
+
+/**
+ * JSON with sorted object keys, so the same payload always hashes the same
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashRequest = (body) => crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+
+/**
+ * Reserve a key for this request. Returns { owner } with the expiry that
+ * marks this request as the key's owner, or { existing } with the stored
+ * record when the key is already used.
+ */
+const reserveKey = async (client, key, scope, requestHash) => {
+  const expiresAt = new Date(Date.now() + getKeyTtlMs());
+
+  try {
+    await client.idempotencyKey.create({
+      data: {
+        key,
+        scope,
+        requestHash,
+        expiresAt
+      }
+    });
+    return { owner: expiresAt };
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+  }
+
+  const existing = await client.idempotencyKey.findUnique({
+    where: { key_scope: { key, scope } }
+  });
+
+  // Expired (or cleaned up in the meantime): free the key and try again
+  if (!existing || existing.expiresAt < new Date()) {
+    await client.idempotencyKey.deleteMany({
+      where: { key, scope, expiresAt: { lt: new Date() } }
+    });
+    return reserveKey(client, key, scope, requestHash);
+  }
+
+  // A request that has held the key this long died or hung without
+  // answering; the retry takes the key over unless another got there first
+  const staleBefore = new Date(Date.now() - getInProgressTimeoutMs());
+  if (existing.status === 'IN_PROGRESS' && existing.requestHash === requestHash && existing.updatedAt < staleBefore) {
+    const taken = await client.idempotencyKey.updateMany({
+      where: { key, scope, status: 'IN_PROGRESS', expiresAt: existing.expiresAt },
+      data: { expiresAt }
+    });
+    if (taken.count > 0) return { owner: expiresAt };
+  }
+
+  return { existing };
+};
+
+/**
+ * Middleware honouring an Idempotency-Key header on a mutating route.
+ * The first request runs normally and its response is stored; a retry with
+ * the same key and body gets the stored response back, and a retry with a
+ * different body is rejected. Requests without the header are untouched.
+ * routeScope may be a function of the request for routes with path parameters.
+ * client defaults to the app's Prisma client.
+ */
+const idempotency = (routeScope, client = prisma) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  const scope = typeof routeScope === 'function' ? routeScope(req) : routeScope;
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: 'Invalid idempotency key',
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req.body);
+    const { owner, existing } = await reserveKey(client, key, scope, requestHash);
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          error: 'Idempotency key reused',
+          message: 'This Idempotency-Key was already used with a different request body'
+        });
+      }
+
+      if (existing.status === 'IN_PROGRESS') {
+        return res.status(409).json({
+          error: 'Request in progress',
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Writes only touch the key while this request still owns it
+    const ownKey = { key, scope, status: 'IN_PROGRESS', expiresAt: owner };
+    let settled = false;
+
+    // Store the response before it goes out so a quick retry can replay it.
+    // Server errors release the key so the request can be retried.
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      const saved = res.statusCode >= 500
+        ? client.idempotencyKey.deleteMany({ where: ownKey })
+        : client.idempotencyKey.updateMany({
+          where: ownKey,
+          data: {
+            status: 'COMPLETED',
+            responseStatus: res.statusCode,
+            responseBody: body
+          }
+        });
+
+      saved
+        .catch((error) => console.error('Error saving idempotency key:', error))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    // Anything else (a file, an empty reply, an error page, a dropped
+    // connection) is not replayable; release the key for a retry
+    const release = () => {
+      if (settled) return;
+      settled = true;
+      client.idempotencyKey.deleteMany({ where: ownKey })
+        .catch((error) => console.error('Error releasing idempotency key:', error));
+    };
+    res.on('finish', release);
+    res.on('close', release);
+
+    next();
+  } catch (error) {
+    console.error('Error checking idempotency key:', error);
+    res.status(500).json({
+      error: 'Failed to check idempotency key',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Remove keys past their expiry
+ */
+const cleanupExpiredIdempotencyKeys = async () => {
+  const result = await prisma.idempotencyKey.deleteMany({
+    where: {
+      expiresAt: { lt: new Date() }
+    }
+  });
+  return result.count;
+};
+
+module.exports = {
+  idempotency,
+  cleanupExpiredIdempotencyKeys
+};
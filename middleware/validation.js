@@ -1,5 +1,6 @@
 // middleware/validation.js
 const { body, query, validationResult } = require('express-validator');
+const { isValidBarcode } = require('../utils/productCodes');
 
 // Generic validation error handler
 const handleValidationErrors = (req, res, next) => {
@@ -30,7 +31,14 @@ const productValidation = {
     body('warrantyInformation').optional().trim(),
     body('shippingInformation').optional().trim(),
     body('returnPolicy').optional().trim(),
-    body('minimumOrderQuantity').optional().isInt({ min: 1 }).withMessage('Minimum order quantity must be at least 1')
+    body('minimumOrderQuantity').optional().isInt({ min: 1 }).withMessage('Minimum order quantity must be at least 1'),
+    body('hsnCode').optional().trim(),
+    body('taxRate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+    body('reorderLevel').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Reorder level must be a non-negative integer'),
+    body('reorderQuantity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Reorder quantity must be at least 1'),
+    body('sku').optional({ nullable: true }).trim(),
+    body('barcode').optional({ nullable: true }).trim()
+      .custom((value) => !value || isValidBarcode(value)).withMessage('Barcode check digit is invalid')
   ],
   
   update: [
@@ -43,7 +51,14 @@ const productValidation = {
     body('thumbnail').optional().isURL().withMessage('Thumbnail must be a valid URL'),
     body('images').optional().isArray().withMessage('Images must be an array'),
     body('rating').optional().isFloat({ min: 0, max: 5 }).withMessage('Rating must be between 0 and 5'),
-    body('tags').optional().isArray().withMessage('Tags must be an array')
+    body('tags').optional().isArray().withMessage('Tags must be an array'),
+    body('hsnCode').optional().trim(),
+    body('taxRate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+    body('reorderLevel').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Reorder level must be a non-negative integer'),
+    body('reorderQuantity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Reorder quantity must be at least 1'),
+    body('sku').optional({ nullable: true }).trim(),
+    body('barcode').optional({ nullable: true }).trim()
+      .custom((value) => !value || isValidBarcode(value)).withMessage('Barcode check digit is invalid')
   ],
 
   query: [
@@ -56,6 +71,18 @@ const productValidation = {
   ]
 };
 
+// Line discounts on cart items; a percentage cannot go over 100
+const itemDiscountRules = [
+  body('items.*.discountType').optional().isIn(['PERCENT', 'FLAT']).withMessage('Discount type must be PERCENT or FLAT'),
+  body('items.*.discountValue').optional().isFloat({ min: 0 }).withMessage('Item discount cannot be negative'),
+  body('items.*.discountValue').optional().custom((value, { req, pathValues }) => {
+    const { discountType } = req.body.items[pathValues[0]];
+    if (parseFloat(value) > 0 && !discountType) throw new Error('Item discount needs a discount type');
+    if (discountType === 'PERCENT' && parseFloat(value) > 100) throw new Error('Item discount percent cannot exceed 100');
+    return true;
+  })
+];
+
 // Bill validation rules
 const billValidation = {
   create: [
@@ -66,25 +93,43 @@ const billValidation = {
     body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
     body('items.*.productId').notEmpty().withMessage('Product ID is required for each item'),
     body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    ...itemDiscountRules,
     body('discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+    body('placeOfSupply').optional().trim(),
     body('paymentMethod').optional().isIn(['CASH', 'CARD', 'UPI', 'BANK_TRANSFER', 'OTHER']),
-    body('paymentStatus').optional().isIn(['PENDING', 'PAID', 'PARTIAL', 'OVERDUE'])
+    body('tenders').optional().isArray().withMessage('Tenders must be an array'),
+    body('tenders.*.method').isIn(['CASH', 'CARD', 'UPI', 'BANK_TRANSFER', 'OTHER']).withMessage('Invalid tender method'),
+    body('tenders.*.amount').isFloat({ gt: 0 }).withMessage('Tender amount must be greater than 0'),
+    body('tenders.*.reference').optional().trim()
   ],
 
   update: [
-    body('paymentStatus').optional().isIn(['PENDING', 'PAID', 'PARTIAL', 'OVERDUE']),
     body('paymentMethod').optional().isIn(['CASH', 'CARD', 'UPI', 'BANK_TRANSFER', 'OTHER'])
   ],
 
+  itemDiscount: itemDiscountRules,
+
   query: [
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
     query('search').optional().trim(),
-    query('status').optional().isIn(['PENDING', 'PAID', 'PARTIAL', 'OVERDUE']),
+    query('status').optional().isIn(['PENDING', 'PAID', 'PARTIAL', 'OVERDUE', 'VOID', 'DRAFT', 'REFUNDED']),
     query('startDate').optional().isISO8601().toDate(),
     query('endDate').optional().isISO8601().toDate()
   ],
 
+  payment: [
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+    body('method').isIn(['CASH', 'CARD', 'UPI', 'BANK_TRANSFER', 'OTHER']).withMessage('Invalid payment method'),
+    body('reference').optional().trim(),
+    body('paidAt').optional().isISO8601().toDate()
+  ],
+
+  void: [
+    body('voidedBy').trim().notEmpty().withMessage('voidedBy is required'),
+    body('reason').trim().notEmpty().withMessage('Void reason is required')
+  ],
+
   dashboardStats: [
     query('startDate').optional().isISO8601().toDate(),
     query('endDate').optional().isISO8601().toDate()
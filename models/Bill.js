@@ -1,5 +1,6 @@
 // models/Bill.js
 const { PrismaClient } = require('@prisma/client');
+const { nextSequenceNumber } = require('../utils/sequence');
 
 class BillModel {
   constructor() {
@@ -78,32 +79,8 @@ class BillModel {
     });
   }
 
-  async generateBillNumber() {
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = String(today.getMonth() + 1).padStart(2, '0');
-    const day = String(today.getDate()).padStart(2, '0');
-    
-    const datePrefix = `BILL${year}${month}${day}`;
-    
-    const lastBill = await this.prisma.bill.findFirst({
-      where: {
-        billNumber: {
-          startsWith: datePrefix
-        }
-      },
-      orderBy: {
-        billNumber: 'desc'
-      }
-    });
-    
-    let sequence = 1;
-    if (lastBill) {
-      const lastSequence = parseInt(lastBill.billNumber.slice(-4));
-      sequence = lastSequence + 1;
-    }
-    
-    return `${datePrefix}${String(sequence).padStart(4, '0')}`;
+  async generateBillNumber(tx = this.prisma) {
+    return await nextSequenceNumber(tx, 'BILL');
   }
 
   async getDashboardStats(dateFilter) {
@@ -112,13 +89,18 @@ class BillModel {
       totalRevenue,
       paidBills,
       pendingBills,
+      voidedBills,
       todayBills,
-      todayRevenue
+      todayRevenue,
+      totalRefunds,
+      todayRefunds,
+      totalDirectRefunds,
+      todayDirectRefunds
     ] = await Promise.all([
-      this.prisma.bill.count({ where: dateFilter }),
+      this.prisma.bill.count({ where: { ...dateFilter, paymentStatus: { not: 'DRAFT' } } }),
       
       this.prisma.bill.aggregate({
-        where: dateFilter,
+        where: { ...dateFilter, paymentStatus: { notIn: ['VOID', 'DRAFT'] } },
         _sum: { finalAmount: true }
       }),
       
@@ -129,6 +111,10 @@ class BillModel {
       this.prisma.bill.count({
         where: { ...dateFilter, paymentStatus: 'PENDING' }
       }),
+
+      this.prisma.bill.count({
+        where: { ...dateFilter, paymentStatus: 'VOID' }
+      }),
       
       this.prisma.bill.count({
         where: {
@@ -144,26 +130,72 @@ class BillModel {
           createdAt: {
             gte: new Date(new Date().setHours(0, 0, 0, 0)),
             lte: new Date(new Date().setHours(23, 59, 59, 999))
-          }
+          },
+          paymentStatus: { notIn: ['VOID', 'DRAFT'] }
         },
         _sum: { finalAmount: true }
+      }),
+
+      // Refunds issued through credit notes
+      this.prisma.creditNote.aggregate({
+        where: dateFilter,
+        _sum: { totalAmount: true }
+      }),
+
+      this.prisma.creditNote.aggregate({
+        where: {
+          createdAt: {
+            gte: new Date(new Date().setHours(0, 0, 0, 0)),
+            lte: new Date(new Date().setHours(23, 59, 59, 999))
+          }
+        },
+        _sum: { totalAmount: true }
+      }),
+
+      // Money refunded without a credit note (voided bills are already out of revenue)
+      this.prisma.refund.aggregate({
+        where: {
+          ...dateFilter,
+          status: 'SUCCEEDED',
+          creditNoteId: null,
+          bill: { paymentStatus: { not: 'VOID' } }
+        },
+        _sum: { amount: true }
+      }),
+
+      this.prisma.refund.aggregate({
+        where: {
+          createdAt: {
+            gte: new Date(new Date().setHours(0, 0, 0, 0)),
+            lte: new Date(new Date().setHours(23, 59, 59, 999))
+          },
+          status: 'SUCCEEDED',
+          creditNoteId: null,
+          bill: { paymentStatus: { not: 'VOID' } }
+        },
+        _sum: { amount: true }
       })
     ]);
 
+    const refundTotal = (totalRefunds._sum.totalAmount || 0) + (totalDirectRefunds._sum.amount || 0);
+    const todayRefundTotal = (todayRefunds._sum.totalAmount || 0) + (todayDirectRefunds._sum.amount || 0);
+
     return {
       totalBills,
-      totalRevenue: totalRevenue._sum.finalAmount || 0,
+      totalRevenue: (totalRevenue._sum.finalAmount || 0) - refundTotal,
+      totalRefunds: refundTotal,
       paidBills,
       pendingBills,
+      voidedBills,
       todayBills,
-      todayRevenue: todayRevenue._sum.finalAmount || 0
+      todayRevenue: (todayRevenue._sum.finalAmount || 0) - todayRefundTotal
     };
   }
 
   async getTopProducts(dateFilter) {
     const topProducts = await this.prisma.billItem.groupBy({
       by: ['productId'],
-      where: { bill: dateFilter },
+      where: { bill: { ...dateFilter, paymentStatus: { notIn: ['VOID', 'DRAFT'] } } },
       _sum: {
         quantity: true,
         totalPrice: true
@@ -0,0 +1,7 @@
+-- AlterEnum
+ALTER TYPE "PaymentStatus" ADD VALUE 'VOID';
+
+-- AlterTable
+ALTER TABLE "bills" ADD COLUMN     "voidReason" TEXT,
+ADD COLUMN     "voidedAt" TIMESTAMP(3),
+ADD COLUMN     "voidedBy" TEXT;
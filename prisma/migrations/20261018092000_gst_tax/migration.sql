@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "hsnCode" TEXT,
+ADD COLUMN     "taxRate" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "bills" ADD COLUMN     "placeOfSupply" TEXT,
+ADD COLUMN     "taxAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "bill_items" ADD COLUMN     "cgstAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "hsnCode" TEXT,
+ADD COLUMN     "igstAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "sgstAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "taxRate" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "taxableAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- Backfill taxable amounts for existing (untaxed) bill items
+UPDATE "bill_items" SET "taxableAmount" = "bill_items"."totalPrice" * (1 - "bills"."discountPercent" / 100)
+FROM "bills" WHERE "bills"."id" = "bill_items"."billId";
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "bills" ADD COLUMN     "amountPaid" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "payments" (
+    "id" TEXT NOT NULL,
+    "billId" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "method" "PaymentMethod" NOT NULL,
+    "reference" TEXT,
+    "paidAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "payments_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_billId_fkey" FOREIGN KEY ("billId") REFERENCES "bills"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill a single payment for bills already marked as paid
+INSERT INTO "payments" ("id", "billId", "amount", "method", "reference", "paidAt")
+SELECT gen_random_uuid()::text, "id", "finalAmount", "paymentMethod", "transactionId", COALESCE("paidAt", "createdAt")
+FROM "bills" WHERE "paymentStatus" = 'PAID';
+
+UPDATE "bills" SET "amountPaid" = "finalAmount" WHERE "paymentStatus" = 'PAID';
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "bills" ADD COLUMN     "changeDue" DOUBLE PRECISION NOT NULL DEFAULT 0;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "document_sequences" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "periodKey" TEXT NOT NULL,
+    "lastValue" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "document_sequences_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "document_sequences_name_periodKey_key" ON "document_sequences"("name", "periodKey");
+
+-- Continue existing daily sequences (BILLyyyymmdd#### and CNyyyymmdd####)
+INSERT INTO "document_sequences" ("id", "name", "periodKey", "lastValue", "updatedAt")
+SELECT gen_random_uuid()::text, 'BILL', substring("billNumber" from 5 for 8), MAX(CAST(right("billNumber", 4) AS INTEGER)), CURRENT_TIMESTAMP
+FROM "bills" WHERE "billNumber" ~ '^BILL[0-9]{12}$'
+GROUP BY substring("billNumber" from 5 for 8);
+
+INSERT INTO "document_sequences" ("id", "name", "periodKey", "lastValue", "updatedAt")
+SELECT gen_random_uuid()::text, 'CREDIT_NOTE', substring("creditNoteNumber" from 3 for 8), MAX(CAST(right("creditNoteNumber", 4) AS INTEGER)), CURRENT_TIMESTAMP
+FROM "credit_notes" WHERE "creditNoteNumber" ~ '^CN[0-9]{12}$'
+GROUP BY substring("creditNoteNumber" from 3 for 8);
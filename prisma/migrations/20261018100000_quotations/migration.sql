@@ -0,0 +1,60 @@
+-- CreateEnum
+CREATE TYPE "QuotationStatus" AS ENUM ('OPEN', 'CONVERTED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "quotations" (
+    "id" TEXT NOT NULL,
+    "quotationNumber" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "totalAmount" DOUBLE PRECISION NOT NULL,
+    "discountPercent" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "discountAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "taxAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "finalAmount" DOUBLE PRECISION NOT NULL,
+    "placeOfSupply" TEXT,
+    "notes" TEXT,
+    "validUntil" TIMESTAMP(3) NOT NULL,
+    "status" "QuotationStatus" NOT NULL DEFAULT 'OPEN',
+    "billId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "quotations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "quotation_items" (
+    "id" TEXT NOT NULL,
+    "quotationId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "unitPrice" DOUBLE PRECISION NOT NULL,
+    "totalPrice" DOUBLE PRECISION NOT NULL,
+    "hsnCode" TEXT,
+    "taxableAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "taxRate" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "cgstAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "sgstAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "igstAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "quotation_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "quotations_quotationNumber_key" ON "quotations"("quotationNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "quotations_billId_key" ON "quotations"("billId");
+
+-- AddForeignKey
+ALTER TABLE "quotations" ADD CONSTRAINT "quotations_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "customers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quotations" ADD CONSTRAINT "quotations_billId_fkey" FOREIGN KEY ("billId") REFERENCES "bills"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quotation_items" ADD CONSTRAINT "quotation_items_quotationId_fkey" FOREIGN KEY ("quotationId") REFERENCES "quotations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quotation_items" ADD CONSTRAINT "quotation_items_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
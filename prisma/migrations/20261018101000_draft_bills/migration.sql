@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "PaymentStatus" ADD VALUE 'DRAFT';
+
+-- AlterTable
+ALTER TABLE "bills" ALTER COLUMN "billNumber" DROP NOT NULL;
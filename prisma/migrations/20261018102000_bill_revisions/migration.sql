@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "bill_revisions" (
+    "id" TEXT NOT NULL,
+    "billId" TEXT NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "snapshot" JSONB NOT NULL,
+    "editedBy" TEXT,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "bill_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bill_revisions_billId_revision_key" ON "bill_revisions"("billId", "revision");
+
+-- AddForeignKey
+ALTER TABLE "bill_revisions" ADD CONSTRAINT "bill_revisions_billId_fkey" FOREIGN KEY ("billId") REFERENCES "bills"("id") ON DELETE CASCADE ON UPDATE CASCADE;
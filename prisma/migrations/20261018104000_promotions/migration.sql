@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "PromotionType" AS ENUM ('BUY_X_GET_Y', 'BUNDLE', 'TIERED');
+
+-- CreateTable
+CREATE TABLE "promotions" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "PromotionType" NOT NULL,
+    "productIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "categories" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "brands" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "tags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "minQuantity" INTEGER NOT NULL DEFAULT 0,
+    "minAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "buyQuantity" INTEGER,
+    "getQuantity" INTEGER,
+    "getDiscountPercent" DOUBLE PRECISION NOT NULL DEFAULT 100,
+    "bundleQuantity" INTEGER,
+    "bundlePrice" DOUBLE PRECISION,
+    "tiers" JSONB,
+    "stackable" BOOLEAN NOT NULL DEFAULT false,
+    "validFrom" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "validUntil" TIMESTAMP(3),
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "promotions_pkey" PRIMARY KEY ("id")
+);
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "bills" ADD COLUMN     "stripeSessionId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bills_stripeSessionId_key" ON "bills"("stripeSessionId");
@@ -0,0 +1,35 @@
+-- AlterEnum
+ALTER TYPE "PaymentStatus" ADD VALUE 'REFUNDED';
+
+-- CreateEnum
+CREATE TYPE "PaymentRecordStatus" AS ENUM ('SUCCEEDED', 'FAILED', 'REFUNDED', 'DISPUTED');
+
+-- CreateEnum
+CREATE TYPE "WebhookEventStatus" AS ENUM ('PROCESSED', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "bills" ADD COLUMN     "disputedAt" TIMESTAMP(3),
+ADD COLUMN     "refundedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "failureReason" TEXT,
+ADD COLUMN     "refundedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "status" "PaymentRecordStatus" NOT NULL DEFAULT 'SUCCEEDED';
+
+-- CreateTable
+CREATE TABLE "webhook_events" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" "WebhookEventStatus" NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 1,
+    "lastError" TEXT,
+    "payload" JSONB NOT NULL,
+    "processedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "webhook_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "webhook_events_status_idx" ON "webhook_events"("status");
@@ -0,0 +1,21 @@
+-- CreateEnum
+CREATE TYPE "PaymentProvider" AS ENUM ('STRIPE', 'RAZORPAY', 'FAKE');
+
+-- AlterTable
+ALTER TABLE "bills" RENAME COLUMN "stripeSessionId" TO "checkoutSessionId";
+ALTER TABLE "bills" ADD COLUMN     "paymentProvider" "PaymentProvider";
+
+-- RenameIndex
+ALTER INDEX "bills_stripeSessionId_key" RENAME TO "bills_checkoutSessionId_key";
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "provider" "PaymentProvider";
+
+-- AlterTable
+ALTER TABLE "webhook_events" ADD COLUMN     "provider" "PaymentProvider" NOT NULL DEFAULT 'STRIPE';
+
+-- Everything taken online so far went through Stripe
+UPDATE "payments" SET "provider" = 'STRIPE' WHERE "method" = 'CARD' AND "reference" LIKE 'pi\_%';
+UPDATE "bills" SET "paymentProvider" = 'STRIPE'
+WHERE "checkoutSessionId" IS NOT NULL
+   OR "id" IN (SELECT "billId" FROM "payments" WHERE "provider" = 'STRIPE');
@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "PaymentLinkStatus" AS ENUM ('SENT', 'OPENED', 'PAID', 'EXPIRED');
+
+-- CreateTable
+CREATE TABLE "payment_links" (
+    "id" TEXT NOT NULL,
+    "token" TEXT NOT NULL,
+    "billId" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION,
+    "status" "PaymentLinkStatus" NOT NULL DEFAULT 'SENT',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "sentTo" TEXT,
+    "createdBy" TEXT,
+    "checkoutSessionId" TEXT,
+    "openedAt" TIMESTAMP(3),
+    "paidAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "payment_links_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payment_links_token_key" ON "payment_links"("token");
+
+-- CreateIndex
+CREATE INDEX "payment_links_billId_idx" ON "payment_links"("billId");
+
+-- CreateIndex
+CREATE INDEX "payment_links_checkoutSessionId_idx" ON "payment_links"("checkoutSessionId");
+
+-- CreateIndex
+CREATE INDEX "payment_links_status_expiresAt_idx" ON "payment_links"("status", "expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "payment_links" ADD CONSTRAINT "payment_links_billId_fkey" FOREIGN KEY ("billId") REFERENCES "bills"("id") ON DELETE CASCADE ON UPDATE CASCADE;
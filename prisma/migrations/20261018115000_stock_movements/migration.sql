@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "StockMovementReason" AS ENUM ('SALE', 'RETURN', 'ADJUSTMENT', 'PURCHASE', 'TRANSFER');
+
+-- CreateTable
+CREATE TABLE "stock_movements" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "delta" INTEGER NOT NULL,
+    "reason" "StockMovementReason" NOT NULL,
+    "referenceType" TEXT,
+    "referenceId" TEXT,
+    "note" TEXT,
+    "createdBy" TEXT,
+    "balance" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stock_movements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "stock_movements_productId_createdAt_idx" ON "stock_movements"("productId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "stock_movements_referenceType_referenceId_idx" ON "stock_movements"("referenceType", "referenceId");
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Start every product's history from its current count
+INSERT INTO "stock_movements" ("id", "productId", "delta", "reason", "note", "balance")
+SELECT gen_random_uuid()::text, "id", "stock", 'ADJUSTMENT', 'Opening balance', "stock"
+FROM "products"
+WHERE "stock" <> 0;
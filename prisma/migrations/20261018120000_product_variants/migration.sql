@@ -0,0 +1,49 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "optionAxes" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "product_variants" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "options" JSONB NOT NULL,
+    "sku" TEXT,
+    "barcode" TEXT,
+    "price" DOUBLE PRECISION,
+    "stock" INTEGER NOT NULL DEFAULT 0,
+    "availabilityStatus" TEXT NOT NULL DEFAULT 'In Stock',
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "product_variants_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "bill_items" ADD COLUMN     "variantId" TEXT;
+
+-- AlterTable
+ALTER TABLE "quotation_items" ADD COLUMN     "variantId" TEXT;
+
+-- AlterTable
+ALTER TABLE "stock_movements" ADD COLUMN     "variantId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_variants_sku_key" ON "product_variants"("sku");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_variants_barcode_key" ON "product_variants"("barcode");
+
+-- CreateIndex
+CREATE INDEX "product_variants_productId_idx" ON "product_variants"("productId");
+
+-- AddForeignKey
+ALTER TABLE "product_variants" ADD CONSTRAINT "product_variants_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bill_items" ADD CONSTRAINT "bill_items_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "product_variants"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "quotation_items" ADD CONSTRAINT "quotation_items_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "product_variants"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "product_variants"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "barcode" TEXT,
+ADD COLUMN     "sku" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "products_sku_key" ON "products"("sku");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "products_barcode_key" ON "products"("barcode");
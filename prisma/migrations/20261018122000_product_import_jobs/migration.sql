@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "ImportJobStatus" AS ENUM ('PENDING', 'RUNNING', 'COMPLETED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "product_import_jobs" (
+    "id" TEXT NOT NULL,
+    "fileName" TEXT,
+    "format" TEXT NOT NULL,
+    "dryRun" BOOLEAN NOT NULL DEFAULT false,
+    "createdBy" TEXT,
+    "status" "ImportJobStatus" NOT NULL DEFAULT 'PENDING',
+    "totalRows" INTEGER NOT NULL DEFAULT 0,
+    "processedRows" INTEGER NOT NULL DEFAULT 0,
+    "createdCount" INTEGER NOT NULL DEFAULT 0,
+    "updatedCount" INTEGER NOT NULL DEFAULT 0,
+    "failedCount" INTEGER NOT NULL DEFAULT 0,
+    "rowErrors" JSONB,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "product_import_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "product_import_jobs_status_idx" ON "product_import_jobs"("status");
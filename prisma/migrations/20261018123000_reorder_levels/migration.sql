@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN     "lowStockAlertedAt" TIMESTAMP(3),
+ADD COLUMN     "reorderLevel" INTEGER,
+ADD COLUMN     "reorderQuantity" INTEGER;
+
+-- AlterTable
+ALTER TABLE "product_variants" ADD COLUMN     "lowStockAlertedAt" TIMESTAMP(3);
@@ -0,0 +1,3 @@
+-- A UPI transaction number pays one bill once; a failed attempt does not
+-- hold it. Prisma cannot declare partial indexes, so this one lives here only.
+CREATE UNIQUE INDEX "payments_upi_reference_key" ON "payments"("reference") WHERE "method" = 'UPI' AND "status" <> 'FAILED' AND "reference" IS NOT NULL;
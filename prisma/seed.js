@@ -1,4 +1,5 @@
 const { PrismaClient } = require('@prisma/client');
+const { nextSequenceNumber } = require('../utils/sequence');
 const prisma = new PrismaClient();
 
 const sampleProducts = [
@@ -112,7 +113,15 @@ const sampleProducts = [
     warrantyInformation: "No warranty",
     shippingInformation: "Standard shipping",
     returnPolicy: "30 days return",
-    availabilityStatus: "In Stock"
+    availabilityStatus: "In Stock",
+    optionAxes: ["size"],
+    variants: {
+      create: ["28", "30", "32", "34", "36"].map((size) => ({
+        options: { size },
+        sku: `LEVI-501-${size}`,
+        stock: 40
+      }))
+    }
   },
   {
     title: "Canon EOS R5 Camera",
@@ -169,8 +178,11 @@ async function main() {
 
   // Clear existing data (optional - be careful in production!)
   console.log('🗑️ Clearing existing data...');
+  await prisma.quotation.deleteMany({});
+  await prisma.creditNote.deleteMany({});
   await prisma.billItem.deleteMany({});
   await prisma.bill.deleteMany({});
+  await prisma.productVariant.deleteMany({});
   await prisma.product.deleteMany({});
   await prisma.customer.deleteMany({});
 
@@ -221,35 +233,6 @@ async function main() {
   // Create sample bills
   console.log('🧾 Creating sample bills...');
   
-  // Generate bill number function (same as in routes)
-  const generateBillNumber = async () => {
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = String(today.getMonth() + 1).padStart(2, '0');
-    const day = String(today.getDate()).padStart(2, '0');
-    
-    const datePrefix = `BILL${year}${month}${day}`;
-    
-    const lastBill = await prisma.bill.findFirst({
-      where: {
-        billNumber: {
-          startsWith: datePrefix
-        }
-      },
-      orderBy: {
-        billNumber: 'desc'
-      }
-    });
-    
-    let sequence = 1;
-    if (lastBill) {
-      const lastSequence = parseInt(lastBill.billNumber.slice(-4));
-      sequence = lastSequence + 1;
-    }
-    
-    return `${datePrefix}${String(sequence).padStart(4, '0')}`;
-  };
-
   // Create a few sample bills
   for (let i = 0; i < 3; i++) {
     const customer = createdCustomers[i];
@@ -272,7 +255,7 @@ async function main() {
     const discountPercent = i * 5; // 0%, 5%, 10% discount
     const discountAmount = (totalAmount * discountPercent) / 100;
     const finalAmount = totalAmount - discountAmount;
-    const billNumber = await generateBillNumber();
+    const billNumber = await nextSequenceNumber(prisma, 'BILL');
 
     const bill = await prisma.bill.create({
       data: {
@@ -284,8 +267,12 @@ async function main() {
         finalAmount,
         paymentStatus: i === 0 ? 'PAID' : 'PENDING',
         paymentMethod: 'CASH',
+        amountPaid: i === 0 ? finalAmount : 0,
         items: {
           create: billItems
+        },
+        payments: {
+          create: i === 0 ? [{ amount: finalAmount, method: 'CASH' }] : []
         }
       },
       include: {
@@ -1,6 +1,19 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
+const { idempotency } = require('../middleware/idempotency');
+const { restockItems, getRestockedQuantities } = require('../utils/stock');
+const { lockBill } = require('../utils/locks');
+const { roundAmount, buildTaxBreakdown } = require('../utils/tax');
+const { withBalance, recordPayment, isDuplicateUpiReference } = require('../utils/payments');
+const { closeOpenCheckouts } = require('../utils/checkoutSessions');
+const { issueRefund } = require('../utils/refunds');
+const { UPI_REFERENCE_PATTERN, buildUpiIntent, renderUpiQr } = require('../utils/upi');
+const { findOrCreateCustomer, toCartItems, createBill, createDraftBill, updateDraftBill, finalizeDraftBill, reviseBill } = require('../utils/billing');
+const { releaseCoupon } = require('../utils/discounts');
+const { renderInvoicePdf } = require('../utils/invoice');
+const { PAPER_COLUMNS, buildReceiptLines, renderReceiptText, renderReceiptEscPos } = require('../utils/receipt');
+const { billValidation } = require('../middleware/validation');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -17,42 +30,12 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Generate unique bill number
-const generateBillNumber = async () => {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-  const day = String(today.getDate()).padStart(2, '0');
-  
-  const datePrefix = `BILL${year}${month}${day}`;
-  
-  // Find the last bill of today
-  const lastBill = await prisma.bill.findFirst({
-    where: {
-      billNumber: {
-        startsWith: datePrefix
-      }
-    },
-    orderBy: {
-      billNumber: 'desc'
-    }
-  });
-  
-  let sequence = 1;
-  if (lastBill) {
-    const lastSequence = parseInt(lastBill.billNumber.slice(-4));
-    sequence = lastSequence + 1;
-  }
-  
-  return `${datePrefix}${String(sequence).padStart(4, '0')}`;
-};
-
 // GET /api/bills - Get all bills with pagination
 router.get('/', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('search').optional().trim(),
-  query('status').optional().isIn(['PENDING', 'PAID', 'PARTIAL', 'OVERDUE']),
+  query('status').optional().isIn(['PENDING', 'PAID', 'PARTIAL', 'OVERDUE', 'VOID', 'DRAFT', 'REFUNDED']),
   query('startDate').optional().isISO8601().toDate(),
   query('endDate').optional().isISO8601().toDate()
 ], handleValidationErrors, async (req, res) => {
@@ -80,8 +63,11 @@ router.get('/', [
       ];
     }
     
+    // Held drafts are only listed when asked for
     if (status) {
       where.paymentStatus = status;
+    } else {
+      where.paymentStatus = { not: 'DRAFT' };
     }
 
     if (startDate && endDate) {
@@ -111,7 +97,8 @@ router.get('/', [
         customer: true,
         items: {
           include: {
-            product: true
+            product: true,
+            variant: true
           }
         }
       },
@@ -121,7 +108,7 @@ router.get('/', [
     });
 
     res.json({
-      bills,
+      bills: bills.map(withBalance),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -138,221 +125,81 @@ router.get('/', [
   }
 });
 
-// GET /api/bills/:id - Get single bill
-router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const bill = await prisma.bill.findUnique({
-      where: { id },
-      include: {
-        customer: true,
-        items: {
-          include: {
-            product: true
-          }
-        }
-      }
-    });
-
-    if (!bill) {
-      return res.status(404).json({
-        error: 'Bill not found',
-        message: 'The requested bill does not exist'
-      });
-    }
-
-    res.json({ bill });
-  } catch (error) {
-    console.error('Error fetching bill:', error);
-    res.status(500).json({
-      error: 'Failed to fetch bill',
-      message: error.message
-    });
-  }
-});
+// Stats routes are registered before /:id so "stats" is not taken for a bill ID
 
-// POST /api/bills - Create new bill
-router.post('/', [
-  body('id').trim().notEmpty().withMessage('id is required'),
-  body('customerName').trim().notEmpty().withMessage('Customer name is required'),
-  body('mobileNumber').trim().notEmpty().withMessage('Mobile number is required'),
-  body('email').optional().isEmail().withMessage('Invalid email format'),
-  body('address').optional().trim(),
-  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
-  body('items.*.productId').notEmpty().withMessage('Product ID is required for each item'),
-  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
-  body('paymentMethod').optional().isIn(['CASH', 'CARD', 'UPI', 'BANK_TRANSFER', 'OTHER']),
-  body('paymentStatus').optional().isIn(['PENDING', 'PAID', 'PARTIAL', 'OVERDUE'])
+// GET /api/bills/stats/payments - Collections by payment method for reconciliation
+router.get('/stats/payments', [
+  query('startDate').optional().isISO8601().toDate(),
+  query('endDate').optional().isISO8601().toDate()
 ], handleValidationErrors, async (req, res) => {
   try {
-    const {
-      id,
-      customerName,
-      mobileNumber,
-      email,
-      address,
-      items,
-      discountPercent = 0,
-      paymentMethod = 'CASH',
-      paymentStatus = 'PENDING'
-    } = req.body;
-
-    // Start transaction
-    const result = await prisma.$transaction(async (tx) => {
-      // Check if customer exists, if not create new one
-      let customer = await tx.customer.findFirst({
-        where: {
-          AND: [
-            { name: customerName },
-            { mobileNumber: mobileNumber }
-          ]
-        }
-      });
-
-      if (!customer) {
-        customer = await tx.customer.create({
-          data: {
-            name: customerName,
-            mobileNumber: mobileNumber,
-            email: email || null,
-            address: address || null
-          }
-        });
-      }
-
-      // Validate products and calculate amounts
-      let totalAmount = 0;
-      const billItems = [];
-
-      for (const item of items) {
-        const product = await tx.product.findUnique({
-          where: { id: item.productId }
-        });
+    const { startDate, endDate } = req.query;
 
-        if (!product) {
-          throw new Error(`Product with ID ${item.productId} not found`);
-        }
+    // Default to today
+    const paidAt = {
+      gte: startDate ? new Date(startDate) : new Date(new Date().setHours(0, 0, 0, 0)),
+      lte: endDate ? new Date(endDate) : new Date(new Date().setHours(23, 59, 59, 999))
+    };
 
-        if (product.stock < item.quantity) {
-          throw new Error(`Insufficient stock for product ${product.title}. Available: ${product.stock}, Requested: ${item.quantity}`);
+    const totals = await prisma.payment.groupBy({
+      by: ['method'],
+      where: {
+        paidAt,
+        status: { not: 'FAILED' },
+        bill: {
+          paymentStatus: { not: 'VOID' }
         }
-
-        const itemTotal = product.price * item.quantity;
-        totalAmount += itemTotal;
-
-        billItems.push({
-          productId: item.productId,
-          quantity: item.quantity,
-          unitPrice: product.price,
-          totalPrice: itemTotal
-        });
-
-        // Update product stock
-        await tx.product.update({
-          where: { id: item.productId },
-          data: {
-            stock: product.stock - item.quantity,
-            availabilityStatus: (product.stock - item.quantity) > 0 ? 'In Stock' : 'Out of Stock'
-          }
-        });
+      },
+      _sum: {
+        amount: true
+      },
+      _count: {
+        _all: true
       }
-
-      // Calculate final amounts
-      const discountAmount = (totalAmount * discountPercent) / 100;
-      const finalAmount = totalAmount - discountAmount;
-
-      // Generate bill number
-      const billNumber = await generateBillNumber();
-
-      // Create bill
-      const bill = await tx.bill.create({
-        data: {
-          id,
-          billNumber,
-          customerId: customer.id,
-          totalAmount,
-          discountPercent,
-          discountAmount,
-          finalAmount,
-          paymentMethod,
-          paymentStatus :"PAID",
-          items: {
-            create: billItems
-          }
-        },
-        include: {
-          customer: true,
-          items: {
-            include: {
-              product: true
-            }
-          }
-        }
-      });
-
-      return bill;
-    });
-
-    res.status(201).json({
-      message: 'Bill created successfully',
-      bill: result
-    });
-  } catch (error) {
-    console.error('Error creating bill:', error);
-    res.status(500).json({
-      error: 'Failed to create bill',
-      message: error.message
     });
-  }
-});
 
-// PUT /api/bills/:id - Update bill (mainly payment status)
-router.put('/:id', [
-  body('paymentStatus').optional().isIn(['PENDING', 'PAID', 'PARTIAL', 'OVERDUE']),
-  body('paymentMethod').optional().isIn(['CASH', 'CARD', 'UPI', 'BANK_TRANSFER', 'OTHER'])
-], handleValidationErrors, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { paymentStatus, paymentMethod } = req.body;
-    
-    const existingBill = await prisma.bill.findUnique({
-      where: { id }
+    // Money handed back in the same period, so the drawer can be reconciled
+    const refundTotals = await prisma.refund.groupBy({
+      by: ['method'],
+      where: {
+        createdAt: paidAt,
+        status: 'SUCCEEDED'
+      },
+      _sum: {
+        amount: true
+      },
+      _count: {
+        _all: true
+      }
     });
 
-    if (!existingBill) {
-      return res.status(404).json({
-        error: 'Bill not found',
-        message: 'The requested bill does not exist'
-      });
-    }
+    const byMethod = totals.map((total) => ({
+      method: total.method,
+      amount: roundAmount(total._sum.amount || 0),
+      count: total._count._all
+    }));
 
-    const updateData = {};
-    if (paymentStatus) updateData.paymentStatus = paymentStatus;
-    if (paymentMethod) updateData.paymentMethod = paymentMethod;
+    const refundsByMethod = refundTotals.map((total) => ({
+      method: total.method,
+      amount: roundAmount(total._sum.amount || 0),
+      count: total._count._all
+    }));
 
-    const bill = await prisma.bill.update({
-      where: { id },
-      data: updateData,
-      include: {
-        customer: true,
-        items: {
-          include: {
-            product: true
-          }
-        }
-      }
-    });
+    const totalCollected = roundAmount(byMethod.reduce((sum, total) => sum + total.amount, 0));
+    const totalRefunded = roundAmount(refundsByMethod.reduce((sum, total) => sum + total.amount, 0));
 
     res.json({
-      message: 'Bill updated successfully',
-      bill
+      period: paidAt,
+      byMethod,
+      refundsByMethod,
+      totalCollected,
+      totalRefunded,
+      netCollected: roundAmount(totalCollected - totalRefunded)
     });
   } catch (error) {
-    console.error('Error updating bill:', error);
+    console.error('Error fetching payment totals:', error);
     res.status(500).json({
-      error: 'Failed to update bill',
+      error: 'Failed to fetch payment totals',
       message: error.message
     });
   }
@@ -390,17 +237,28 @@ router.get('/stats/dashboard', [
       totalRevenue,
       paidBills,
       pendingBills,
+      voidedBills,
       todayBills,
-      todayRevenue
+      todayRevenue,
+      totalRefunds,
+      todayRefunds,
+      totalDirectRefunds,
+      todayDirectRefunds
     ] = await Promise.all([
-      // Total bills in period
+      // Total bills in period (held drafts excluded)
       prisma.bill.count({
-        where: dateFilter
+        where: {
+          ...dateFilter,
+          paymentStatus: { not: 'DRAFT' }
+        }
       }),
       
-      // Total revenue in period
+      // Total revenue in period (voided bills and drafts excluded)
       prisma.bill.aggregate({
-        where: dateFilter,
+        where: {
+          ...dateFilter,
+          paymentStatus: { notIn: ['VOID', 'DRAFT'] }
+        },
         _sum: {
           finalAmount: true
         }
@@ -421,6 +279,14 @@ router.get('/stats/dashboard', [
           paymentStatus: 'PENDING'
         }
       }),
+
+      // Voided bills count
+      prisma.bill.count({
+        where: {
+          ...dateFilter,
+          paymentStatus: 'VOID'
+        }
+      }),
       
       // Today's bills
       prisma.bill.count({
@@ -428,7 +294,8 @@ router.get('/stats/dashboard', [
           createdAt: {
             gte: new Date(new Date().setHours(0, 0, 0, 0)),
             lte: new Date(new Date().setHours(23, 59, 59, 999))
-          }
+          },
+          paymentStatus: { not: 'DRAFT' }
         }
       }),
       
@@ -438,19 +305,88 @@ router.get('/stats/dashboard', [
           createdAt: {
             gte: new Date(new Date().setHours(0, 0, 0, 0)),
             lte: new Date(new Date().setHours(23, 59, 59, 999))
-          }
+          },
+          paymentStatus: { notIn: ['VOID', 'DRAFT'] }
         },
         _sum: {
           finalAmount: true
         }
+      }),
+
+      // Refunds issued through credit notes in period (voided bills are already out of revenue)
+      prisma.creditNote.aggregate({
+        where: {
+          ...dateFilter,
+          bill: {
+            paymentStatus: { not: 'VOID' }
+          }
+        },
+        _sum: {
+          totalAmount: true
+        }
+      }),
+
+      // Today's refunds
+      prisma.creditNote.aggregate({
+        where: {
+          createdAt: {
+            gte: new Date(new Date().setHours(0, 0, 0, 0)),
+            lte: new Date(new Date().setHours(23, 59, 59, 999))
+          },
+          bill: {
+            paymentStatus: { not: 'VOID' }
+          }
+        },
+        _sum: {
+          totalAmount: true
+        }
+      }),
+
+      // Money refunded without a credit note in period (voided bills are already out of revenue)
+      prisma.refund.aggregate({
+        where: {
+          ...dateFilter,
+          status: 'SUCCEEDED',
+          creditNoteId: null,
+          bill: {
+            paymentStatus: { not: 'VOID' }
+          }
+        },
+        _sum: {
+          amount: true
+        }
+      }),
+
+      // Today's refunds without a credit note
+      prisma.refund.aggregate({
+        where: {
+          createdAt: {
+            gte: new Date(new Date().setHours(0, 0, 0, 0)),
+            lte: new Date(new Date().setHours(23, 59, 59, 999))
+          },
+          status: 'SUCCEEDED',
+          creditNoteId: null,
+          bill: {
+            paymentStatus: { not: 'VOID' }
+          }
+        },
+        _sum: {
+          amount: true
+        }
       })
     ]);
 
+    const refundTotal = (totalRefunds._sum.totalAmount || 0) + (totalDirectRefunds._sum.amount || 0);
+    const todayRefundTotal = (todayRefunds._sum.totalAmount || 0) + (todayDirectRefunds._sum.amount || 0);
+
     // Get top products
     const topProducts = await prisma.billItem.groupBy({
       by: ['productId'],
       where: {
-        bill: dateFilter
+        bill: {
+          ...dateFilter,
+          paymentStatus: { notIn: ['VOID', 'DRAFT'] }
+        }
       },
       _sum: {
         quantity: true,
@@ -482,11 +418,13 @@ router.get('/stats/dashboard', [
     res.json({
       stats: {
         totalBills,
-        totalRevenue: totalRevenue._sum.finalAmount || 0,
+        totalRevenue: (totalRevenue._sum.finalAmount || 0) - refundTotal,
+        totalRefunds: refundTotal,
         paidBills,
         pendingBills,
+        voidedBills,
         todayBills,
-        todayRevenue: todayRevenue._sum.finalAmount || 0
+        todayRevenue: (todayRevenue._sum.finalAmount || 0) - todayRefundTotal
       },
       topProducts: topProductsWithDetails
     });
@@ -499,4 +437,1055 @@ router.get('/stats/dashboard', [
   }
 });
 
+// GET /api/bills/:id - Get single bill
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const bill = await prisma.bill.findUnique({
+      where: { id },
+      include: {
+        customer: true,
+        items: {
+          include: {
+            product: true,
+            variant: true
+          }
+        },
+        payments: {
+          orderBy: {
+            paidAt: 'asc'
+          }
+        },
+        creditNotes: {
+          include: {
+            items: true
+          }
+        },
+        refunds: {
+          orderBy: {
+            createdAt: 'asc'
+          }
+        }
+      }
+    });
+
+    if (!bill) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'The requested bill does not exist'
+      });
+    }
+
+    res.json({
+      bill: {
+        ...withBalance(bill),
+        taxBreakdown: buildTaxBreakdown(bill.items)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching bill:', error);
+    res.status(500).json({
+      error: 'Failed to fetch bill',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/bills/:id/invoice.pdf - Download printable invoice
+router.get('/:id/invoice.pdf', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const bill = await prisma.bill.findUnique({
+      where: { id },
+      include: {
+        customer: true,
+        items: {
+          include: {
+            product: true,
+            variant: true
+          }
+        }
+      }
+    });
+
+    if (!bill) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'The requested bill does not exist'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${bill.billNumber || bill.id}.pdf"`);
+    renderInvoicePdf(bill, res);
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    res.status(500).json({
+      error: 'Failed to generate invoice',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/bills/:id/receipt - Thermal printer receipt (ESC/POS or plain text)
+router.get('/:id/receipt', [
+  query('width').optional().isIn(['58', '80']).withMessage('Paper width must be 58 or 80'),
+  query('format').optional().isIn(['escpos', 'text']),
+  query('qr').optional().isBoolean().toBoolean()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { width = '80', format = 'escpos', qr = false } = req.query;
+
+    const bill = await prisma.bill.findUnique({
+      where: { id },
+      include: {
+        customer: true,
+        items: {
+          include: {
+            product: true,
+            variant: true
+          }
+        }
+      }
+    });
+
+    if (!bill) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'The requested bill does not exist'
+      });
+    }
+
+    const columns = PAPER_COLUMNS[width];
+    const lines = buildReceiptLines(bill, columns);
+
+    if (format === 'text') {
+      res.type('text/plain');
+      return res.send(renderReceiptText(lines, columns));
+    }
+
+    const qrData = qr
+      ? (process.env.CLIENT_URL ? `${process.env.CLIENT_URL}/bills/${bill.id}` : bill.billNumber)
+      : null;
+
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${bill.billNumber || bill.id}.bin"`);
+    res.send(renderReceiptEscPos(lines, { qrData }));
+  } catch (error) {
+    console.error('Error generating receipt:', error);
+    res.status(500).json({
+      error: 'Failed to generate receipt',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/bills/drafts - Park a cart as a draft bill
+router.post('/drafts', [
+  body('id').optional().trim().notEmpty(),
+  body('customerName').trim().notEmpty().withMessage('Customer name is required'),
+  body('mobileNumber').trim().notEmpty().withMessage('Mobile number is required'),
+  body('email').optional().isEmail().withMessage('Invalid email format'),
+  body('address').optional().trim(),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.productId').notEmpty().withMessage('Product ID is required for each item'),
+  body('items.*.variantId').optional().trim(),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  ...billValidation.itemDiscount,
+  body('discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  body('flatDiscount').optional().isFloat({ min: 0 }).withMessage('Flat discount cannot be negative'),
+  body('couponCode').optional().trim().notEmpty().withMessage('Coupon code cannot be empty'),
+  body('placeOfSupply').optional().trim()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const items = toCartItems(req.body.items);
+    const discountPercent = req.body.discountPercent ? parseFloat(req.body.discountPercent) : 0;
+    const flatDiscount = req.body.flatDiscount ? parseFloat(req.body.flatDiscount) : 0;
+
+    const bill = await prisma.$transaction((tx) => createDraftBill(tx, { ...req.body, items, discountPercent, flatDiscount }));
+
+    res.status(201).json({
+      message: 'Draft saved successfully',
+      bill: {
+        ...withBalance(bill),
+        taxBreakdown: buildTaxBreakdown(bill.items)
+      }
+    });
+  } catch (error) {
+    console.error('Error saving draft:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to save draft',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/bills - Create new bill (honours an Idempotency-Key header)
+router.post('/', [
+  body('id').trim().notEmpty().withMessage('id is required'),
+  body('customerName').trim().notEmpty().withMessage('Customer name is required'),
+  body('mobileNumber').trim().notEmpty().withMessage('Mobile number is required'),
+  body('email').optional().isEmail().withMessage('Invalid email format'),
+  body('address').optional().trim(),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.productId').notEmpty().withMessage('Product ID is required for each item'),
+  body('items.*.variantId').optional().trim(),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  ...billValidation.itemDiscount,
+  body('discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  body('flatDiscount').optional().isFloat({ min: 0 }).withMessage('Flat discount cannot be negative'),
+  body('couponCode').optional().trim().notEmpty().withMessage('Coupon code cannot be empty'),
+  body('placeOfSupply').optional().trim(),
+  body('paymentMethod').optional().isIn(['CASH', 'CARD', 'UPI', 'BANK_TRANSFER', 'OTHER']),
+  body('tenders').optional().isArray().withMessage('Tenders must be an array'),
+  body('tenders.*.method').isIn(['CASH', 'CARD', 'UPI', 'BANK_TRANSFER', 'OTHER']).withMessage('Invalid tender method'),
+  body('tenders.*.amount').isFloat({ gt: 0 }).withMessage('Tender amount must be greater than 0'),
+  body('tenders.*.reference').optional().trim(),
+  body('createdBy').optional().trim()
+], handleValidationErrors, idempotency('POST /api/bills'), async (req, res) => {
+  try {
+    const items = toCartItems(req.body.items);
+    const discountPercent = req.body.discountPercent ? parseFloat(req.body.discountPercent) : 0;
+    const flatDiscount = req.body.flatDiscount ? parseFloat(req.body.flatDiscount) : 0;
+
+    const result = await prisma.$transaction((tx) => createBill(tx, { ...req.body, items, discountPercent, flatDiscount }));
+
+    res.status(201).json({
+      message: 'Bill created successfully',
+      bill: {
+        ...withBalance(result),
+        taxBreakdown: buildTaxBreakdown(result.items)
+      }
+    });
+  } catch (error) {
+    // Another request recorded the same UPI reference first
+    if (isDuplicateUpiReference(error)) {
+      return res.status(409).json({
+        error: 'Duplicate UPI reference',
+        message: 'A UPI reference on these tenders is already recorded against another bill'
+      });
+    }
+
+    console.error('Error creating bill:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to create bill',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/bills/:id - Update bill (payment method, or the cart of a draft or unpaid bill)
+router.put('/:id', [
+  body('paymentMethod').optional().isIn(['CASH', 'CARD', 'UPI', 'BANK_TRANSFER', 'OTHER']),
+  body('customerName').optional().trim().notEmpty().withMessage('Customer name cannot be empty'),
+  body('mobileNumber').optional().trim().notEmpty().withMessage('Mobile number cannot be empty'),
+  body('items').optional().isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.productId').notEmpty().withMessage('Product ID is required for each item'),
+  body('items.*.variantId').optional().trim(),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  ...billValidation.itemDiscount,
+  body('discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  body('flatDiscount').optional().isFloat({ min: 0 }).withMessage('Flat discount cannot be negative'),
+  body('couponCode').optional({ nullable: true }).trim(),
+  body('placeOfSupply').optional().trim(),
+  body('editedBy').optional().trim(),
+  body('reason').optional().trim()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      paymentStatus,
+      paymentMethod,
+      customerName,
+      mobileNumber,
+      items,
+      discountPercent,
+      flatDiscount,
+      couponCode,
+      placeOfSupply,
+      editedBy,
+      reason
+    } = req.body;
+
+    // Status is derived from recorded payments; record one with POST /:id/payments
+    if (paymentStatus !== undefined) {
+      return res.status(400).json({
+        error: 'Payment status is derived',
+        message: 'Payment status follows the payments recorded on the bill'
+      });
+    }
+    
+    const existingBill = await prisma.bill.findUnique({
+      where: { id },
+      include: {
+        items: true,
+        _count: {
+          select: { creditNotes: true }
+        }
+      }
+    });
+
+    if (!existingBill) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'The requested bill does not exist'
+      });
+    }
+
+    if (existingBill.paymentStatus === 'VOID') {
+      return res.status(400).json({
+        error: 'Bill is void',
+        message: 'A voided bill cannot be updated'
+      });
+    }
+
+    const editsCart = items || discountPercent !== undefined || flatDiscount !== undefined ||
+      placeOfSupply !== undefined || customerName || mobileNumber;
+
+    // Shared by draft edits and revisions of unpaid bills
+    const cartChanges = {
+      items: items && toCartItems(items),
+      discountPercent: discountPercent !== undefined ? parseFloat(discountPercent) : undefined,
+      flatDiscount: flatDiscount !== undefined ? parseFloat(flatDiscount) : undefined,
+      placeOfSupply
+    };
+
+    const resolveCustomer = async (tx) => {
+      if (!customerName && !mobileNumber) return null;
+      const current = await tx.customer.findUnique({ where: { id: existingBill.customerId } });
+      return findOrCreateCustomer(tx, {
+        customerName: customerName || current.name,
+        mobileNumber: mobileNumber || current.mobileNumber
+      });
+    };
+
+    if (existingBill.paymentStatus === 'DRAFT') {
+      // Re-price the parked cart; stock is untouched until finalize
+      const bill = await prisma.$transaction(async (tx) => updateDraftBill(tx, existingBill, {
+        ...cartChanges,
+        couponCode,
+        customer: await resolveCustomer(tx)
+      }));
+
+      return res.json({
+        message: 'Draft updated successfully',
+        bill: {
+          ...withBalance(bill),
+          taxBreakdown: buildTaxBreakdown(bill.items)
+        }
+      });
+    }
+
+    if (couponCode !== undefined) {
+      return res.status(400).json({
+        error: 'Bill is finalized',
+        message: 'Coupons can only be changed on a draft bill'
+      });
+    }
+
+    if (editsCart) {
+      if (existingBill.amountPaid > 0 || !['PENDING', 'OVERDUE'].includes(existingBill.paymentStatus)) {
+        return res.status(400).json({
+          error: 'Bill has payments',
+          message: 'Items can only be changed on an unpaid bill'
+        });
+      }
+
+      if (existingBill._count.creditNotes > 0) {
+        return res.status(400).json({
+          error: 'Bill has returns',
+          message: 'Items cannot be changed on a bill with credit notes'
+        });
+      }
+
+      // Adjust stock by the difference and keep the previous version as a revision
+      const bill = await prisma.$transaction(async (tx) => {
+        const revised = await reviseBill(tx, id, {
+          ...cartChanges,
+          customer: await resolveCustomer(tx),
+          editedBy,
+          reason
+        });
+
+        if (paymentMethod) {
+          return tx.bill.update({
+            where: { id },
+            data: { paymentMethod },
+            include: {
+              customer: true,
+              items: {
+                include: {
+                  product: true,
+                  variant: true
+                }
+              }
+            }
+          });
+        }
+
+        return revised;
+      });
+
+      return res.json({
+        message: 'Bill updated successfully',
+        bill: {
+          ...withBalance(bill),
+          taxBreakdown: buildTaxBreakdown(bill.items)
+        }
+      });
+    }
+
+    const updateData = {};
+    if (paymentMethod) updateData.paymentMethod = paymentMethod;
+
+    const bill = await prisma.bill.update({
+      where: { id },
+      data: updateData,
+      include: {
+        customer: true,
+        items: {
+          include: {
+            product: true,
+            variant: true
+          }
+        }
+      }
+    });
+
+    res.json({
+      message: 'Bill updated successfully',
+      bill: withBalance(bill)
+    });
+  } catch (error) {
+    console.error('Error updating bill:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to update bill',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/bills/:id/finalize - Finalize a draft: reserve stock, number and settle it
+router.post('/:id/finalize', [
+  body('paymentMethod').optional().isIn(['CASH', 'CARD', 'UPI', 'BANK_TRANSFER', 'OTHER']),
+  body('tenders').optional().isArray().withMessage('Tenders must be an array'),
+  body('tenders.*.method').isIn(['CASH', 'CARD', 'UPI', 'BANK_TRANSFER', 'OTHER']).withMessage('Invalid tender method'),
+  body('tenders.*.amount').isFloat({ gt: 0 }).withMessage('Tender amount must be greater than 0'),
+  body('tenders.*.reference').optional().trim(),
+  body('createdBy').optional().trim()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { paymentMethod, tenders, createdBy } = req.body;
+
+    const draft = await prisma.bill.findUnique({
+      where: { id },
+      include: { items: true }
+    });
+
+    if (!draft) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'The requested bill does not exist'
+      });
+    }
+
+    if (draft.paymentStatus !== 'DRAFT') {
+      return res.status(400).json({
+        error: 'Bill is not a draft',
+        message: 'Only draft bills can be finalized'
+      });
+    }
+
+    const bill = await prisma.$transaction((tx) => finalizeDraftBill(tx, draft, { paymentMethod, tenders, createdBy }));
+
+    res.json({
+      message: 'Bill finalized successfully',
+      bill: {
+        ...withBalance(bill),
+        taxBreakdown: buildTaxBreakdown(bill.items)
+      }
+    });
+  } catch (error) {
+    // Another request recorded the same UPI reference first
+    if (isDuplicateUpiReference(error)) {
+      return res.status(409).json({
+        error: 'Duplicate UPI reference',
+        message: 'A UPI reference on these tenders is already recorded against another bill'
+      });
+    }
+
+    console.error('Error finalizing bill:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to finalize bill',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/bills/:id - Discard a draft bill
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingBill = await prisma.bill.findUnique({
+      where: { id }
+    });
+
+    if (!existingBill) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'The requested bill does not exist'
+      });
+    }
+
+    if (existingBill.paymentStatus !== 'DRAFT') {
+      return res.status(400).json({
+        error: 'Cannot delete bill',
+        message: 'Only draft bills can be deleted; void the bill instead'
+      });
+    }
+
+    await prisma.bill.delete({
+      where: { id }
+    });
+
+    res.json({
+      message: 'Draft deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting bill:', error);
+    res.status(500).json({
+      error: 'Failed to delete bill',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/bills/:id/revisions - Get edit history of a bill
+router.get('/:id/revisions', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const bill = await prisma.bill.findUnique({
+      where: { id },
+      include: {
+        revisions: {
+          orderBy: {
+            revision: 'desc'
+          }
+        }
+      }
+    });
+
+    if (!bill) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'The requested bill does not exist'
+      });
+    }
+
+    res.json({ revisions: bill.revisions });
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch revisions',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/bills/:id/payments - Get payments recorded against a bill
+router.get('/:id/payments', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const bill = await prisma.bill.findUnique({
+      where: { id },
+      include: {
+        payments: {
+          orderBy: {
+            paidAt: 'asc'
+          }
+        }
+      }
+    });
+
+    if (!bill) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'The requested bill does not exist'
+      });
+    }
+
+    const { balanceDue } = withBalance(bill);
+
+    res.json({
+      payments: bill.payments,
+      amountPaid: bill.amountPaid,
+      balanceDue
+    });
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({
+      error: 'Failed to fetch payments',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/bills/:id/payments - Record a payment against a bill
+router.post('/:id/payments', billValidation.payment, handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { method, reference, paidAt } = req.body;
+    const amount = roundAmount(parseFloat(req.body.amount));
+
+    const existingBill = await prisma.bill.findUnique({
+      where: { id }
+    });
+
+    if (!existingBill) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'The requested bill does not exist'
+      });
+    }
+
+    if (existingBill.paymentStatus === 'VOID') {
+      return res.status(400).json({
+        error: 'Bill is void',
+        message: 'Payments cannot be recorded against a voided bill'
+      });
+    }
+
+    if (existingBill.paymentStatus === 'DRAFT') {
+      return res.status(400).json({
+        error: 'Bill is a draft',
+        message: 'Finalize the draft before recording payments'
+      });
+    }
+
+    const { balanceDue } = withBalance(existingBill);
+    if (amount > balanceDue) {
+      return res.status(400).json({
+        error: 'Payment exceeds balance',
+        message: `Balance due on this bill is ${balanceDue}`
+      });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const payment = await recordPayment(tx, existingBill, {
+        amount,
+        method,
+        reference,
+        paidAt
+      });
+
+      const bill = await tx.bill.findUnique({
+        where: { id },
+        include: {
+          customer: true,
+          payments: {
+            orderBy: {
+              paidAt: 'asc'
+            }
+          }
+        }
+      });
+
+      return { payment, bill };
+    });
+
+    // A checkout left open on a bill paid at the counter must not take the money again
+    await closeOpenCheckouts(prisma, id);
+
+    res.status(201).json({
+      message: 'Payment recorded successfully',
+      payment: result.payment,
+      bill: withBalance(result.bill)
+    });
+  } catch (error) {
+    // Another payment with the same UPI reference committed first
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        error: 'Duplicate UPI reference',
+        message: `UPI reference ${req.body.reference} is already recorded against a bill`
+      });
+    }
+
+    console.error('Error recording payment:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to record payment',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/bills/:id/upi-qr - UPI QR code for the balance due on a bill (PNG or SVG)
+router.get('/:id/upi-qr', [
+  query('format').optional().isIn(['png', 'svg']).withMessage('Format must be png or svg')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'png' } = req.query;
+
+    const bill = await prisma.bill.findUnique({
+      where: { id }
+    });
+
+    if (!bill) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'The requested bill does not exist'
+      });
+    }
+
+    if (!['PENDING', 'PARTIAL'].includes(bill.paymentStatus)) {
+      return res.status(400).json({
+        error: 'Bill cannot be paid',
+        message: `A ${bill.paymentStatus.toLowerCase()} bill cannot be paid by UPI`
+      });
+    }
+
+    const { balanceDue } = withBalance(bill);
+    const intent = buildUpiIntent(bill, balanceDue);
+    const qr = await renderUpiQr(intent, format);
+
+    res.setHeader('X-UPI-Intent', intent);
+    res.type(format === 'svg' ? 'image/svg+xml' : 'image/png');
+    res.send(qr);
+  } catch (error) {
+    console.error('Error generating UPI QR:', error);
+    res.status(500).json({
+      error: 'Failed to generate UPI QR',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/bills/:id/upi-confirm - Record a UPI payment from the reference the customer shows
+router.post('/:id/upi-confirm', [
+  body('reference').trim().matches(UPI_REFERENCE_PATTERN).withMessage('UPI reference must be the 12 digit UPI transaction number'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0')
+], handleValidationErrors, idempotency((req) => `POST /api/bills/${req.params.id}/upi-confirm`), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reference } = req.body;
+
+    const existingBill = await prisma.bill.findUnique({
+      where: { id }
+    });
+
+    if (!existingBill) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'The requested bill does not exist'
+      });
+    }
+
+    if (!['PENDING', 'PARTIAL'].includes(existingBill.paymentStatus)) {
+      return res.status(400).json({
+        error: 'Bill cannot be paid',
+        message: `A ${existingBill.paymentStatus.toLowerCase()} bill cannot be paid by UPI`
+      });
+    }
+
+    const { balanceDue } = withBalance(existingBill);
+    const amount = req.body.amount !== undefined ? roundAmount(parseFloat(req.body.amount)) : balanceDue;
+
+    if (amount > balanceDue) {
+      return res.status(400).json({
+        error: 'Payment exceeds balance',
+        message: `Balance due on this bill is ${balanceDue}`
+      });
+    }
+
+    // The same UPI transaction cannot pay twice. A confirmation racing this
+    // one is stopped by the unique index on UPI references.
+    const duplicate = await prisma.payment.findFirst({
+      where: {
+        method: 'UPI',
+        reference,
+        status: { not: 'FAILED' }
+      }
+    });
+
+    if (duplicate) {
+      return res.status(409).json({
+        error: 'Duplicate UPI reference',
+        message: `UPI reference ${reference} is already recorded against a bill`
+      });
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const payment = await recordPayment(tx, existingBill, {
+        amount,
+        method: 'UPI',
+        reference
+      });
+
+      const bill = await tx.bill.findUnique({
+        where: { id },
+        include: {
+          customer: true,
+          payments: {
+            orderBy: {
+              paidAt: 'asc'
+            }
+          }
+        }
+      });
+
+      return { payment, bill };
+    });
+
+    // A checkout left open on a bill paid at the counter must not take the money again
+    await closeOpenCheckouts(prisma, id);
+
+    res.status(201).json({
+      message: 'UPI payment confirmed successfully',
+      payment: result.payment,
+      bill: withBalance(result.bill)
+    });
+  } catch (error) {
+    // Another payment with the same UPI reference committed first
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        error: 'Duplicate UPI reference',
+        message: `UPI reference ${req.body.reference} is already recorded against a bill`
+      });
+    }
+
+    console.error('Error confirming UPI payment:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to confirm UPI payment',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/bills/:id/refunds - Get refunds issued on a bill
+router.get('/:id/refunds', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const bill = await prisma.bill.findUnique({
+      where: { id },
+      include: {
+        refunds: {
+          orderBy: {
+            createdAt: 'asc'
+          }
+        }
+      }
+    });
+
+    if (!bill) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'The requested bill does not exist'
+      });
+    }
+
+    res.json({
+      refunds: bill.refunds,
+      refundedAmount: bill.refundedAmount,
+      refundableAmount: roundAmount(bill.amountPaid - bill.refundedAmount)
+    });
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    res.status(500).json({
+      error: 'Failed to fetch refunds',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/bills/:id/refunds - Refund a bill in full or in part
+router.post('/:id/refunds', [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('reason').optional().trim(),
+  body('refundedBy').optional().trim(),
+  body('creditNoteId').optional().trim().notEmpty().withMessage('Credit note ID cannot be empty'),
+  body('restock').optional().isBoolean().toBoolean(),
+  body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.billItemId').notEmpty().withMessage('Bill item ID is required for each item'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+], handleValidationErrors, idempotency((req) => `POST /api/bills/${req.params.id}/refunds`), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, refundedBy, creditNoteId, restock } = req.body;
+
+    const bill = await prisma.bill.findUnique({
+      where: { id },
+      include: {
+        items: true,
+        creditNotes: true
+      }
+    });
+
+    if (!bill) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'The requested bill does not exist'
+      });
+    }
+
+    if (bill.paymentStatus === 'DRAFT') {
+      return res.status(400).json({
+        error: 'Bill is a draft',
+        message: 'A draft bill has no payments to refund'
+      });
+    }
+
+    if (creditNoteId && !bill.creditNotes.some((creditNote) => creditNote.id === creditNoteId)) {
+      return res.status(400).json({
+        error: 'Invalid credit note',
+        message: `Credit note ${creditNoteId} does not belong to this bill`
+      });
+    }
+
+    if (restock && creditNoteId) {
+      return res.status(400).json({
+        error: 'Already restocked',
+        message: 'Items on a credit note are restocked when the credit note is issued'
+      });
+    }
+
+    // Amount and restock quantities are checked by issueRefund under the bill lock
+    const refunds = await issueRefund(prisma, bill, {
+      amount: req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined,
+      reason,
+      refundedBy,
+      creditNoteId,
+      restock: restock ? (req.body.items || bill.items.map((item) => ({ billItemId: item.id }))) : []
+    });
+
+    const updatedBill = await prisma.bill.findUnique({
+      where: { id }
+    });
+
+    res.status(201).json({
+      message: 'Refund issued successfully',
+      refunds,
+      bill: withBalance(updatedBill)
+    });
+  } catch (error) {
+    console.error('Error issuing refund:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to issue refund',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/bills/:id/void - Void bill and return its items to stock
+router.post('/:id/void', billValidation.void, handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { voidedBy, reason } = req.body;
+
+    const existingBill = await prisma.bill.findUnique({
+      where: { id }
+    });
+
+    if (!existingBill) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'The requested bill does not exist'
+      });
+    }
+
+    if (existingBill.paymentStatus === 'VOID') {
+      return res.status(400).json({
+        error: 'Bill already void',
+        message: 'This bill has already been voided'
+      });
+    }
+
+    if (existingBill.paymentStatus === 'DRAFT') {
+      return res.status(400).json({
+        error: 'Bill is a draft',
+        message: 'Draft bills hold no stock; delete the draft instead'
+      });
+    }
+
+    const bill = await prisma.$transaction(async (tx) => {
+      // Hold the bill so no return or restocking refund lands while the void
+      // works out what is still out with the customer
+      await lockBill(tx, id);
+
+      // Claim the void first so a concurrent void cannot restock twice
+      const claimed = await tx.bill.updateMany({
+        where: { id, paymentStatus: { notIn: ['VOID', 'DRAFT'] } },
+        data: {
+          paymentStatus: 'VOID',
+          voidedAt: new Date(),
+          voidedBy,
+          voidReason: reason
+        }
+      });
+
+      if (claimed.count === 0) {
+        const error = new Error('This bill has already been voided');
+        error.status = 400;
+        throw error;
+      }
+
+      // A refund in flight may still restock its items or fail and not
+      if (await tx.refund.count({ where: { billId: id, status: 'PENDING' } }) > 0) {
+        const error = new Error('A refund on this bill is still in progress');
+        error.status = 409;
+        throw error;
+      }
+
+      // Only units not already returned go back on the shelf
+      const items = await tx.billItem.findMany({ where: { billId: id } });
+      const restocked = await getRestockedQuantities(tx, id, items.map((item) => item.id));
+      const outstanding = items
+        .map((item) => ({ ...item, quantity: item.quantity - (restocked[item.id] || 0) }))
+        .filter((item) => item.quantity > 0);
+
+      await restockItems(tx, outstanding, {
+        referenceType: 'BILL',
+        referenceId: id,
+        note: 'Bill voided',
+        createdBy: voidedBy
+      });
+      await releaseCoupon(tx, existingBill.couponId);
+
+      return tx.bill.findUnique({
+        where: { id },
+        include: {
+          customer: true,
+          items: {
+            include: {
+              product: true,
+              variant: true
+            }
+          }
+        }
+      });
+    });
+
+    // Links and checkouts for a void bill must not take money
+    await closeOpenCheckouts(prisma, id);
+
+    res.json({
+      message: 'Bill voided successfully',
+      bill: withBalance(bill)
+    });
+  } catch (error) {
+    console.error('Error voiding bill:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to void bill',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,69 +1,94 @@
 const express = require("express");
-const Stripe = require("stripe");
+const { body, validationResult } = require("express-validator");
+const { PrismaClient } = require("@prisma/client");
+const { idempotency } = require("../middleware/idempotency");
+const { PAYMENT_PROVIDERS } = require("../utils/paymentProviders");
+const { startCheckout } = require("../utils/checkout");
 
 const router = express.Router();
+const prisma = new PrismaClient();
 
-// Initialize Stripe with secret key
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: errors.array(),
+    });
+  }
+  next();
+};
 
 /**
  * POST /api/checkout
- * Creates a Stripe Checkout Session
+ * Starts a hosted checkout with a payment provider for the amount due on a
+ * bill. The provider defaults to the one already handling the bill, then
+ * PAYMENT_PROVIDER. (honours an Idempotency-Key header)
  */
-router.post("/", async (req, res) => {
-  try {
-    const { cartItems ,billId } = req.body;
-
-    // ✅ Validate input
-    if (!cartItems || !Array.isArray(cartItems) || cartItems.length === 0) {
-      return res.status(400).json({
-        error: "Cart items are required",
-      });
-    }
-
-    // ✅ Create checkout session
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ["card"],
-      mode: "payment",
+router.post(
+  "/",
+  [
+    body("billId").trim().notEmpty().withMessage("billId is required"),
+    body("provider")
+      .optional()
+      .customSanitizer((value) => String(value).toUpperCase())
+      .isIn(PAYMENT_PROVIDERS)
+      .withMessage(`Provider must be one of ${PAYMENT_PROVIDERS.join(", ")}`),
+  ],
+  handleValidationErrors,
+  idempotency("POST /api/checkout"),
+  async (req, res) => {
+    try {
+      const { billId } = req.body;
 
-      line_items: cartItems.map((item) => {
-        if (!item.name || !item.price || !item.qty) {
-          throw new Error("Invalid cart item data");
-        }
-
-        return {
-          price_data: {
-            currency: "inr",
-            product_data: {
-              name: item.name,
+      const bill = await prisma.bill.findUnique({
+        where: { id: billId },
+        include: {
+          customer: true,
+          items: {
+            include: {
+              product: true,
+              variant: true,
             },
-            // Stripe requires amount in smallest currency unit (paise)
-            unit_amount: Math.round(Number(item.price) * 100),
           },
-          quantity: Number(item.qty),
-        };
-      }),
+        },
+      });
 
+      if (!bill) {
+        return res.status(404).json({
+          error: "Bill not found",
+          message: "The requested bill does not exist",
+        });
+      }
 
-      metadata: {
-        billId: billId,   
-      },
+      if (["PAID", "VOID", "DRAFT", "REFUNDED"].includes(bill.paymentStatus)) {
+        return res.status(400).json({
+          error: "Bill cannot be paid",
+          message: `A ${bill.paymentStatus.toLowerCase()} bill cannot be paid online`,
+        });
+      }
 
-      success_url: `${process.env.CLIENT_URL}/success/${billId}?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${process.env.CLIENT_URL}/cancel`,
-    });
+      const { provider, session } = await startCheckout(prisma, bill, {
+        providerName: req.body.provider,
+        amount: bill.finalAmount - bill.amountPaid,
+        idempotencyKey: req.get("Idempotency-Key"),
+      });
 
-    // ✅ Send Stripe Checkout URL to frontend
-    res.status(200).json({
-      url: session.url,
-    });
-  } catch (error) {
-    console.error("Stripe Checkout Error:", error.message);
+      // ✅ Send the provider's checkout URL to frontend
+      res.status(200).json({
+        provider: provider.name,
+        url: session.url,
+        sessionId: session.id,
+      });
+    } catch (error) {
+      console.error("Checkout Error:", error.message);
 
-    res.status(500).json({
-      error: error.message || "Stripe checkout failed",
-    });
+      res.status(error.status || 500).json({
+        error: error.message || "Checkout failed",
+      });
+    }
   }
-});
+);
 
 module.exports = router;
@@ -0,0 +1,356 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { normalizeCouponCode, findRedeemableCoupon } = require('../utils/discounts');
+const { priceItems, toCartItems } = require('../utils/billing');
+const { billValidation } = require('../middleware/validation');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'maxDiscount',
+  'minBillAmount',
+  'validFrom',
+  'validUntil',
+  'usageLimit',
+  'isActive',
+  'categories',
+  'productIds'
+];
+
+// Pick coupon fields from a request body
+const buildCouponData = (payload) => {
+  const data = {};
+  COUPON_FIELDS.forEach((key) => {
+    if (payload[key] !== undefined) {
+      data[key] = payload[key];
+    }
+  });
+
+  if (data.code) data.code = normalizeCouponCode(data.code);
+  if (data.discountValue !== undefined) data.discountValue = parseFloat(data.discountValue);
+  if (data.maxDiscount !== undefined) data.maxDiscount = data.maxDiscount === null ? null : parseFloat(data.maxDiscount);
+  if (data.minBillAmount !== undefined) data.minBillAmount = parseFloat(data.minBillAmount);
+  if (data.usageLimit !== undefined) data.usageLimit = data.usageLimit === null ? null : parseInt(data.usageLimit);
+
+  return data;
+};
+
+const couponValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('code').trim().notEmpty().withMessage('Coupon code is required'),
+    body('description').optional().trim(),
+    field('discountType').isIn(['PERCENT', 'FLAT']).withMessage('Discount type must be PERCENT or FLAT'),
+    field('discountValue').isFloat({ gt: 0 }).withMessage('Discount value must be greater than 0'),
+    body('discountValue').custom((value, { req }) => {
+      if (req.body.discountType === 'PERCENT' && parseFloat(value) > 100) {
+        throw new Error('Percentage discount cannot exceed 100');
+      }
+      return true;
+    }),
+    body('maxDiscount').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Maximum discount must be greater than 0'),
+    body('minBillAmount').optional().isFloat({ min: 0 }).withMessage('Minimum bill amount cannot be negative'),
+    body('validFrom').optional().isISO8601().toDate(),
+    body('validUntil').optional({ nullable: true }).isISO8601().toDate(),
+    body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+    body('isActive').optional().isBoolean().toBoolean(),
+    body('categories').optional().isArray().withMessage('Categories must be an array'),
+    body('productIds').optional().isArray().withMessage('Product IDs must be an array')
+  ];
+};
+
+// GET /api/coupons - Get all coupons with pagination
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('search').optional().trim(),
+  query('active').optional().isBoolean()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      active
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    // Build where clause
+    const where = {};
+
+    if (search) {
+      where.OR = [
+        { code: { contains: search, mode: 'insensitive' } },
+        { description: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    if (active !== undefined) {
+      where.isActive = active === 'true';
+    }
+
+    const totalCount = await prisma.coupon.count({ where });
+
+    const coupons = await prisma.coupon.findMany({
+      where,
+      skip,
+      take,
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+
+    res.json({
+      coupons,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        pages: Math.ceil(totalCount / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    res.status(500).json({
+      error: 'Failed to fetch coupons',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/coupons/:id - Get single coupon
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const coupon = await prisma.coupon.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { bills: true }
+        }
+      }
+    });
+
+    if (!coupon) {
+      return res.status(404).json({
+        error: 'Coupon not found',
+        message: 'The requested coupon does not exist'
+      });
+    }
+
+    res.json({ coupon });
+  } catch (error) {
+    console.error('Error fetching coupon:', error);
+    res.status(500).json({
+      error: 'Failed to fetch coupon',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/coupons/validate - Check a coupon against a cart and preview the discount
+router.post('/validate', [
+  body('couponCode').trim().notEmpty().withMessage('Coupon code is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.productId').notEmpty().withMessage('Product ID is required for each item'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  ...billValidation.itemDiscount,
+  body('discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  body('flatDiscount').optional().isFloat({ min: 0 }).withMessage('Flat discount cannot be negative'),
+  body('placeOfSupply').optional().trim()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const items = toCartItems(req.body.items);
+
+    // Nothing is written; the coupon is only redeemed when a bill is created
+    const result = await prisma.$transaction(async (tx) => {
+      const coupon = await findRedeemableCoupon(tx, req.body.couponCode);
+      const pricing = await priceItems(tx, items, {
+        discountPercent: req.body.discountPercent ? parseFloat(req.body.discountPercent) : 0,
+        flatDiscount: req.body.flatDiscount ? parseFloat(req.body.flatDiscount) : 0,
+        coupon,
+        placeOfSupply: req.body.placeOfSupply
+      });
+
+      return { coupon, pricing };
+    });
+
+    const couponEntry = result.pricing.discountBreakdown.find((entry) => entry.type === 'COUPON');
+
+    res.json({
+      valid: true,
+      coupon: result.coupon,
+      couponDiscount: couponEntry ? couponEntry.amount : 0,
+      totalAmount: result.pricing.totalAmount,
+      discountAmount: result.pricing.discountAmount,
+      discountBreakdown: result.pricing.discountBreakdown,
+      taxAmount: result.pricing.taxAmount,
+      finalAmount: result.pricing.finalAmount
+    });
+  } catch (error) {
+    console.error('Error validating coupon:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to validate coupon',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/coupons - Create new coupon
+router.post('/', couponValidation(false), handleValidationErrors, async (req, res) => {
+  try {
+    const data = buildCouponData(req.body);
+
+    const existingCoupon = await prisma.coupon.findUnique({
+      where: { code: data.code }
+    });
+
+    if (existingCoupon) {
+      return res.status(400).json({
+        error: 'Coupon already exists',
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    const coupon = await prisma.coupon.create({ data });
+
+    res.status(201).json({
+      message: 'Coupon created successfully',
+      coupon
+    });
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    res.status(500).json({
+      error: 'Failed to create coupon',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/coupons/:id - Update coupon
+router.put('/:id', couponValidation(true), handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingCoupon = await prisma.coupon.findUnique({
+      where: { id }
+    });
+
+    if (!existingCoupon) {
+      return res.status(404).json({
+        error: 'Coupon not found',
+        message: 'The requested coupon does not exist'
+      });
+    }
+
+    const data = buildCouponData(req.body);
+
+    // A partial update is checked against the coupon's stored type and value
+    const discountType = data.discountType || existingCoupon.discountType;
+    const discountValue = data.discountValue !== undefined ? data.discountValue : existingCoupon.discountValue;
+
+    if (discountType === 'PERCENT' && discountValue > 100) {
+      return res.status(400).json({
+        error: 'Invalid discount',
+        message: 'Percentage discount cannot exceed 100'
+      });
+    }
+
+    if (data.code && data.code !== existingCoupon.code) {
+      const duplicate = await prisma.coupon.findUnique({
+        where: { code: data.code }
+      });
+
+      if (duplicate) {
+        return res.status(400).json({
+          error: 'Coupon already exists',
+          message: 'A coupon with this code already exists'
+        });
+      }
+    }
+
+    const coupon = await prisma.coupon.update({
+      where: { id },
+      data
+    });
+
+    res.json({
+      message: 'Coupon updated successfully',
+      coupon
+    });
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+    res.status(500).json({
+      error: 'Failed to update coupon',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/coupons/:id - Delete an unused coupon
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingCoupon = await prisma.coupon.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { bills: true }
+        }
+      }
+    });
+
+    if (!existingCoupon) {
+      return res.status(404).json({
+        error: 'Coupon not found',
+        message: 'The requested coupon does not exist'
+      });
+    }
+
+    if (existingCoupon._count.bills > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete coupon',
+        message: 'This coupon has been used on bills; deactivate it instead'
+      });
+    }
+
+    await prisma.coupon.delete({
+      where: { id }
+    });
+
+    res.json({
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+    res.status(500).json({
+      error: 'Failed to delete coupon',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,299 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { restockItems, getRestockedQuantities } = require('../utils/stock');
+const { roundAmount } = require('../utils/tax');
+const { nextSequenceNumber } = require('../utils/sequence');
+const { lockBill } = require('../utils/locks');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// GET /api/credit-notes - Get all credit notes with pagination
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('billId').optional().trim()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      billId
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {};
+    if (billId) {
+      where.billId = billId;
+    }
+
+    const totalCount = await prisma.creditNote.count({ where });
+
+    const creditNotes = await prisma.creditNote.findMany({
+      where,
+      skip,
+      take,
+      include: {
+        bill: {
+          select: {
+            billNumber: true,
+            customer: true
+          }
+        },
+        items: {
+          include: {
+            billItem: {
+              include: {
+                product: true,
+                variant: true
+              }
+            }
+          }
+        }
+      },
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+
+    res.json({
+      creditNotes,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        pages: Math.ceil(totalCount / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching credit notes:', error);
+    res.status(500).json({
+      error: 'Failed to fetch credit notes',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/credit-notes/:id - Get single credit note
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const creditNote = await prisma.creditNote.findUnique({
+      where: { id },
+      include: {
+        bill: {
+          include: {
+            customer: true
+          }
+        },
+        items: {
+          include: {
+            billItem: {
+              include: {
+                product: true,
+                variant: true
+              }
+            }
+          }
+        }
+      }
+    });
+
+    if (!creditNote) {
+      return res.status(404).json({
+        error: 'Credit note not found',
+        message: 'The requested credit note does not exist'
+      });
+    }
+
+    res.json({ creditNote });
+  } catch (error) {
+    console.error('Error fetching credit note:', error);
+    res.status(500).json({
+      error: 'Failed to fetch credit note',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/credit-notes - Return items against a bill
+router.post('/', [
+  body('billId').trim().notEmpty().withMessage('Bill ID is required'),
+  body('reason').optional().trim(),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.billItemId').notEmpty().withMessage('Bill item ID is required for each item'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('createdBy').optional().trim()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { billId, reason, items, createdBy } = req.body;
+
+    const bill = await prisma.bill.findUnique({
+      where: { id: billId },
+      include: {
+        items: true
+      }
+    });
+
+    if (!bill) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'The requested bill does not exist'
+      });
+    }
+
+    if (bill.paymentStatus === 'VOID') {
+      return res.status(400).json({
+        error: 'Bill is void',
+        message: 'Items cannot be returned against a voided bill'
+      });
+    }
+
+    if (bill.paymentStatus === 'DRAFT') {
+      return res.status(400).json({
+        error: 'Bill is a draft',
+        message: 'Items cannot be returned against a draft bill'
+      });
+    }
+
+    // Validate returned quantities against what is still returnable; units
+    // already restocked by a refund cannot come back again
+    const restocked = await getRestockedQuantities(prisma, billId, bill.items.map((line) => line.id));
+    let totalAmount = 0;
+    const creditNoteItems = [];
+    const restock = [];
+
+    for (const item of items) {
+      const billItem = bill.items.find((line) => line.id === item.billItemId);
+
+      if (!billItem) {
+        return res.status(400).json({
+          error: 'Invalid bill item',
+          message: `Bill item ${item.billItemId} does not belong to this bill`
+        });
+      }
+
+      const returnableQuantity = billItem.quantity - (restocked[billItem.id] || 0);
+      const quantity = parseInt(item.quantity);
+
+      if (quantity > returnableQuantity) {
+        return res.status(400).json({
+          error: 'Invalid return quantity',
+          message: `Only ${returnableQuantity} unit(s) of bill item ${billItem.id} can be returned`
+        });
+      }
+
+      // Refund what the customer actually paid per unit, after discount and with tax
+      const linePaid = billItem.taxableAmount + billItem.cgstAmount + billItem.sgstAmount + billItem.igstAmount;
+      const unitPrice = linePaid / billItem.quantity;
+      const itemTotal = roundAmount(unitPrice * quantity);
+      totalAmount += itemTotal;
+
+      creditNoteItems.push({
+        billItemId: billItem.id,
+        quantity,
+        unitPrice,
+        totalPrice: itemTotal
+      });
+
+      restock.push({
+        productId: billItem.productId,
+        variantId: billItem.variantId,
+        quantity
+      });
+    }
+
+    const creditNote = await prisma.$transaction(async (tx) => {
+      // Check again under the bill lock: a concurrent return against the same
+      // lines may have committed since the bill was read
+      await lockBill(tx, billId);
+
+      // The bill may have been voided since it was read
+      const current = await tx.bill.findUnique({ where: { id: billId } });
+      if (['VOID', 'DRAFT'].includes(current.paymentStatus)) {
+        const error = new Error(`Items cannot be returned against a ${current.paymentStatus.toLowerCase()} bill`);
+        error.status = 400;
+        throw error;
+      }
+
+      const returned = await getRestockedQuantities(tx, billId, creditNoteItems.map((line) => line.billItemId));
+
+      for (const line of creditNoteItems) {
+        const billItem = bill.items.find((item) => item.id === line.billItemId);
+        const returnedQuantity = returned[line.billItemId] || 0;
+        const requestedQuantity = creditNoteItems
+          .filter((other) => other.billItemId === line.billItemId)
+          .reduce((sum, other) => sum + other.quantity, 0);
+
+        if (returnedQuantity + requestedQuantity > billItem.quantity) {
+          const error = new Error(`Only ${Math.max(billItem.quantity - returnedQuantity, 0)} unit(s) of bill item ${billItem.id} can be returned`);
+          error.status = 400;
+          throw error;
+        }
+      }
+
+      const creditNoteNumber = await nextSequenceNumber(tx, 'CREDIT_NOTE');
+
+      const createdNote = await tx.creditNote.create({
+        data: {
+          creditNoteNumber,
+          billId,
+          reason: reason || null,
+          totalAmount,
+          items: {
+            create: creditNoteItems
+          }
+        },
+        include: {
+          items: {
+            include: {
+              billItem: {
+                include: {
+                  product: true,
+                  variant: true
+                }
+              }
+            }
+          }
+        }
+      });
+
+      await restockItems(tx, restock, {
+        referenceType: 'CREDIT_NOTE',
+        referenceId: createdNote.id,
+        createdBy
+      });
+
+      return createdNote;
+    });
+
+    res.status(201).json({
+      message: 'Credit note created successfully',
+      creditNote
+    });
+  } catch (error) {
+    console.error('Error creating credit note:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to create credit note',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { withBalance } = require('../utils/payments');
+const { PAYMENT_PROVIDERS } = require('../utils/paymentProviders');
+const { startCheckout } = require('../utils/checkout');
+const { isLinkExpired, getLinkAmount } = require('../utils/paymentLinks');
+const { getItemTitle } = require('../utils/variants');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Public routes: the token in the URL is the only credential, so only what
+// the customer needs to see is returned
+
+const findLink = (token) => prisma.paymentLink.findUnique({
+  where: { token },
+  include: {
+    bill: {
+      include: {
+        customer: true,
+        items: {
+          include: {
+            product: true,
+            variant: true
+          }
+        }
+      }
+    }
+  }
+});
+
+// Read-only bill summary for the customer
+const buildBillSummary = (bill) => {
+  const { balanceDue } = withBalance(bill);
+
+  return {
+    billNumber: bill.billNumber,
+    date: bill.createdAt,
+    customerName: bill.customer.name,
+    items: bill.items.map((item) => ({
+      title: getItemTitle(item),
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      discountAmount: item.discountAmount,
+      totalPrice: item.totalPrice
+    })),
+    totalAmount: bill.totalAmount,
+    discountAmount: bill.discountAmount,
+    taxAmount: bill.taxAmount,
+    finalAmount: bill.finalAmount,
+    amountPaid: bill.amountPaid,
+    balanceDue,
+    paymentStatus: bill.paymentStatus
+  };
+};
+
+// Close a link that ran past its expiry and tell the customer
+const rejectExpired = async (link, res) => {
+  if (isLinkExpired(link)) {
+    await prisma.paymentLink.update({
+      where: { id: link.id },
+      data: { status: 'EXPIRED' }
+    });
+  }
+
+  return res.status(410).json({
+    error: 'Payment link expired',
+    message: 'This payment link has expired, please ask the store for a new one'
+  });
+};
+
+// Record the first time the customer opens the link
+const markOpened = (link) => prisma.paymentLink.updateMany({
+  where: { id: link.id, status: 'SENT' },
+  data: {
+    status: 'OPENED',
+    openedAt: new Date()
+  }
+});
+
+// GET /api/pay/:token - Public bill summary for a payment link
+router.get('/:token', async (req, res) => {
+  try {
+    const link = await findLink(req.params.token);
+
+    if (!link) {
+      return res.status(404).json({
+        error: 'Payment link not found',
+        message: 'The requested payment link does not exist'
+      });
+    }
+
+    if (link.status === 'EXPIRED' || isLinkExpired(link)) {
+      return rejectExpired(link, res);
+    }
+
+    await markOpened(link);
+
+    res.json({
+      paymentLink: {
+        status: link.status === 'SENT' ? 'OPENED' : link.status,
+        expiresAt: link.expiresAt,
+        amount: getLinkAmount(link, link.bill)
+      },
+      bill: buildBillSummary(link.bill)
+    });
+  } catch (error) {
+    console.error('Error fetching payment link:', error);
+    res.status(500).json({
+      error: 'Failed to fetch payment link',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/pay/:token/checkout - Start the provider checkout for a payment link
+router.post('/:token/checkout', [
+  body('provider')
+    .optional()
+    .customSanitizer((value) => String(value).toUpperCase())
+    .isIn(PAYMENT_PROVIDERS)
+    .withMessage(`Provider must be one of ${PAYMENT_PROVIDERS.join(', ')}`)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const link = await findLink(req.params.token);
+
+    if (!link) {
+      return res.status(404).json({
+        error: 'Payment link not found',
+        message: 'The requested payment link does not exist'
+      });
+    }
+
+    if (link.status === 'EXPIRED' || isLinkExpired(link)) {
+      return rejectExpired(link, res);
+    }
+
+    const amount = getLinkAmount(link, link.bill);
+
+    if (link.status === 'PAID' || !['PENDING', 'PARTIAL'].includes(link.bill.paymentStatus) || amount <= 0) {
+      return res.status(400).json({
+        error: 'Bill cannot be paid',
+        message: 'Nothing is due on this payment link'
+      });
+    }
+
+    const { provider, session } = await startCheckout(prisma, link.bill, {
+      providerName: req.body.provider,
+      amount
+    });
+
+    await markOpened(link);
+    await prisma.paymentLink.update({
+      where: { id: link.id },
+      data: { checkoutSessionId: session.id }
+    });
+
+    res.json({
+      provider: provider.name,
+      url: session.url,
+      sessionId: session.id
+    });
+  } catch (error) {
+    console.error('Error starting payment link checkout:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to start checkout',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,249 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { roundAmount } = require('../utils/tax');
+const { withBalance } = require('../utils/payments');
+const { OPEN_LINK_STATUSES, generateLinkToken, getDefaultExpiry, isLinkExpired, withLinkUrl } = require('../utils/paymentLinks');
+const { expireLinkCheckout } = require('../utils/checkoutSessions');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Links past their expiry read as expired even before the cleanup job runs
+const withLinkStatus = (link) => withLinkUrl(isLinkExpired(link) ? { ...link, status: 'EXPIRED' } : link);
+
+// GET /api/payment-links - Get payment links with pagination
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('billId').optional().trim(),
+  query('status').optional().isIn(['SENT', 'OPENED', 'PAID', 'EXPIRED'])
+], handleValidationErrors, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      billId,
+      status
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    // Build where clause
+    const where = {};
+
+    if (billId) {
+      where.billId = billId;
+    }
+
+    if (status === 'EXPIRED') {
+      where.OR = [
+        { status: 'EXPIRED' },
+        { status: { in: OPEN_LINK_STATUSES }, expiresAt: { lt: new Date() } }
+      ];
+    } else if (status) {
+      where.status = status;
+      if (OPEN_LINK_STATUSES.includes(status)) {
+        where.expiresAt = { gte: new Date() };
+      }
+    }
+
+    const totalCount = await prisma.paymentLink.count({ where });
+
+    const paymentLinks = await prisma.paymentLink.findMany({
+      where,
+      skip,
+      take,
+      include: {
+        bill: {
+          select: {
+            billNumber: true,
+            finalAmount: true,
+            paymentStatus: true
+          }
+        }
+      },
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+
+    res.json({
+      paymentLinks: paymentLinks.map(withLinkStatus),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        pages: Math.ceil(totalCount / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching payment links:', error);
+    res.status(500).json({
+      error: 'Failed to fetch payment links',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/payment-links/:id - Get single payment link
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const paymentLink = await prisma.paymentLink.findUnique({
+      where: { id },
+      include: {
+        bill: true
+      }
+    });
+
+    if (!paymentLink) {
+      return res.status(404).json({
+        error: 'Payment link not found',
+        message: 'The requested payment link does not exist'
+      });
+    }
+
+    res.json({
+      paymentLink: withLinkStatus({ ...paymentLink, bill: withBalance(paymentLink.bill) })
+    });
+  } catch (error) {
+    console.error('Error fetching payment link:', error);
+    res.status(500).json({
+      error: 'Failed to fetch payment link',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/payment-links - Create a payment link for a pending bill
+router.post('/', [
+  body('billId').trim().notEmpty().withMessage('Bill ID is required'),
+  body('amount').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('expiresAt').optional().isISO8601().toDate(),
+  body('sentTo').optional().trim(),
+  body('createdBy').optional().trim()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { billId, expiresAt, sentTo, createdBy } = req.body;
+    const amount = req.body.amount ? roundAmount(parseFloat(req.body.amount)) : null;
+
+    const bill = await prisma.bill.findUnique({
+      where: { id: billId }
+    });
+
+    if (!bill) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        message: 'The requested bill does not exist'
+      });
+    }
+
+    if (!['PENDING', 'PARTIAL'].includes(bill.paymentStatus)) {
+      return res.status(400).json({
+        error: 'Bill cannot be paid',
+        message: `A ${bill.paymentStatus.toLowerCase()} bill cannot be paid by link`
+      });
+    }
+
+    const { balanceDue } = withBalance(bill);
+    if (amount && amount > balanceDue) {
+      return res.status(400).json({
+        error: 'Payment exceeds balance',
+        message: `Balance due on this bill is ${balanceDue}`
+      });
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({
+        error: 'Invalid expiry',
+        message: 'Expiry must be in the future'
+      });
+    }
+
+    const paymentLink = await prisma.paymentLink.create({
+      data: {
+        token: generateLinkToken(),
+        billId,
+        amount,
+        expiresAt: expiresAt ? new Date(expiresAt) : getDefaultExpiry(),
+        sentTo: sentTo || null,
+        createdBy: createdBy || null
+      }
+    });
+
+    res.status(201).json({
+      message: 'Payment link created successfully',
+      paymentLink: withLinkUrl(paymentLink)
+    });
+  } catch (error) {
+    console.error('Error creating payment link:', error);
+    res.status(500).json({
+      error: 'Failed to create payment link',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/payment-links/:id/expire - Stop a payment link from being used
+router.post('/:id/expire', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const paymentLink = await prisma.paymentLink.findUnique({
+      where: { id }
+    });
+
+    if (!paymentLink) {
+      return res.status(404).json({
+        error: 'Payment link not found',
+        message: 'The requested payment link does not exist'
+      });
+    }
+
+    if (paymentLink.status === 'PAID') {
+      return res.status(400).json({
+        error: 'Payment link is paid',
+        message: 'A paid payment link cannot be expired'
+      });
+    }
+
+    const updatedLink = await prisma.paymentLink.update({
+      where: { id },
+      data: {
+        status: 'EXPIRED',
+        expiresAt: paymentLink.expiresAt < new Date() ? paymentLink.expiresAt : new Date()
+      }
+    });
+
+    // The checkout started from the link could otherwise still be paid
+    await expireLinkCheckout(prisma, updatedLink);
+
+    res.json({
+      message: 'Payment link expired successfully',
+      paymentLink: withLinkUrl(updatedLink)
+    });
+  } catch (error) {
+    console.error('Error expiring payment link:', error);
+    res.status(500).json({
+      error: 'Failed to expire payment link',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,21 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
+const { STOCK_MOVEMENT_REASONS, moveStock, refreshAvailability } = require('../utils/stock');
+const { findLowStockItems } = require('../utils/lowStock');
+const { normalizeVariantOptions, isSameOptions } = require('../utils/variants');
+const { SHEET_FORMATS, CONTENT_TYPES, detectFormat, readSheet, writeSheet } = require('../utils/spreadsheets');
+const { PRODUCT_COLUMNS, INLINE_IMPORT_ROWS, toProductRow, runImportJob } = require('../utils/productImport');
+const { lockProduct, lockVariant } = require('../utils/locks');
+const {
+  isGtin,
+  hasValidCheckDigit,
+  isValidBarcode,
+  parseWeighedBarcode,
+  describeWeighedItem,
+  findByCode,
+  findCodeConflict
+} = require('../utils/productCodes');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -17,6 +32,59 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Variants are listed under their product in the order they were added
+const variantInclude = {
+  variants: {
+    orderBy: {
+      createdAt: 'asc'
+    }
+  }
+};
+
+// Option axes are distinct, non-empty names such as "size" or "colour"
+const optionAxesValidation = body('optionAxes')
+  .optional()
+  .isArray().withMessage('Option axes must be an array')
+  .custom((axes) => {
+    const names = axes.map((axis) => (typeof axis === 'string' ? axis.trim() : ''));
+    if (names.some((name) => !name)) {
+      throw new Error('Each option axis must be a non-empty name');
+    }
+    if (new Set(names.map((name) => name.toLowerCase())).size !== names.length) {
+      throw new Error('Option axes must be unique');
+    }
+    return true;
+  })
+  .customSanitizer((axes) => axes.map((axis) => axis.trim()));
+
+// Where clause for the listing's search and category filters
+const buildProductFilter = (search, category) => {
+  const where = {};
+
+  if (search) {
+    where.OR = [
+      { title: { contains: search, mode: 'insensitive' } },
+      { description: { contains: search, mode: 'insensitive' } },
+      { brand: { contains: search, mode: 'insensitive' } },
+      { sku: { contains: search, mode: 'insensitive' } },
+      { barcode: search },
+      { variants: { some: { sku: { contains: search, mode: 'insensitive' } } } },
+      { variants: { some: { barcode: search } } }
+    ];
+  }
+
+  if (category) {
+    where.category = { contains: category, mode: 'insensitive' };
+  }
+
+  return where;
+};
+
+const barcodeValidation = body('barcode')
+  .optional({ nullable: true })
+  .trim()
+  .custom((value) => !value || isValidBarcode(value)).withMessage('Barcode check digit is invalid');
+
 // GET /api/products - Get all products with pagination and search
 router.get('/', [
   query('page').optional().isInt({ min: 1 }),
@@ -39,20 +107,7 @@ router.get('/', [
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const take = parseInt(limit);
 
-    // Build where clause
-    const where = {};
-    
-    if (search) {
-      where.OR = [
-        { title: { contains: search, mode: 'insensitive' } },
-        { description: { contains: search, mode: 'insensitive' } },
-        { brand: { contains: search, mode: 'insensitive' } }
-      ];
-    }
-    
-    if (category) {
-      where.category = { contains: category, mode: 'insensitive' };
-    }
+    const where = buildProductFilter(search, category);
 
     // Get total count for pagination
     const totalCount = await prisma.product.count({ where });
@@ -62,6 +117,7 @@ router.get('/', [
       where,
       skip,
       take,
+      include: variantInclude,
       orderBy: {
         [sortBy]: sortOrder
       }
@@ -85,13 +141,227 @@ router.get('/', [
   }
 });
 
+// GET /api/products/low-stock - Products and variants at or below their reorder level
+router.get('/low-stock', [
+  query('category').optional().trim()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const items = await findLowStockItems(prisma, { category: req.query.category });
+
+    res.json({
+      items,
+      count: items.length
+    });
+  } catch (error) {
+    console.error('Error fetching low stock products:', error);
+    res.status(500).json({
+      error: 'Failed to fetch low stock products',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/products/export - Download the products matching the listing filters
+router.get('/export', [
+  query('format').optional().isIn(SHEET_FORMATS),
+  query('search').optional().trim(),
+  query('category').optional().trim(),
+  query('sortBy').optional().isIn(['title', 'price', 'stock', 'createdAt']),
+  query('sortOrder').optional().isIn(['asc', 'desc'])
+], handleValidationErrors, async (req, res) => {
+  try {
+    const {
+      format = 'csv',
+      search,
+      category,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const products = await prisma.product.findMany({
+      where: buildProductFilter(search, category),
+      orderBy: {
+        [sortBy]: sortOrder
+      }
+    });
+
+    const file = await writeSheet(PRODUCT_COLUMNS, products.map(toProductRow), format);
+    const date = new Date().toISOString().split('T')[0];
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="products-${date}.${format}"`);
+    res.send(file);
+  } catch (error) {
+    console.error('Error exporting products:', error);
+    res.status(500).json({
+      error: 'Failed to export products',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/products/import - Create or update products by SKU (or by barcode on
+// rows without one) from a CSV or XLSX file sent as the request body. Large
+// files are imported in the background.
+router.post('/import', express.raw({
+  type: ['text/csv', 'text/plain', CONTENT_TYPES.xlsx, 'application/octet-stream'],
+  limit: '10mb'
+}), [
+  query('format').optional().isIn(SHEET_FORMATS),
+  query('fileName').optional().trim(),
+  query('dryRun').optional().isBoolean().toBoolean(),
+  query('createdBy').optional().trim()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { fileName, dryRun, createdBy } = req.query;
+    const format = req.query.format || detectFormat(req.get('Content-Type'), fileName);
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0 || !format) {
+      return res.status(400).json({
+        error: 'File is required',
+        message: 'Send the CSV or XLSX file as the request body with its content type'
+      });
+    }
+
+    let rows;
+    try {
+      rows = await readSheet(req.body, format);
+    } catch (parseError) {
+      return res.status(400).json({
+        error: 'Invalid file',
+        message: `Could not read the ${format.toUpperCase()} file: ${parseError.message}`
+      });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid file',
+        message: 'The file has no product rows'
+      });
+    }
+
+    const job = await prisma.productImportJob.create({
+      data: {
+        fileName: fileName || null,
+        format,
+        dryRun: dryRun === true,
+        createdBy: createdBy || null,
+        totalRows: rows.length
+      }
+    });
+
+    if (rows.length > INLINE_IMPORT_ROWS) {
+      runImportJob(prisma, job.id, rows).catch((error) => {
+        console.error(`Error running product import ${job.id}:`, error);
+      });
+
+      return res.status(202).json({
+        message: 'Product import started',
+        job
+      });
+    }
+
+    const finishedJob = await runImportJob(prisma, job.id, rows);
+
+    res.json({
+      message: dryRun ? 'Product import checked' : 'Product import completed',
+      job: finishedJob
+    });
+  } catch (error) {
+    console.error('Error importing products:', error);
+    res.status(500).json({
+      error: 'Failed to import products',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/products/import/:jobId - Progress and row report of a product import
+router.get('/import/:jobId', async (req, res) => {
+  try {
+    const job = await prisma.productImportJob.findUnique({
+      where: { id: req.params.jobId }
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Import job not found',
+        message: 'The requested import job does not exist'
+      });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    console.error('Error fetching import job:', error);
+    res.status(500).json({
+      error: 'Failed to fetch import job',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/products/lookup - Find the product or variant for a scanned code
+router.get('/lookup', [
+  query('code').trim().notEmpty().withMessage('Code is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { code } = req.query;
+
+    // A misread scan fails its check digit rather than matching the wrong item
+    if (isGtin(code) && !hasValidCheckDigit(code)) {
+      return res.status(400).json({
+        error: 'Invalid barcode',
+        message: `Check digit of ${code} is invalid`
+      });
+    }
+
+    const match = await findByCode(prisma, code);
+
+    if (match) {
+      return res.json({
+        product: match.product,
+        variant: match.variant,
+        matchedOn: match.matchedOn
+      });
+    }
+
+    // Weighed items are labelled by the scale with their price or weight
+    const weighed = parseWeighedBarcode(code);
+    const scaleMatch = weighed && await findByCode(prisma, weighed.scaleCode);
+
+    if (scaleMatch) {
+      const { product, variant } = scaleMatch;
+      const unitPrice = variant && variant.price !== null ? variant.price : product.price;
+
+      return res.json({
+        product,
+        variant,
+        matchedOn: 'WEIGHED',
+        weighed: describeWeighedItem(weighed, unitPrice)
+      });
+    }
+
+    res.status(404).json({
+      error: 'Product not found',
+      message: `No product or variant has the code ${code}`
+    });
+  } catch (error) {
+    console.error('Error looking up product code:', error);
+    res.status(500).json({
+      error: 'Failed to look up product code',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/products/:id - Get single product
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
     const product = await prisma.product.findUnique({
-      where: { id }
+      where: { id },
+      include: variantInclude
     });
 
     if (!product) {
@@ -127,9 +397,34 @@ router.post('/', [
   body('warrantyInformation').optional().trim(),
   body('shippingInformation').optional().trim(),
   body('returnPolicy').optional().trim(),
-  body('minimumOrderQuantity').optional().isInt({ min: 1 }).withMessage('Minimum order quantity must be at least 1')
+  body('minimumOrderQuantity').optional().isInt({ min: 1 }).withMessage('Minimum order quantity must be at least 1'),
+  body('hsnCode').optional().trim(),
+  body('taxRate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+  body('reorderLevel').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Reorder level must be a non-negative integer'),
+  body('reorderQuantity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Reorder quantity must be at least 1'),
+  body('sku').optional({ nullable: true }).trim(),
+  barcodeValidation,
+  optionAxesValidation
 ], handleValidationErrors, async (req, res) => {
   try {
+    const optionAxes = req.body.optionAxes || [];
+    const { sku, barcode } = req.body;
+
+    if (await findCodeConflict(prisma, { sku, barcode })) {
+      return res.status(400).json({
+        error: 'Product already exists',
+        message: 'A product or variant with this SKU or barcode already exists'
+      });
+    }
+
+    // Stock of a product sold by variant is held on its variants
+    if (optionAxes.length > 0 && parseInt(req.body.stock) > 0) {
+      return res.status(400).json({
+        error: 'Stock is held on variants',
+        message: 'Create the product with stock 0 and add stock to its variants'
+      });
+    }
+
     const productData = {
       title: req.body.title,
       price: parseFloat(req.body.price),
@@ -145,11 +440,29 @@ router.post('/', [
       shippingInformation: req.body.shippingInformation || null,
       returnPolicy: req.body.returnPolicy || null,
       minimumOrderQuantity: req.body.minimumOrderQuantity ? parseInt(req.body.minimumOrderQuantity) : 1,
+      hsnCode: req.body.hsnCode || null,
+      taxRate: req.body.taxRate ? parseFloat(req.body.taxRate) : 0,
+      reorderLevel: req.body.reorderLevel !== undefined && req.body.reorderLevel !== null ? parseInt(req.body.reorderLevel) : null,
+      reorderQuantity: req.body.reorderQuantity ? parseInt(req.body.reorderQuantity) : null,
+      sku: sku || null,
+      barcode: barcode || null,
+      optionAxes,
       availabilityStatus: parseInt(req.body.stock) > 0 ? 'In Stock' : 'Out of Stock'
     };
 
-    const product = await prisma.product.create({
-      data: productData
+    // Opening stock goes through the ledger like any other change
+    const product = await prisma.$transaction(async (tx) => {
+      const createdProduct = await tx.product.create({
+        data: { ...productData, stock: 0 }
+      });
+
+      if (productData.stock === 0) return createdProduct;
+
+      const result = await moveStock(tx, createdProduct.id, productData.stock, {
+        reason: 'ADJUSTMENT',
+        note: 'Opening stock'
+      });
+      return result.product;
     });
 
     res.status(201).json({
@@ -176,14 +489,27 @@ router.put('/:id', [
   body('thumbnail').optional().isURL().withMessage('Thumbnail must be a valid URL'),
   body('images').optional().isArray().withMessage('Images must be an array'),
   body('rating').optional().isFloat({ min: 0, max: 5 }).withMessage('Rating must be between 0 and 5'),
-  body('tags').optional().isArray().withMessage('Tags must be an array')
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('hsnCode').optional().trim(),
+  body('taxRate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+  body('reorderLevel').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Reorder level must be a non-negative integer'),
+  body('reorderQuantity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Reorder quantity must be at least 1'),
+  body('sku').optional({ nullable: true }).trim(),
+  body('createdBy').optional().trim(),
+  barcodeValidation,
+  optionAxesValidation
 ], handleValidationErrors, async (req, res) => {
   try {
     const { id } = req.params;
     
     // Check if product exists
     const existingProduct = await prisma.product.findUnique({
-      where: { id }
+      where: { id },
+      include: {
+        _count: {
+          select: { variants: true }
+        }
+      }
     });
 
     if (!existingProduct) {
@@ -193,25 +519,80 @@ router.put('/:id', [
       });
     }
 
+    if (await findCodeConflict(prisma, { sku: req.body.sku, barcode: req.body.barcode }, { productId: id })) {
+      return res.status(400).json({
+        error: 'Product already exists',
+        message: 'A product or variant with this SKU or barcode already exists'
+      });
+    }
+
+    const hasVariants = existingProduct._count.variants > 0;
+
+    if (req.body.stock !== undefined && (hasVariants || existingProduct.optionAxes.length > 0)) {
+      return res.status(400).json({
+        error: 'Stock is held on variants',
+        message: 'Update the stock of each variant instead'
+      });
+    }
+
+    if (req.body.optionAxes !== undefined) {
+      const axesChanged = req.body.optionAxes.join('\n') !== existingProduct.optionAxes.join('\n');
+
+      if (axesChanged && hasVariants) {
+        return res.status(400).json({
+          error: 'Cannot change option axes',
+          message: 'Delete the variants of this product before changing its option axes'
+        });
+      }
+
+      if (axesChanged && req.body.optionAxes.length > 0 && existingProduct.stock > 0) {
+        return res.status(400).json({
+          error: 'Cannot add option axes',
+          message: 'Bring the product stock to 0 before selling it by variant'
+        });
+      }
+    }
+
     // Update only provided fields
     const updateData = {};
     Object.keys(req.body).forEach(key => {
-      if (req.body[key] !== undefined) {
+      if (req.body[key] !== undefined && key !== 'createdBy') {
         if (key === 'price') updateData[key] = parseFloat(req.body[key]);
         else if (key === 'stock' || key === 'minimumOrderQuantity') updateData[key] = parseInt(req.body[key]);
-        else if (key === 'rating') updateData[key] = parseFloat(req.body[key]);
+        else if (key === 'rating' || key === 'taxRate') updateData[key] = parseFloat(req.body[key]);
+        else if (key === 'sku' || key === 'barcode') updateData[key] = req.body[key] || null;
+        else if (key === 'reorderLevel' || key === 'reorderQuantity') updateData[key] = req.body[key] === null ? null : parseInt(req.body[key]);
         else updateData[key] = req.body[key];
       }
     });
 
-    // Update availability status based on stock
-    if ('stock' in updateData) {
-      updateData.availabilityStatus = updateData.stock > 0 ? 'In Stock' : 'Out of Stock';
-    }
+    // A new stock count is recorded as an adjustment by the difference from
+    // the count as it is now; the row is locked so a sale cannot slip between
+    const { stock, ...productData } = updateData;
 
-    const product = await prisma.product.update({
-      where: { id },
-      data: updateData
+    const product = await prisma.$transaction(async (tx) => {
+      await lockProduct(tx, id);
+
+      let updatedProduct = await tx.product.update({
+        where: { id },
+        data: productData
+      });
+
+      if (stock !== undefined && stock !== updatedProduct.stock) {
+        const result = await moveStock(tx, id, stock - updatedProduct.stock, {
+          reason: 'ADJUSTMENT',
+          note: 'Stock count updated',
+          createdBy: req.body.createdBy
+        });
+        updatedProduct = result.product;
+      }
+
+      // A new reorder level can move the product in or out of low stock
+      if (productData.reorderLevel !== undefined) {
+        updatedProduct = await refreshAvailability(tx, id);
+      }
+
+      return updatedProduct;
     });
 
     res.json({
@@ -220,13 +601,433 @@ router.put('/:id', [
     });
   } catch (error) {
     console.error('Error updating product:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to update product',
       message: error.message
     });
   }
 });
 
+// GET /api/products/:id/stock-history - Stock movements of a product, newest first
+router.get('/:id/stock-history', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('reason').optional().isIn(STOCK_MOVEMENT_REASONS),
+  query('startDate').optional().isISO8601().toDate(),
+  query('endDate').optional().isISO8601().toDate()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      page = 1,
+      limit = 50,
+      reason,
+      startDate,
+      endDate
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const product = await prisma.product.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        title: true,
+        stock: true,
+        availabilityStatus: true
+      }
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        error: 'Product not found',
+        message: 'The requested product does not exist'
+      });
+    }
+
+    // Build where clause
+    const where = { productId: id };
+
+    if (reason) {
+      where.reason = reason;
+    }
+
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) where.createdAt.lte = new Date(endDate);
+    }
+
+    const totalCount = await prisma.stockMovement.count({ where });
+
+    const movements = await prisma.stockMovement.findMany({
+      where,
+      skip,
+      take,
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+
+    res.json({
+      product,
+      movements,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        pages: Math.ceil(totalCount / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching stock history:', error);
+    res.status(500).json({
+      error: 'Failed to fetch stock history',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/products/:id/stock-movements - Record a purchase, transfer or adjustment
+router.post('/:id/stock-movements', [
+  body('delta').isInt().withMessage('Delta must be a whole number')
+    .custom((value) => parseInt(value) !== 0).withMessage('Delta cannot be zero'),
+  body('reason').isIn(['ADJUSTMENT', 'PURCHASE', 'TRANSFER']).withMessage('Reason must be ADJUSTMENT, PURCHASE or TRANSFER'),
+  body('variantId').optional().trim(),
+  body('referenceType').optional().trim(),
+  body('referenceId').optional().trim(),
+  body('note').optional().trim(),
+  body('createdBy').optional().trim()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, variantId, referenceType, referenceId, note, createdBy } = req.body;
+
+    const existingProduct = await prisma.product.findUnique({
+      where: { id }
+    });
+
+    if (!existingProduct) {
+      return res.status(404).json({
+        error: 'Product not found',
+        message: 'The requested product does not exist'
+      });
+    }
+
+    if (existingProduct.optionAxes.length > 0 && !variantId) {
+      return res.status(400).json({
+        error: 'Variant is required',
+        message: 'Stock of this product is held on its variants'
+      });
+    }
+
+    if (variantId) {
+      const variant = await prisma.productVariant.findFirst({
+        where: { id: variantId, productId: id }
+      });
+
+      if (!variant) {
+        return res.status(404).json({
+          error: 'Variant not found',
+          message: 'The requested variant does not exist'
+        });
+      }
+    }
+
+    const { product, variant, movement } = await prisma.$transaction((tx) => moveStock(tx, id, parseInt(req.body.delta), {
+      reason,
+      variantId,
+      referenceType,
+      referenceId,
+      note,
+      createdBy
+    }));
+
+    res.status(201).json({
+      message: 'Stock movement recorded successfully',
+      product,
+      variant,
+      movement
+    });
+  } catch (error) {
+    console.error('Error recording stock movement:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to record stock movement',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/products/:id/variants - Get the variants of a product
+router.get('/:id/variants', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const product = await prisma.product.findUnique({
+      where: { id },
+      include: variantInclude
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        error: 'Product not found',
+        message: 'The requested product does not exist'
+      });
+    }
+
+    res.json({
+      optionAxes: product.optionAxes,
+      variants: product.variants
+    });
+  } catch (error) {
+    console.error('Error fetching variants:', error);
+    res.status(500).json({
+      error: 'Failed to fetch variants',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/products/:id/variants - Add a variant to a product
+router.post('/:id/variants', [
+  body('options').isObject().withMessage('Options must be an object of axis values'),
+  body('sku').optional({ nullable: true }).trim(),
+  barcodeValidation,
+  body('price').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  body('isActive').optional().isBoolean().toBoolean(),
+  body('createdBy').optional().trim()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sku, barcode, isActive, createdBy } = req.body;
+
+    const product = await prisma.product.findUnique({
+      where: { id },
+      include: variantInclude
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        error: 'Product not found',
+        message: 'The requested product does not exist'
+      });
+    }
+
+    const { options, error: optionsError } = normalizeVariantOptions(product, req.body.options);
+
+    if (optionsError) {
+      return res.status(400).json({
+        error: 'Invalid variant options',
+        message: optionsError
+      });
+    }
+
+    if (product.variants.some((variant) => isSameOptions(variant.options, options, product.optionAxes))) {
+      return res.status(400).json({
+        error: 'Variant already exists',
+        message: 'A variant with these options already exists'
+      });
+    }
+
+    if (await findCodeConflict(prisma, { sku, barcode })) {
+      return res.status(400).json({
+        error: 'Variant already exists',
+        message: 'A product or variant with this SKU or barcode already exists'
+      });
+    }
+
+    const stock = req.body.stock !== undefined ? parseInt(req.body.stock) : 0;
+
+    // Opening stock goes through the ledger like any other change
+    const variant = await prisma.$transaction(async (tx) => {
+      const createdVariant = await tx.productVariant.create({
+        data: {
+          productId: id,
+          options,
+          sku: sku || null,
+          barcode: barcode || null,
+          price: req.body.price !== undefined && req.body.price !== null ? parseFloat(req.body.price) : null,
+          stock: 0,
+          availabilityStatus: 'Out of Stock',
+          isActive: isActive !== undefined ? isActive : true
+        }
+      });
+
+      if (stock === 0) return createdVariant;
+
+      const result = await moveStock(tx, id, stock, {
+        reason: 'ADJUSTMENT',
+        variantId: createdVariant.id,
+        note: 'Opening stock',
+        createdBy
+      });
+      return result.variant;
+    });
+
+    res.status(201).json({
+      message: 'Variant created successfully',
+      variant
+    });
+  } catch (error) {
+    console.error('Error creating variant:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to create variant',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/products/:id/variants/:variantId - Update a variant
+router.put('/:id/variants/:variantId', [
+  body('options').optional().isObject().withMessage('Options must be an object of axis values'),
+  body('sku').optional({ nullable: true }).trim(),
+  barcodeValidation,
+  body('price').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  body('isActive').optional().isBoolean().toBoolean(),
+  body('createdBy').optional().trim()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { id, variantId } = req.params;
+    const { sku, barcode, isActive, createdBy } = req.body;
+
+    const product = await prisma.product.findUnique({
+      where: { id },
+      include: variantInclude
+    });
+    const existingVariant = product && product.variants.find((variant) => variant.id === variantId);
+
+    if (!existingVariant) {
+      return res.status(404).json({
+        error: 'Variant not found',
+        message: 'The requested variant does not exist'
+      });
+    }
+
+    const variantData = {};
+
+    if (req.body.options !== undefined) {
+      const { options, error: optionsError } = normalizeVariantOptions(product, req.body.options);
+
+      if (optionsError) {
+        return res.status(400).json({
+          error: 'Invalid variant options',
+          message: optionsError
+        });
+      }
+
+      const others = product.variants.filter((variant) => variant.id !== variantId);
+      if (others.some((variant) => isSameOptions(variant.options, options, product.optionAxes))) {
+        return res.status(400).json({
+          error: 'Variant already exists',
+          message: 'A variant with these options already exists'
+        });
+      }
+
+      variantData.options = options;
+    }
+
+    if (await findCodeConflict(prisma, { sku, barcode }, { variantId })) {
+      return res.status(400).json({
+        error: 'Variant already exists',
+        message: 'A product or variant with this SKU or barcode already exists'
+      });
+    }
+
+    if (sku !== undefined) variantData.sku = sku || null;
+    if (barcode !== undefined) variantData.barcode = barcode || null;
+    if (req.body.price !== undefined) variantData.price = req.body.price === null ? null : parseFloat(req.body.price);
+    if (isActive !== undefined) variantData.isActive = isActive;
+
+    // A new stock count is recorded as an adjustment by the difference from
+    // the count as it is now, read under a lock
+    const stock = req.body.stock !== undefined ? parseInt(req.body.stock) : undefined;
+
+    const variant = await prisma.$transaction(async (tx) => {
+      await lockVariant(tx, variantId);
+
+      const updatedVariant = await tx.productVariant.update({
+        where: { id: variantId },
+        data: variantData
+      });
+
+      if (stock === undefined || stock === updatedVariant.stock) return updatedVariant;
+
+      const result = await moveStock(tx, id, stock - updatedVariant.stock, {
+        reason: 'ADJUSTMENT',
+        variantId,
+        note: 'Stock count updated',
+        createdBy
+      });
+      return result.variant;
+    });
+
+    res.json({
+      message: 'Variant updated successfully',
+      variant
+    });
+  } catch (error) {
+    console.error('Error updating variant:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to update variant',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/products/:id/variants/:variantId - Delete a variant
+router.delete('/:id/variants/:variantId', async (req, res) => {
+  try {
+    const { id, variantId } = req.params;
+
+    const existingVariant = await prisma.productVariant.findFirst({
+      where: { id: variantId, productId: id }
+    });
+
+    if (!existingVariant) {
+      return res.status(404).json({
+        error: 'Variant not found',
+        message: 'The requested variant does not exist'
+      });
+    }
+
+    // Stock held on the variant leaves the product's total with it
+    await prisma.$transaction(async (tx) => {
+      if (existingVariant.stock > 0) {
+        await moveStock(tx, id, -existingVariant.stock, {
+          reason: 'ADJUSTMENT',
+          variantId,
+          note: 'Variant deleted'
+        });
+      }
+
+      await tx.productVariant.delete({
+        where: { id: variantId }
+      });
+    });
+
+    res.json({
+      message: 'Variant deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting variant:', error);
+
+    if (error.code === 'P2003') {
+      return res.status(400).json({
+        error: 'Cannot delete variant',
+        message: 'This variant is referenced in existing bills or quotations and cannot be deleted'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to delete variant',
+      message: error.message
+    });
+  }
+});
+
 // DELETE /api/products/:id - Delete product
 router.delete('/:id', async (req, res) => {
   try {
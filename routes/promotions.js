@@ -0,0 +1,315 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { PROMOTION_TYPES } = require('../utils/promotions');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const PROMOTION_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'productIds',
+  'categories',
+  'brands',
+  'tags',
+  'minQuantity',
+  'minAmount',
+  'buyQuantity',
+  'getQuantity',
+  'getDiscountPercent',
+  'bundleQuantity',
+  'bundlePrice',
+  'tiers',
+  'stackable',
+  'validFrom',
+  'validUntil',
+  'isActive'
+];
+
+// Pick promotion fields from a request body
+const buildPromotionData = (payload) => {
+  const data = {};
+  PROMOTION_FIELDS.forEach((key) => {
+    if (payload[key] !== undefined) {
+      data[key] = payload[key];
+    }
+  });
+
+  ['minQuantity', 'buyQuantity', 'getQuantity', 'bundleQuantity'].forEach((key) => {
+    if (data[key] !== undefined && data[key] !== null) data[key] = parseInt(data[key]);
+  });
+  ['minAmount', 'getDiscountPercent', 'bundlePrice'].forEach((key) => {
+    if (data[key] !== undefined && data[key] !== null) data[key] = parseFloat(data[key]);
+  });
+
+  return data;
+};
+
+// Settings each promotion type needs, checked on the merged record
+const getRuleError = (promotion) => {
+  switch (promotion.type) {
+    case 'BUY_X_GET_Y':
+      if (!promotion.buyQuantity || !promotion.getQuantity) {
+        return 'Buy X get Y promotions need buyQuantity and getQuantity';
+      }
+      return null;
+    case 'BUNDLE':
+      if (!promotion.bundleQuantity || promotion.bundlePrice === null || promotion.bundlePrice === undefined) {
+        return 'Bundle promotions need bundleQuantity and bundlePrice';
+      }
+      return null;
+    case 'TIERED': {
+      const tiers = promotion.tiers || [];
+      if (tiers.length === 0) {
+        return 'Tiered promotions need at least one tier';
+      }
+      const invalid = tiers.some((tier) => (
+        !['PERCENT', 'FLAT'].includes(tier.discountType) ||
+        !(tier.discountValue > 0) ||
+        (tier.discountType === 'PERCENT' && tier.discountValue > 100)
+      ));
+      return invalid ? 'Each tier needs a discountType of PERCENT or FLAT and a valid discountValue' : null;
+    }
+    default:
+      return null;
+  }
+};
+
+const promotionValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').trim().notEmpty().withMessage('Promotion name is required'),
+    body('description').optional().trim(),
+    field('type').isIn(PROMOTION_TYPES).withMessage(`Type must be one of ${PROMOTION_TYPES.join(', ')}`),
+    body('productIds').optional().isArray().withMessage('Product IDs must be an array'),
+    body('categories').optional().isArray().withMessage('Categories must be an array'),
+    body('brands').optional().isArray().withMessage('Brands must be an array'),
+    body('tags').optional().isArray().withMessage('Tags must be an array'),
+    body('minQuantity').optional().isInt({ min: 0 }).withMessage('Minimum quantity cannot be negative'),
+    body('minAmount').optional().isFloat({ min: 0 }).withMessage('Minimum amount cannot be negative'),
+    body('buyQuantity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Buy quantity must be at least 1'),
+    body('getQuantity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Get quantity must be at least 1'),
+    body('getDiscountPercent').optional().isFloat({ gt: 0, max: 100 }).withMessage('Get discount must be between 0 and 100'),
+    body('bundleQuantity').optional({ nullable: true }).isInt({ min: 2 }).withMessage('Bundle quantity must be at least 2'),
+    body('bundlePrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Bundle price cannot be negative'),
+    body('tiers').optional({ nullable: true }).isArray().withMessage('Tiers must be an array'),
+    body('stackable').optional().isBoolean().toBoolean(),
+    body('validFrom').optional().isISO8601().toDate(),
+    body('validUntil').optional({ nullable: true }).isISO8601().toDate(),
+    body('isActive').optional().isBoolean().toBoolean()
+  ];
+};
+
+// GET /api/promotions - Get all promotions with pagination
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('search').optional().trim(),
+  query('type').optional().isIn(PROMOTION_TYPES),
+  query('active').optional().isBoolean()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      type,
+      active
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    // Build where clause
+    const where = {};
+
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { description: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    if (type) {
+      where.type = type;
+    }
+
+    if (active !== undefined) {
+      where.isActive = active === 'true';
+    }
+
+    const totalCount = await prisma.promotion.count({ where });
+
+    const promotions = await prisma.promotion.findMany({
+      where,
+      skip,
+      take,
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+
+    res.json({
+      promotions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        pages: Math.ceil(totalCount / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch promotions',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/promotions/:id - Get single promotion
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const promotion = await prisma.promotion.findUnique({
+      where: { id }
+    });
+
+    if (!promotion) {
+      return res.status(404).json({
+        error: 'Promotion not found',
+        message: 'The requested promotion does not exist'
+      });
+    }
+
+    res.json({ promotion });
+  } catch (error) {
+    console.error('Error fetching promotion:', error);
+    res.status(500).json({
+      error: 'Failed to fetch promotion',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/promotions - Create new promotion
+router.post('/', promotionValidation(false), handleValidationErrors, async (req, res) => {
+  try {
+    const data = buildPromotionData(req.body);
+
+    const ruleError = getRuleError(data);
+    if (ruleError) {
+      return res.status(400).json({
+        error: 'Invalid promotion',
+        message: ruleError
+      });
+    }
+
+    const promotion = await prisma.promotion.create({ data });
+
+    res.status(201).json({
+      message: 'Promotion created successfully',
+      promotion
+    });
+  } catch (error) {
+    console.error('Error creating promotion:', error);
+    res.status(500).json({
+      error: 'Failed to create promotion',
+      message: error.message
+    });
+  }
+});
+
+// PUT /api/promotions/:id - Update promotion
+router.put('/:id', promotionValidation(true), handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingPromotion = await prisma.promotion.findUnique({
+      where: { id }
+    });
+
+    if (!existingPromotion) {
+      return res.status(404).json({
+        error: 'Promotion not found',
+        message: 'The requested promotion does not exist'
+      });
+    }
+
+    const data = buildPromotionData(req.body);
+
+    const ruleError = getRuleError({ ...existingPromotion, ...data });
+    if (ruleError) {
+      return res.status(400).json({
+        error: 'Invalid promotion',
+        message: ruleError
+      });
+    }
+
+    const promotion = await prisma.promotion.update({
+      where: { id },
+      data
+    });
+
+    res.json({
+      message: 'Promotion updated successfully',
+      promotion
+    });
+  } catch (error) {
+    console.error('Error updating promotion:', error);
+    res.status(500).json({
+      error: 'Failed to update promotion',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/promotions/:id - Delete promotion (bills keep their discount breakdown)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingPromotion = await prisma.promotion.findUnique({
+      where: { id }
+    });
+
+    if (!existingPromotion) {
+      return res.status(404).json({
+        error: 'Promotion not found',
+        message: 'The requested promotion does not exist'
+      });
+    }
+
+    await prisma.promotion.delete({
+      where: { id }
+    });
+
+    res.json({
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting promotion:', error);
+    res.status(500).json({
+      error: 'Failed to delete promotion',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
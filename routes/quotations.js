@@ -0,0 +1,363 @@
+const express = require('express');
+const { body, validationResult, query } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { buildTaxBreakdown } = require('../utils/tax');
+const { withBalance, isDuplicateUpiReference } = require('../utils/payments');
+const { nextSequenceNumber } = require('../utils/sequence');
+const { findOrCreateCustomer, priceItems, toCartItem, toCartItems, createBill } = require('../utils/billing');
+const { billValidation } = require('../middleware/validation');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const quotationInclude = {
+  customer: true,
+  items: {
+    include: {
+      product: true,
+      variant: true
+    }
+  }
+};
+
+// Add expiry and tax breakdown to a quotation read
+const formatQuotation = (quotation) => ({
+  ...quotation,
+  isExpired: quotation.status === 'OPEN' && new Date(quotation.validUntil) < new Date(),
+  taxBreakdown: buildTaxBreakdown(quotation.items)
+});
+
+// GET /api/quotations - Get all quotations with pagination
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('search').optional().trim(),
+  query('status').optional().isIn(['OPEN', 'CONVERTED', 'CANCELLED', 'EXPIRED'])
+], handleValidationErrors, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      status
+    } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    // Build where clause
+    const where = {};
+
+    if (search) {
+      where.OR = [
+        { quotationNumber: { contains: search, mode: 'insensitive' } },
+        { customer: { name: { contains: search, mode: 'insensitive' } } },
+        { customer: { mobileNumber: { contains: search, mode: 'insensitive' } } }
+      ];
+    }
+
+    // Expired is an open quotation past its validity date
+    if (status === 'EXPIRED') {
+      where.status = 'OPEN';
+      where.validUntil = { lt: new Date() };
+    } else if (status === 'OPEN') {
+      where.status = 'OPEN';
+      where.validUntil = { gte: new Date() };
+    } else if (status) {
+      where.status = status;
+    }
+
+    const totalCount = await prisma.quotation.count({ where });
+
+    const quotations = await prisma.quotation.findMany({
+      where,
+      skip,
+      take,
+      include: quotationInclude,
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+
+    res.json({
+      quotations: quotations.map(formatQuotation),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        pages: Math.ceil(totalCount / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching quotations:', error);
+    res.status(500).json({
+      error: 'Failed to fetch quotations',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/quotations/:id - Get single quotation
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const quotation = await prisma.quotation.findUnique({
+      where: { id },
+      include: quotationInclude
+    });
+
+    if (!quotation) {
+      return res.status(404).json({
+        error: 'Quotation not found',
+        message: 'The requested quotation does not exist'
+      });
+    }
+
+    res.json({ quotation: formatQuotation(quotation) });
+  } catch (error) {
+    console.error('Error fetching quotation:', error);
+    res.status(500).json({
+      error: 'Failed to fetch quotation',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/quotations - Create new quotation (stock is not touched)
+router.post('/', [
+  body('customerName').trim().notEmpty().withMessage('Customer name is required'),
+  body('mobileNumber').trim().notEmpty().withMessage('Mobile number is required'),
+  body('email').optional().isEmail().withMessage('Invalid email format'),
+  body('address').optional().trim(),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.productId').notEmpty().withMessage('Product ID is required for each item'),
+  body('items.*.variantId').optional().trim(),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  ...billValidation.itemDiscount,
+  body('discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  body('flatDiscount').optional().isFloat({ min: 0 }).withMessage('Flat discount cannot be negative'),
+  body('placeOfSupply').optional().trim(),
+  body('validUntil').optional().isISO8601().toDate(),
+  body('notes').optional().trim()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const {
+      customerName,
+      mobileNumber,
+      email,
+      address,
+      placeOfSupply,
+      notes
+    } = req.body;
+    const discountPercent = req.body.discountPercent ? parseFloat(req.body.discountPercent) : 0;
+    const flatDiscount = req.body.flatDiscount ? parseFloat(req.body.flatDiscount) : 0;
+
+    // Default validity comes from QUOTATION_VALIDITY_DAYS (15 days)
+    let validUntil = req.body.validUntil;
+    if (!validUntil) {
+      validUntil = new Date();
+      validUntil.setDate(validUntil.getDate() + (parseInt(process.env.QUOTATION_VALIDITY_DAYS) || 15));
+    }
+
+    const items = toCartItems(req.body.items);
+
+    const quotation = await prisma.$transaction(async (tx) => {
+      const customer = await findOrCreateCustomer(tx, { customerName, mobileNumber, email, address });
+      const pricing = await priceItems(tx, items, { discountPercent, flatDiscount, placeOfSupply });
+      const quotationNumber = await nextSequenceNumber(tx, 'QUOTATION');
+
+      return tx.quotation.create({
+        data: {
+          quotationNumber,
+          customerId: customer.id,
+          totalAmount: pricing.totalAmount,
+          discountPercent,
+          flatDiscount,
+          discountAmount: pricing.discountAmount,
+          discountBreakdown: pricing.discountBreakdown,
+          taxAmount: pricing.taxAmount,
+          finalAmount: pricing.finalAmount,
+          placeOfSupply: placeOfSupply || null,
+          notes: notes || null,
+          validUntil,
+          items: {
+            create: pricing.items
+          }
+        },
+        include: quotationInclude
+      });
+    });
+
+    res.status(201).json({
+      message: 'Quotation created successfully',
+      quotation: formatQuotation(quotation)
+    });
+  } catch (error) {
+    console.error('Error creating quotation:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to create quotation',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/quotations/:id/cancel - Cancel an open quotation
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingQuotation = await prisma.quotation.findUnique({
+      where: { id }
+    });
+
+    if (!existingQuotation) {
+      return res.status(404).json({
+        error: 'Quotation not found',
+        message: 'The requested quotation does not exist'
+      });
+    }
+
+    if (existingQuotation.status !== 'OPEN') {
+      return res.status(400).json({
+        error: 'Quotation not open',
+        message: `A ${existingQuotation.status.toLowerCase()} quotation cannot be cancelled`
+      });
+    }
+
+    const quotation = await prisma.quotation.update({
+      where: { id },
+      data: { status: 'CANCELLED' },
+      include: quotationInclude
+    });
+
+    res.json({
+      message: 'Quotation cancelled successfully',
+      quotation: formatQuotation(quotation)
+    });
+  } catch (error) {
+    console.error('Error cancelling quotation:', error);
+    res.status(500).json({
+      error: 'Failed to cancel quotation',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/quotations/:id/convert - Turn a valid quotation into a bill at the quoted prices
+router.post('/:id/convert', [
+  body('id').optional().trim().notEmpty(),
+  body('paymentMethod').optional().isIn(['CASH', 'CARD', 'UPI', 'BANK_TRANSFER', 'OTHER']),
+  body('tenders').optional().isArray().withMessage('Tenders must be an array'),
+  body('tenders.*.method').isIn(['CASH', 'CARD', 'UPI', 'BANK_TRANSFER', 'OTHER']).withMessage('Invalid tender method'),
+  body('tenders.*.amount').isFloat({ gt: 0 }).withMessage('Tender amount must be greater than 0'),
+  body('tenders.*.reference').optional().trim(),
+  body('couponCode').optional().trim().notEmpty().withMessage('Coupon code cannot be empty'),
+  body('createdBy').optional().trim()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { paymentMethod, tenders, couponCode, createdBy } = req.body;
+
+    const quotation = await prisma.quotation.findUnique({
+      where: { id },
+      include: quotationInclude
+    });
+
+    if (!quotation) {
+      return res.status(404).json({
+        error: 'Quotation not found',
+        message: 'The requested quotation does not exist'
+      });
+    }
+
+    if (quotation.status !== 'OPEN') {
+      return res.status(400).json({
+        error: 'Quotation not open',
+        message: `A ${quotation.status.toLowerCase()} quotation cannot be converted`
+      });
+    }
+
+    if (new Date(quotation.validUntil) < new Date()) {
+      return res.status(400).json({
+        error: 'Quotation expired',
+        message: 'This quotation is past its validity date'
+      });
+    }
+
+    const bill = await prisma.$transaction(async (tx) => {
+      // Claim the quotation first so a concurrent convert cannot bill it twice
+      const claimed = await tx.quotation.updateMany({
+        where: { id, status: 'OPEN' },
+        data: { status: 'CONVERTED' }
+      });
+
+      if (claimed.count === 0) {
+        const error = new Error('Quotation has already been converted');
+        error.status = 400;
+        throw error;
+      }
+
+      const createdBill = await createBill(tx, {
+        id: req.body.id,
+        customerName: quotation.customer.name,
+        mobileNumber: quotation.customer.mobileNumber,
+        items: quotation.items.map((item) => ({
+          ...toCartItem(item),
+          unitPrice: item.unitPrice
+        })),
+        discountPercent: quotation.discountPercent,
+        flatDiscount: quotation.flatDiscount,
+        couponCode,
+        placeOfSupply: quotation.placeOfSupply,
+        paymentMethod,
+        tenders,
+        promotionsAt: quotation.createdAt,
+        createdBy
+      });
+
+      await tx.quotation.update({
+        where: { id },
+        data: { billId: createdBill.id }
+      });
+
+      return createdBill;
+    });
+
+    res.status(201).json({
+      message: 'Quotation converted to bill successfully',
+      bill: {
+        ...withBalance(bill),
+        taxBreakdown: buildTaxBreakdown(bill.items)
+      }
+    });
+  } catch (error) {
+    // Another request recorded the same UPI reference first
+    if (isDuplicateUpiReference(error)) {
+      return res.status(409).json({
+        error: 'Duplicate UPI reference',
+        message: 'A UPI reference on these tenders is already recorded against another bill'
+      });
+    }
+
+    console.error('Error converting quotation:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to convert quotation',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,48 +1,47 @@
 const express = require("express");
-const Stripe = require("stripe");
 const { PrismaClient } = require("@prisma/client");
+const { getProvider } = require("../utils/paymentProviders");
+const { processPaymentEvent } = require("../utils/paymentEvents");
 
 const prisma = new PrismaClient();
 const router = express.Router();
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
-router.post("/", async (req, res) => {
-  const sig = req.headers["stripe-signature"];
+/**
+ * Verify and apply a webhook from one payment provider
+ */
+const handleWebhook = (getProviderName) => async (req, res) => {
+  let provider;
   let event;
 
   try {
-    event = stripe.webhooks.constructEvent(
-      req.body,
-      sig,
-      process.env.STRIPE_WEBHOOK_SECRET
-    );
+    provider = getProvider(getProviderName(req));
+    event = provider.verifyWebhook(req.body, req.headers);
   } catch (err) {
     console.error("❌ Webhook signature failed:", err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  console.log("✅ Webhook received:", event.type);
-
-  if (event.type === "checkout.session.completed") {
-    const session = event.data.object;
-    const billId = session.metadata.billId;
-
-    await prisma.bill.update({
-      where: { id: billId },
-      data: {
-        paymentStatus: "PAID",
-        transactionId: session.payment_intent,
-        paidAt: new Date(),
-        paymentMethod: "CARD",
-      },
-    });
-
-    console.log("💰 Payment Successful");
-    console.log("Bill ID:", billId);
-    console.log("Transaction ID:", session.payment_intent);
+  console.log(`✅ ${provider.label} webhook received:`, event.type);
+
+  try {
+    const { duplicate } = await processPaymentEvent(prisma, provider, event);
+
+    if (duplicate) {
+      console.log("↩️ Event already processed:", event.id);
+    }
+
+    res.json({ received: true, duplicate });
+  } catch (error) {
+    // Recorded as failed; the provider and the retry job will both try again
+    console.error("❌ Webhook processing failed:", error.message);
+    res.status(500).json({ received: false, error: error.message });
   }
+};
+
+// POST /api/webhook - Stripe (the original endpoint)
+router.post("/", handleWebhook(() => "STRIPE"));
 
-  res.json({ received: true });
-});
+// POST /api/webhook/:provider - e.g. /api/webhook/razorpay
+router.post("/:provider", handleWebhook((req) => req.params.provider));
 
 module.exports = router;
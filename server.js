@@ -11,11 +11,21 @@ const prisma = new PrismaClient();
 const productRoutes = require("./routes/products");
 const billRoutes = require("./routes/bills");
 const customerRoutes = require("./routes/customers");
+const creditNoteRoutes = require("./routes/creditNotes");
+const quotationRoutes = require("./routes/quotations");
+const couponRoutes = require("./routes/coupons");
+const promotionRoutes = require("./routes/promotions");
 const checkoutRoutes = require("./routes/checkout");
+const paymentLinkRoutes = require("./routes/paymentLinks");
+const payRoutes = require("./routes/pay");
 const webhookRoutes = require("./routes/webhook");
 const zoomRoutes = require('./routes/zoom');
 const hmsRoutes = require('./routes/hmsRoute')
 
+// Scheduled jobs
+const { initializeMaintenanceJobs } = require("./cron/maintenance");
+const { initializeInventoryJobs } = require("./cron/inventory");
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -75,7 +85,13 @@ app.use((req, res, next) => {
 app.use("/api/products", productRoutes);
 app.use("/api/bills", billRoutes);
 app.use("/api/customers", customerRoutes);
+app.use("/api/credit-notes", creditNoteRoutes);
+app.use("/api/quotations", quotationRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/promotions", promotionRoutes);
 app.use("/api/checkout", checkoutRoutes);
+app.use("/api/payment-links", paymentLinkRoutes);
+app.use("/api/pay", payRoutes);
 app.use("/api/zoom", zoomRoutes);
 app.use("/api/hms", hmsRoutes);
 
@@ -149,4 +165,7 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || "development"}`);
   console.log(`❤️ Health: http://localhost:${PORT}/api/health`);
+
+  initializeMaintenanceJobs();
+  initializeInventoryJobs();
 });
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSettlement, reviseBill } = require('../utils/billing');
+const { createPrismaStub } = require('./support/prismaStub');
+
+test('buildSettlement settles a bill in full by its payment method when no tenders are given', () => {
+  const settlement = buildSettlement(500, { paymentMethod: 'CARD' });
+
+  assert.equal(settlement.paymentStatus, 'PAID');
+  assert.equal(settlement.paymentMethod, 'CARD');
+  assert.equal(settlement.amountPaid, 500);
+  assert.deepEqual(settlement.payments.create, [{ amount: 500, method: 'CARD', reference: null }]);
+});
+
+test('buildSettlement leaves a bill unpaid for an empty tenders list', () => {
+  const settlement = buildSettlement(500, { paymentMethod: 'UPI', tenders: [] });
+
+  assert.equal(settlement.paymentStatus, 'PENDING');
+  assert.equal(settlement.paymentMethod, 'UPI');
+  assert.equal(settlement.amountPaid, 0);
+  assert.equal(settlement.paidAt, null);
+  assert.deepEqual(settlement.payments.create, []);
+});
+
+test('buildSettlement records a short tender as part paid', () => {
+  const settlement = buildSettlement(500, { tenders: [{ method: 'CASH', amount: '200' }] });
+
+  assert.equal(settlement.paymentStatus, 'PARTIAL');
+  assert.equal(settlement.amountPaid, 200);
+  assert.equal(settlement.paidAt, null);
+});
+
+test('reviseBill refuses a bill that was paid after the edit was checked', async () => {
+  const prisma = createPrismaStub({
+    bill: [{ id: 'bill_1', amountPaid: 200, paymentStatus: 'PARTIAL', items: [] }]
+  });
+
+  await assert.rejects(
+    prisma.$transaction((tx) => reviseBill(tx, 'bill_1', { items: [{ productId: 'prod_1', quantity: 1 }] })),
+    (error) => error.status === 400 && /unpaid bill/.test(error.message)
+  );
+  assert.equal(prisma.$rows('billRevision').length, 0);
+});
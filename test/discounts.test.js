@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  calculateLineDiscount,
+  allocateDiscount,
+  findRedeemableCoupon,
+  calculateCouponDiscount,
+  redeemCoupon
+} = require('../utils/discounts');
+const { billValidation } = require('../middleware/validation');
+const { createPrismaStub } = require('./support/prismaStub');
+
+const coupon = (overrides = {}) => ({
+  id: 'coupon_1',
+  code: 'SAVE10',
+  discountType: 'PERCENT',
+  discountValue: 10,
+  maxDiscount: null,
+  usageLimit: null,
+  usedCount: 0,
+  isActive: true,
+  validFrom: new Date('2026-01-01T00:00:00Z'),
+  validUntil: null,
+  productIds: [],
+  categories: [],
+  ...overrides
+});
+
+test('calculateLineDiscount never takes more than the line', () => {
+  assert.equal(calculateLineDiscount(200, 'PERCENT', 12.5), 25);
+  assert.equal(calculateLineDiscount(200, 'FLAT', 30), 30);
+  assert.equal(calculateLineDiscount(20, 'FLAT', 30), 20);
+  assert.equal(calculateLineDiscount(200, undefined, 30), 0);
+});
+
+test('allocateDiscount splits in proportion and the shares add up to the discount', () => {
+  const shares = allocateDiscount([100, 0, 50, 50], 10);
+
+  assert.deepEqual(shares, [5, 0, 2.5, 2.5]);
+
+  const uneven = allocateDiscount([10, 10, 10], 10);
+  assert.deepEqual(uneven, [3.33, 3.33, 3.34]);
+  assert.equal(uneven.reduce((sum, share) => sum + share, 0), 10);
+});
+
+test('allocateDiscount gives nothing on an empty bill', () => {
+  assert.deepEqual(allocateDiscount([0, 0], 10), [0, 0]);
+});
+
+test('calculateCouponDiscount is capped by maxDiscount and the eligible amount', () => {
+  assert.equal(calculateCouponDiscount(coupon(), 500), 50);
+  assert.equal(calculateCouponDiscount(coupon({ maxDiscount: 20 }), 500), 20);
+  assert.equal(calculateCouponDiscount(coupon({ discountType: 'FLAT', discountValue: 100 }), 60), 60);
+});
+
+test('findRedeemableCoupon checks the code, validity window and usage limit', async () => {
+  const at = new Date('2026-06-01T00:00:00Z');
+  const prisma = createPrismaStub({
+    coupon: [
+      coupon(),
+      coupon({ id: 'coupon_2', code: 'LATER', validFrom: new Date('2026-07-01T00:00:00Z') }),
+      coupon({ id: 'coupon_3', code: 'OLD', validUntil: new Date('2026-05-01T00:00:00Z') }),
+      coupon({ id: 'coupon_4', code: 'USED', usageLimit: 2, usedCount: 2 })
+    ]
+  });
+
+  assert.equal((await findRedeemableCoupon(prisma, ' save10 ', at)).id, 'coupon_1');
+  await assert.rejects(findRedeemableCoupon(prisma, 'NOPE', at), /not valid/);
+  await assert.rejects(findRedeemableCoupon(prisma, 'LATER', at), /not active yet/);
+  await assert.rejects(findRedeemableCoupon(prisma, 'OLD', at), /has expired/);
+  await assert.rejects(findRedeemableCoupon(prisma, 'USED', at), /usage limit/);
+});
+
+test('redeemCoupon will not take a use past the limit', async () => {
+  const prisma = createPrismaStub({ coupon: [coupon({ usageLimit: 1 })] });
+  const [stored] = prisma.$rows('coupon');
+
+  await redeemCoupon(prisma, stored);
+  assert.equal(stored.usedCount, 1);
+
+  await assert.rejects(redeemCoupon(prisma, stored), (error) => error.status === 400 && /usage limit/.test(error.message));
+  assert.equal(stored.usedCount, 1);
+});
+
+test('item discount rules refuse a percentage over 100 and a value without a type', async () => {
+  const validate = async (items) => {
+    const req = { body: { items } };
+    const errors = [];
+    for (const rule of billValidation.itemDiscount) {
+      const result = await rule.run(req);
+      errors.push(...result.array().map((error) => error.msg));
+    }
+    return errors;
+  };
+
+  assert.deepEqual(await validate([{ discountType: 'PERCENT', discountValue: 100 }, { discountType: 'FLAT', discountValue: 250 }]), []);
+  assert.deepEqual(await validate([{ discountType: 'PERCENT', discountValue: 101 }]), ['Item discount percent cannot exceed 100']);
+  assert.deepEqual(await validate([{ discountValue: 5 }]), ['Item discount needs a discount type']);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { idempotency } = require('../middleware/idempotency');
+const { createPrismaStub } = require('./support/prismaStub');
+
+const createStub = (seed = {}) => createPrismaStub(seed, { unique: { idempotencyKey: [['key', 'scope']] } });
+
+const request = (body, key = 'key_1') => ({
+  body,
+  get: (header) => (header === 'Idempotency-Key' ? key : undefined)
+});
+
+// Just enough of an Express response; resolves once a reply goes out
+const response = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.sent = new Promise((resolve) => {
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.set = (name, value) => {
+      res.headers[name] = value;
+      return res;
+    };
+    res.json = (body) => {
+      res.body = body;
+      resolve(res);
+      res.emit('finish');
+      return res;
+    };
+    res.end = () => {
+      resolve(res);
+      res.emit('finish');
+      return res;
+    };
+  });
+  return res;
+};
+
+// Run the middleware and, when it passes the request on, the handler
+const run = async (prisma, req, handler) => {
+  const res = response();
+  await idempotency('POST /api/bills', prisma)(req, res, () => handler(req, res));
+  return res.sent;
+};
+
+const createBill = (req, res) => res.status(201).json({ billNumber: 'INV-0001' });
+
+test('a retry with the same key and body gets the stored response', async () => {
+  const prisma = createStub();
+  let calls = 0;
+  const handler = (req, res) => {
+    calls += 1;
+    createBill(req, res);
+  };
+
+  const first = await run(prisma, request({ amount: 100 }), handler);
+  const retry = await run(prisma, request({ amount: 100 }), handler);
+
+  assert.equal(calls, 1);
+  assert.equal(first.statusCode, 201);
+  assert.equal(retry.statusCode, 201);
+  assert.deepEqual(retry.body, { billNumber: 'INV-0001' });
+  assert.equal(retry.headers['Idempotent-Replayed'], 'true');
+});
+
+test('a retry with a different body is rejected', async () => {
+  const prisma = createStub();
+
+  await run(prisma, request({ amount: 100 }), createBill);
+  const retry = await run(prisma, request({ amount: 200 }), createBill);
+
+  assert.equal(retry.statusCode, 422);
+});
+
+test('a retry while the first request is still running is told to wait', async () => {
+  const prisma = createStub();
+  await idempotency('POST /api/bills', prisma)(request({ amount: 100 }), response(), () => {});
+
+  const retry = await run(prisma, request({ amount: 100 }), createBill);
+
+  assert.equal(retry.statusCode, 409);
+});
+
+test('a request stuck in progress past the timeout is taken over by its retry', async () => {
+  const prisma = createStub();
+  const stuck = response();
+  await idempotency('POST /api/bills', prisma)(request({ amount: 100 }), stuck, () => {});
+
+  // The first request never answered; age its claim past the timeout
+  prisma.$rows('idempotencyKey')[0].updatedAt = new Date(Date.now() - 120000);
+
+  const retry = await run(prisma, request({ amount: 100 }), createBill);
+  assert.equal(retry.statusCode, 201);
+
+  // The stale request finishing late cannot overwrite the retry's response
+  stuck.status(500).json({ error: 'Failed to create bill' });
+  await stuck.sent;
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const [stored] = prisma.$rows('idempotencyKey');
+  assert.equal(stored.status, 'COMPLETED');
+  assert.equal(stored.responseStatus, 201);
+});
+
+test('a response not sent as JSON releases the key', async () => {
+  const prisma = createStub();
+
+  await run(prisma, request({ amount: 100 }), (req, res) => res.status(204).end());
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(prisma.$rows('idempotencyKey').length, 0);
+});
+
+test('a server error releases the key so the request can be retried', async () => {
+  const prisma = createStub();
+
+  const failed = await run(prisma, request({ amount: 100 }), (req, res) => res.status(500).json({ error: 'Failed to create bill' }));
+  assert.equal(failed.statusCode, 500);
+
+  const retry = await run(prisma, request({ amount: 100 }), createBill);
+  assert.equal(retry.statusCode, 201);
+  assert.equal(retry.headers['Idempotent-Replayed'], undefined);
+});
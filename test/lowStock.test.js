@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isLowStock, findLowStockItems, notifyLowStock } = require('../utils/lowStock');
+const { createPrismaStub } = require('./support/prismaStub');
+
+const seedProducts = () => createPrismaStub({
+  product: [
+    { id: 'prod_tea', title: 'Tea', sku: 'TEA-1', stock: 2, reorderLevel: 5, reorderQuantity: 20 },
+    { id: 'prod_rice', title: 'Rice', stock: 0, reorderLevel: 3 },
+    { id: 'prod_salt', title: 'Salt', stock: 9, reorderLevel: 3 },
+    { id: 'prod_soap', title: 'Soap', stock: 0, reorderLevel: null }
+  ]
+});
+
+// Alerts go to the log channel by default; keep the test output quiet
+const quietLog = (t) => {
+  t.mock.method(console, 'log', () => {});
+  const previous = process.env.LOW_STOCK_CHANNELS;
+  delete process.env.LOW_STOCK_CHANNELS;
+  t.after(() => {
+    if (previous !== undefined) process.env.LOW_STOCK_CHANNELS = previous;
+  });
+};
+
+test('isLowStock needs a reorder level and counts stock at the level as low', () => {
+  assert.equal(isLowStock(5, 5), true);
+  assert.equal(isLowStock(6, 5), false);
+  assert.equal(isLowStock(0, null), false);
+  assert.equal(isLowStock(0, 0), true);
+});
+
+test('findLowStockItems lists products at or below their level, lowest stock first', async () => {
+  const items = await findLowStockItems(seedProducts());
+
+  assert.deepEqual(items.map((item) => [item.productId, item.stock]), [['prod_rice', 0], ['prod_tea', 2]]);
+  assert.equal(items[1].sku, 'TEA-1');
+  assert.equal(items[1].reorderQuantity, 20);
+});
+
+test('notifyLowStock alerts once per run-down and again after a restock', async (t) => {
+  quietLog(t);
+  const prisma = seedProducts();
+
+  assert.deepEqual(await notifyLowStock(prisma), { lowStock: 2, notified: 2 });
+  assert.deepEqual(await notifyLowStock(prisma), { lowStock: 2, notified: 0 });
+
+  // Tea is restocked, then sells down again
+  const tea = prisma.$rows('product').find((product) => product.id === 'prod_tea');
+  tea.stock = 25;
+  assert.deepEqual(await notifyLowStock(prisma), { lowStock: 1, notified: 0 });
+  assert.equal(tea.lowStockAlertedAt, null);
+
+  tea.stock = 4;
+  assert.deepEqual(await notifyLowStock(prisma), { lowStock: 2, notified: 1 });
+  assert.ok(tea.lowStockAlertedAt);
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The fake provider only runs under NODE_ENV=test
+process.env.NODE_ENV = 'test';
+
+const fake = require('../utils/paymentProviders/fake');
+const { processPaymentEvent } = require('../utils/paymentEvents');
+const { createPrismaStub } = require('./support/prismaStub');
+
+const seedBill = (overrides = {}) => ({
+  id: 'bill_1',
+  billNumber: 'INV-0001',
+  finalAmount: 500,
+  amountPaid: 0,
+  refundedAmount: 0,
+  paymentStatus: 'PENDING',
+  paymentProvider: null,
+  checkoutSessionId: null,
+  ...overrides
+});
+
+// Start a fake checkout for the bill, pay it and verify the webhook it sends
+const payThroughFake = async (prisma, amount) => {
+  const [bill] = prisma.$rows('bill');
+  const session = await fake.createSession(bill, { amount });
+  await prisma.bill.update({
+    where: { id: bill.id },
+    data: { checkoutSessionId: session.id, paymentProvider: 'FAKE' }
+  });
+
+  const webhook = fake.completeSession(session.id);
+  return { session, event: fake.verifyWebhook(Buffer.from(webhook.body), webhook.headers) };
+};
+
+test('a paid fake checkout records the payment and settles the bill', async () => {
+  const prisma = createPrismaStub({ bill: [seedBill()] });
+  const { session, event } = await payThroughFake(prisma, 500);
+
+  const result = await processPaymentEvent(prisma, fake, event);
+
+  assert.deepEqual(result, { duplicate: false });
+
+  const payments = prisma.$rows('payment');
+  assert.equal(payments.length, 1);
+  assert.equal(payments[0].amount, 500);
+  assert.equal(payments[0].provider, 'FAKE');
+  assert.equal(payments[0].reference, event.payload.data.reference);
+
+  const [bill] = prisma.$rows('bill');
+  assert.equal(bill.amountPaid, 500);
+  assert.equal(bill.paymentStatus, 'PAID');
+  assert.equal(bill.checkoutSessionId, session.id);
+
+  const [webhookEvent] = prisma.$rows('webhookEvent');
+  assert.equal(webhookEvent.status, 'PROCESSED');
+});
+
+test('a redelivered event is applied once', async () => {
+  const prisma = createPrismaStub({ bill: [seedBill()] });
+  const { event } = await payThroughFake(prisma, 500);
+
+  await processPaymentEvent(prisma, fake, event);
+  const again = await processPaymentEvent(prisma, fake, event);
+
+  assert.deepEqual(again, { duplicate: true });
+  assert.equal(prisma.$rows('payment').length, 1);
+  assert.equal(prisma.$rows('bill')[0].amountPaid, 500);
+});
+
+test('a payment on a bill already paid at the counter is recorded and refunded', async () => {
+  const prisma = createPrismaStub({ bill: [seedBill()] });
+  const { event } = await payThroughFake(prisma, 500);
+
+  // The cashier took cash while the checkout was open
+  await prisma.bill.update({
+    where: { id: 'bill_1' },
+    data: { amountPaid: 500, paymentStatus: 'PAID' }
+  });
+
+  await processPaymentEvent(prisma, fake, event);
+
+  const payment = prisma.$rows('payment').find((entry) => entry.provider === 'FAKE');
+  assert.equal(payment.amount, 500);
+  assert.equal(payment.refundedAmount, 500);
+  assert.equal(payment.status, 'REFUNDED');
+
+  const [refund] = prisma.$rows('refund');
+  assert.equal(refund.amount, 500);
+  assert.equal(refund.status, 'SUCCEEDED');
+  assert.ok(refund.providerRefundId);
+
+  const [bill] = prisma.$rows('bill');
+  assert.equal(bill.amountPaid, 1000);
+  assert.equal(bill.refundedAmount, 500);
+});
+
+test('a partial overpayment refunds only what went over the balance', async () => {
+  const prisma = createPrismaStub({ bill: [seedBill({ amountPaid: 300, paymentStatus: 'PARTIAL' })] });
+  const { event } = await payThroughFake(prisma, 500);
+
+  await processPaymentEvent(prisma, fake, event);
+
+  const [refund] = prisma.$rows('refund');
+  assert.equal(refund.amount, 300);
+  assert.equal(prisma.$rows('bill')[0].paymentStatus, 'PAID');
+});
+
+test('an event that fails is kept as FAILED for the retry job', async () => {
+  const prisma = createPrismaStub({ bill: [] });
+  const webhook = fake.buildWebhook('payment.succeeded', {
+    billId: 'missing',
+    sessionId: 'fake_cs_missing',
+    reference: 'fake_pay_missing',
+    amount: 100,
+    method: 'CARD'
+  });
+  const event = fake.verifyWebhook(Buffer.from(webhook.body), webhook.headers);
+
+  await assert.rejects(processPaymentEvent(prisma, fake, event), /not found/);
+
+  const [webhookEvent] = prisma.$rows('webhookEvent');
+  assert.equal(webhookEvent.status, 'FAILED');
+  assert.match(webhookEvent.lastError, /not found/);
+  assert.equal(prisma.$rows('payment').length, 0);
+});
+
+test('a payment that lands on a voided bill is kept and refunded in full', async () => {
+  const prisma = createPrismaStub({ bill: [seedBill()] });
+  const { event } = await payThroughFake(prisma, 500);
+
+  await prisma.bill.update({
+    where: { id: 'bill_1' },
+    data: { paymentStatus: 'VOID' }
+  });
+
+  const result = await processPaymentEvent(prisma, fake, event);
+
+  assert.deepEqual(result, { duplicate: false });
+
+  const [payment] = prisma.$rows('payment');
+  assert.equal(payment.amount, 500);
+  assert.equal(payment.status, 'REFUNDED');
+
+  const [refund] = prisma.$rows('refund');
+  assert.equal(refund.amount, 500);
+  assert.equal(refund.status, 'SUCCEEDED');
+
+  const [bill] = prisma.$rows('bill');
+  assert.equal(bill.paymentStatus, 'VOID');
+  assert.equal(bill.refundedAmount, 500);
+  assert.equal(prisma.$rows('webhookEvent')[0].status, 'PROCESSED');
+});
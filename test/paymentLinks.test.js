@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getLinkAmount, isLinkExpired } = require('../utils/paymentLinks');
+
+const bill = { finalAmount: 1180, amountPaid: 180 };
+
+test('getLinkAmount collects the balance due when the link has no amount', () => {
+  assert.equal(getLinkAmount({ amount: null }, bill), 1000);
+});
+
+test('getLinkAmount collects the link amount when it is within the balance', () => {
+  assert.equal(getLinkAmount({ amount: 400.255 }, bill), 400.26);
+});
+
+test('getLinkAmount never collects more than the balance due', () => {
+  assert.equal(getLinkAmount({ amount: 1500 }, bill), 1000);
+  assert.equal(getLinkAmount({ amount: 500 }, { finalAmount: 1180, amountPaid: 1180 }), 0);
+});
+
+test('getLinkAmount treats an overpaid bill as nothing due', () => {
+  assert.equal(getLinkAmount({ amount: null }, { finalAmount: 100, amountPaid: 150 }), 0);
+});
+
+test('isLinkExpired is true only for open links past their expiry', () => {
+  const past = new Date(Date.now() - 60 * 1000);
+  const future = new Date(Date.now() + 60 * 1000);
+
+  assert.equal(isLinkExpired({ status: 'SENT', expiresAt: past }), true);
+  assert.equal(isLinkExpired({ status: 'OPENED', expiresAt: future }), false);
+  assert.equal(isLinkExpired({ status: 'PAID', expiresAt: past }), false);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const razorpay = require('../utils/paymentProviders/razorpay');
+const fake = require('../utils/paymentProviders/fake');
+const stripe = require('../utils/paymentProviders/stripe');
+
+// Set env variables for one test and put them back afterwards
+const withEnv = (t, values) => {
+  const previous = {};
+  Object.entries(values).forEach(([key, value]) => {
+    previous[key] = process.env[key];
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+
+  t.after(() => {
+    Object.entries(previous).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  });
+};
+
+const sign = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const capturedBody = JSON.stringify({ event: 'payment.captured', payload: {} });
+
+test('razorpay refuses every webhook while RAZORPAY_WEBHOOK_SECRET is unset', (t) => {
+  withEnv(t, { RAZORPAY_WEBHOOK_SECRET: undefined });
+
+  assert.throws(
+    () => razorpay.verifyWebhook(Buffer.from(capturedBody), { 'x-razorpay-signature': sign('', capturedBody) }),
+    /RAZORPAY_WEBHOOK_SECRET/
+  );
+});
+
+test('razorpay accepts only webhooks signed with its secret', (t) => {
+  withEnv(t, { RAZORPAY_WEBHOOK_SECRET: 'whsec_test' });
+
+  const event = razorpay.verifyWebhook(Buffer.from(capturedBody), {
+    'x-razorpay-signature': sign('whsec_test', capturedBody),
+    'x-razorpay-event-id': 'evt_1'
+  });
+  assert.equal(event.id, 'evt_1');
+  assert.equal(event.type, 'payment.captured');
+
+  assert.throws(
+    () => razorpay.verifyWebhook(Buffer.from(capturedBody), { 'x-razorpay-signature': sign('other', capturedBody) }),
+    /Invalid Razorpay webhook signature/
+  );
+});
+
+test('razorpay is not configured without a webhook secret', (t) => {
+  withEnv(t, { RAZORPAY_KEY_ID: 'rzp_key', RAZORPAY_KEY_SECRET: 'rzp_secret', RAZORPAY_WEBHOOK_SECRET: undefined });
+  assert.equal(razorpay.isConfigured(), false);
+
+  process.env.RAZORPAY_WEBHOOK_SECRET = 'whsec_test';
+  assert.equal(razorpay.isConfigured(), true);
+});
+
+test('the fake provider is off outside tests unless FAKE_WEBHOOK_SECRET is set', (t) => {
+  withEnv(t, { NODE_ENV: 'development', FAKE_WEBHOOK_SECRET: undefined });
+  assert.equal(fake.isConfigured(), false);
+
+  process.env.FAKE_WEBHOOK_SECRET = 'fake_secret';
+  assert.equal(fake.isConfigured(), true);
+});
+
+test('the fake provider rejects webhooks signed with the old default secret', (t) => {
+  withEnv(t, { NODE_ENV: 'test', FAKE_WEBHOOK_SECRET: undefined });
+
+  const body = JSON.stringify({ id: 'evt_forged', type: 'payment.succeeded', data: {} });
+  assert.throws(
+    () => fake.verifyWebhook(Buffer.from(body), { 'x-fake-signature': sign('fake_webhook_secret', body) }),
+    /Invalid fake webhook signature/
+  );
+
+  const webhook = fake.buildWebhook('payment.succeeded', { billId: 'bill_1' });
+  assert.equal(fake.verifyWebhook(Buffer.from(webhook.body), webhook.headers).type, 'payment.succeeded');
+});
+
+const stripeBill = (overrides = {}) => ({
+  billNumber: 'INV-0001',
+  finalAmount: 347.7,
+  amountPaid: 0,
+  items: [
+    { productId: 'prod_tea', product: { title: 'Tea' }, quantity: 2, taxableAmount: 190.48, cgstAmount: 4.76, sgstAmount: 4.76, igstAmount: 0 },
+    { productId: 'prod_soap', product: { title: 'Soap' }, quantity: 3, taxableAmount: 125.42, cgstAmount: 11.14, sgstAmount: 11.14, igstAmount: 0 }
+  ],
+  ...overrides
+});
+
+const lineTotal = (lines) => lines.reduce((sum, line) => sum + line.price_data.unit_amount * line.quantity, 0);
+
+test('stripe line items add up to the bill amount to the paisa', () => {
+  const bill = stripeBill();
+  const lines = stripe.buildLineItems(bill, bill.finalAmount);
+
+  assert.deepEqual(lines.map((line) => line.price_data.product_data.name), ['Tea x 2', 'Soap x 3']);
+  assert.equal(lineTotal(lines), 34770);
+});
+
+test('stripe charges a part payment or a part paid bill as one line', () => {
+  const bill = stripeBill();
+  const part = stripe.buildLineItems(bill, 100);
+  assert.equal(part.length, 1);
+  assert.equal(part[0].price_data.product_data.name, 'Part payment for bill INV-0001');
+  assert.equal(lineTotal(part), 10000);
+
+  const balance = stripe.buildLineItems(stripeBill({ amountPaid: 47.7 }), 300);
+  assert.equal(balance.length, 1);
+  assert.equal(balance[0].price_data.product_data.name, 'Balance due for bill INV-0001');
+  assert.equal(lineTotal(balance), 30000);
+});
+
+test('stripe falls back to one line when a bill discount outweighs the last line', () => {
+  // A flat discount applied after the lines were priced leaves the last line unable to absorb it
+  const bill = stripeBill({ finalAmount: 150 });
+  const lines = stripe.buildLineItems(bill, 150);
+
+  assert.equal(lines.length, 1);
+  assert.equal(lineTotal(lines), 15000);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { allocateTenders, derivePaymentStatus, checkUpiReferences, isDuplicateUpiReference } = require('../utils/payments');
+const { createPrismaStub } = require('./support/prismaStub');
+
+test('allocateTenders records exact tenders as they are', () => {
+  const result = allocateTenders([
+    { method: 'CARD', amount: 300, reference: 'AUTH1' },
+    { method: 'CASH', amount: 200 }
+  ], 500);
+
+  assert.deepEqual(result, {
+    payments: [
+      { amount: 300, method: 'CARD', reference: 'AUTH1' },
+      { amount: 200, method: 'CASH', reference: null }
+    ],
+    amountPaid: 500,
+    changeDue: 0
+  });
+});
+
+test('allocateTenders takes change out of cash', () => {
+  const result = allocateTenders([
+    { method: 'UPI', amount: 150 },
+    { method: 'CASH', amount: 500 }
+  ], 420.5);
+
+  assert.equal(result.changeDue, 229.5);
+  assert.equal(result.amountPaid, 420.5);
+  assert.deepEqual(result.payments, [
+    { amount: 150, method: 'UPI', reference: null },
+    { amount: 270.5, method: 'CASH', reference: null }
+  ]);
+});
+
+test('allocateTenders drops a cash tender used up entirely by change', () => {
+  const result = allocateTenders([
+    { method: 'CASH', amount: 100 },
+    { method: 'CASH', amount: 50 }
+  ], 50);
+
+  assert.equal(result.changeDue, 100);
+  assert.deepEqual(result.payments, [
+    { amount: 50, method: 'CASH', reference: null }
+  ]);
+});
+
+test('allocateTenders leaves a short payment as part paid', () => {
+  const result = allocateTenders([{ method: 'CASH', amount: 100 }], 250);
+
+  assert.equal(result.amountPaid, 100);
+  assert.equal(result.changeDue, 0);
+});
+
+test('allocateTenders refuses non-cash tenders over the bill amount', () => {
+  assert.throws(
+    () => allocateTenders([{ method: 'CARD', amount: 600 }], 500),
+    (error) => error.status === 400 && /exceed the bill amount/.test(error.message)
+  );
+});
+
+test('derivePaymentStatus moves from pending through partial to paid', () => {
+  assert.equal(derivePaymentStatus(100, 0), 'PENDING');
+  assert.equal(derivePaymentStatus(100, 99.99), 'PARTIAL');
+  assert.equal(derivePaymentStatus(100, 100), 'PAID');
+  assert.equal(derivePaymentStatus(100, 120), 'PAID');
+});
+
+test('checkUpiReferences refuses a UPI reference already paid on a bill', async () => {
+  const prisma = createPrismaStub({
+    payment: [
+      { billId: 'bill_1', amount: 100, method: 'UPI', reference: '412345678901' },
+      { billId: 'bill_2', amount: 100, method: 'UPI', reference: '412345678902', status: 'FAILED' }
+    ]
+  });
+
+  await assert.rejects(
+    checkUpiReferences(prisma, [{ method: 'UPI', amount: 100, reference: '412345678901' }]),
+    (error) => error.status === 409 && /412345678901/.test(error.message)
+  );
+
+  // A failed attempt does not hold its reference, and other methods are not checked
+  await checkUpiReferences(prisma, [
+    { method: 'UPI', amount: 100, reference: '412345678902' },
+    { method: 'CARD', amount: 100, reference: '412345678901' }
+  ]);
+});
+
+test('checkUpiReferences refuses the same UPI reference twice in one set of tenders', async () => {
+  const prisma = createPrismaStub();
+
+  await assert.rejects(
+    checkUpiReferences(prisma, [
+      { method: 'UPI', amount: 100, reference: '412345678901' },
+      { method: 'UPI', amount: 50, reference: '412345678901' }
+    ]),
+    /already recorded/
+  );
+});
+
+test('isDuplicateUpiReference only matches the UPI reference index', () => {
+  assert.equal(isDuplicateUpiReference({ code: 'P2002', meta: { target: 'payments_upi_reference_key' } }), true);
+  assert.equal(isDuplicateUpiReference({ code: 'P2002', meta: { target: ['id'] } }), false);
+  assert.equal(isDuplicateUpiReference({ code: 'P2025' }), false);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateCheckDigit, hasValidCheckDigit, isValidBarcode, parseWeighedBarcode } = require('../utils/productCodes');
+
+// Scale prefixes come from the environment; these tests use the defaults
+const withDefaultPrefixes = (t) => {
+  const previous = {
+    price: process.env.WEIGHED_PRICE_PREFIXES,
+    weight: process.env.WEIGHED_WEIGHT_PREFIXES
+  };
+  delete process.env.WEIGHED_PRICE_PREFIXES;
+  delete process.env.WEIGHED_WEIGHT_PREFIXES;
+
+  t.after(() => {
+    delete process.env.WEIGHED_PRICE_PREFIXES;
+    delete process.env.WEIGHED_WEIGHT_PREFIXES;
+    if (previous.price !== undefined) process.env.WEIGHED_PRICE_PREFIXES = previous.price;
+    if (previous.weight !== undefined) process.env.WEIGHED_WEIGHT_PREFIXES = previous.weight;
+  });
+};
+
+test('calculateCheckDigit matches published EAN-13, UPC-A and EAN-8 codes', () => {
+  assert.equal(calculateCheckDigit('400638133393'), 1);
+  assert.equal(calculateCheckDigit('03600029145'), 2);
+  assert.equal(calculateCheckDigit('9638507'), 4);
+});
+
+test('calculateCheckDigit gives 0 when the weighted sum is a multiple of 10', () => {
+  assert.equal(calculateCheckDigit('000000000000'), 0);
+});
+
+test('hasValidCheckDigit rejects a changed digit', () => {
+  assert.equal(hasValidCheckDigit('4006381333931'), true);
+  assert.equal(hasValidCheckDigit('4006381333932'), false);
+  assert.equal(hasValidCheckDigit('036000291452'), true);
+});
+
+test('isValidBarcode only checks codes that look like a GTIN', () => {
+  assert.equal(isValidBarcode('ABC-123'), true);
+  assert.equal(isValidBarcode('12345'), true);
+  assert.equal(isValidBarcode('96385074'), true);
+  assert.equal(isValidBarcode('96385075'), false);
+});
+
+test('parseWeighedBarcode reads a price from a price prefix', (t) => {
+  withDefaultPrefixes(t);
+
+  assert.deepEqual(parseWeighedBarcode('2012345012990'), {
+    scaleCode: '2012345',
+    type: 'PRICE',
+    price: 12.99
+  });
+});
+
+test('parseWeighedBarcode reads a weight in kg from a weight prefix', (t) => {
+  withDefaultPrefixes(t);
+
+  assert.deepEqual(parseWeighedBarcode('2512345007505'), {
+    scaleCode: '2512345',
+    type: 'WEIGHT',
+    weight: 0.75
+  });
+});
+
+test('parseWeighedBarcode follows the configured prefixes', (t) => {
+  withDefaultPrefixes(t);
+  process.env.WEIGHED_PRICE_PREFIXES = '29';
+  process.env.WEIGHED_WEIGHT_PREFIXES = '28';
+
+  assert.equal(parseWeighedBarcode('2912345012990').type, 'PRICE');
+  assert.equal(parseWeighedBarcode('2012345012990'), null);
+});
+
+test('parseWeighedBarcode ignores codes that are not in-store EAN-13s', (t) => {
+  withDefaultPrefixes(t);
+
+  assert.equal(parseWeighedBarcode('4006381333931'), null);
+  assert.equal(parseWeighedBarcode('201234501299'), null);
+});
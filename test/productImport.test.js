@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runImportJob } = require('../utils/productImport');
+const { createPrismaStub } = require('./support/prismaStub');
+
+const seed = (overrides = {}) => createPrismaStub({
+  productImportJob: [{ id: 'job_1', dryRun: false, createdBy: 'manager', ...overrides.job }],
+  product: overrides.product || [
+    { id: 'prod_tea', sku: 'TEA-1', title: 'Tea', price: 100, stock: 10 }
+  ]
+}, { unique: { product: [['sku'], ['barcode']] } });
+
+const row = (rowNumber, values) => ({ rowNumber, values });
+
+test('runImportJob creates new products and updates existing ones by SKU', async () => {
+  const prisma = seed();
+
+  const job = await runImportJob(prisma, 'job_1', [
+    row(2, { sku: 'TEA-1', title: 'Tea', price: '110', stock: '4' }),
+    row(3, { sku: 'SOAP-1', title: 'Soap', price: '35', stock: '12', tags: 'bath| soap |' })
+  ]);
+
+  assert.equal(job.status, 'COMPLETED');
+  assert.equal(job.totalRows, 2);
+  assert.equal(job.createdCount, 1);
+  assert.equal(job.updatedCount, 1);
+  assert.equal(job.failedCount, 0);
+  assert.deepEqual(job.rowErrors, []);
+
+  const products = prisma.$rows('product');
+  const tea = products.find((product) => product.sku === 'TEA-1');
+  const soap = products.find((product) => product.sku === 'SOAP-1');
+  assert.equal(tea.price, 110);
+  assert.equal(tea.stock, 4);
+  assert.equal(soap.stock, 12);
+  assert.deepEqual(soap.tags, ['bath', 'soap']);
+
+  // Stock counts are recorded as movements against the job
+  const movements = prisma.$rows('stockMovement');
+  assert.deepEqual(movements.map((movement) => [movement.productId, movement.delta, movement.referenceId]), [
+    ['prod_tea', -6, 'job_1'],
+    [soap.id, 12, 'job_1']
+  ]);
+});
+
+test('runImportJob reports bad rows and carries on with the rest', async () => {
+  const prisma = seed();
+
+  const job = await runImportJob(prisma, 'job_1', [
+    row(2, { title: 'No code', price: '10', stock: '1' }),
+    row(3, { sku: 'RICE-1', title: '', price: '-5', stock: '1' }),
+    row(4, { sku: 'RICE-2', title: 'Rice', price: '60', stock: '5' }),
+    row(5, { sku: 'RICE-2', title: 'Rice again', price: '60', stock: '5' }),
+    row(6, { sku: 'SALT-1', barcode: '4006381333932', title: 'Salt', price: '20', stock: '5' })
+  ]);
+
+  assert.equal(job.status, 'COMPLETED');
+  assert.equal(job.createdCount, 1);
+  assert.equal(job.failedCount, 4);
+  assert.deepEqual(job.rowErrors.map((entry) => [entry.row, entry.errors[0].field]), [[2, 'sku'], [3, 'title'], [5, 'sku'], [6, 'barcode']]);
+  assert.match(job.rowErrors[2].errors[0].message, /earlier row/);
+  assert.equal(job.rowErrors[3].errors[0].message, 'Barcode check digit is invalid');
+  assert.ok(job.rowErrors[1].errors.some((error) => error.field === 'price'));
+  assert.equal(prisma.$rows('product').length, 2);
+});
+
+test('runImportJob refuses a barcode another product already uses', async () => {
+  const prisma = seed({
+    product: [{ id: 'prod_tea', sku: 'TEA-1', barcode: '4006381333931', title: 'Tea', price: 100, stock: 10 }]
+  });
+
+  const job = await runImportJob(prisma, 'job_1', [
+    row(2, { sku: 'COFFEE-1', barcode: '4006381333931', title: 'Coffee', price: '200', stock: '3' })
+  ]);
+
+  assert.equal(job.failedCount, 1);
+  assert.deepEqual(job.rowErrors[0].errors, [{ field: 'barcode', message: 'Another product or variant already uses this barcode' }]);
+});
+
+test('a dry run counts what would change without saving it', async () => {
+  const prisma = seed({ job: { dryRun: true } });
+
+  const job = await runImportJob(prisma, 'job_1', [
+    row(2, { sku: 'TEA-1', title: 'Tea', price: '110', stock: '4' }),
+    row(3, { sku: 'SOAP-1', title: 'Soap', price: '35', stock: '12' })
+  ]);
+
+  assert.equal(job.createdCount, 1);
+  assert.equal(job.updatedCount, 1);
+  assert.equal(prisma.$rows('product').length, 1);
+  assert.equal(prisma.$rows('product')[0].price, 100);
+  assert.equal(prisma.$rows('stockMovement').length, 0);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchesPromotion, evaluatePromotion, applyPromotions } = require('../utils/promotions');
+
+const promotion = (overrides = {}) => ({
+  id: 'promo_1',
+  name: 'Offer',
+  stackable: false,
+  minQuantity: 0,
+  minAmount: 0,
+  productIds: [],
+  categories: [],
+  brands: [],
+  tags: [],
+  ...overrides
+});
+
+const tea = { id: 'prod_tea', category: 'Beverages', brand: 'Tata', tags: ['hot'] };
+const coffee = { id: 'prod_coffee', category: 'Beverages', brand: 'Bru', tags: [] };
+const soap = { id: 'prod_soap', category: 'Personal Care', brand: 'Dove', tags: [] };
+
+test('matchesPromotion needs every criterion that is set', () => {
+  assert.equal(matchesPromotion(promotion(), soap), true);
+  assert.equal(matchesPromotion(promotion({ categories: ['Beverages'] }), tea), true);
+  assert.equal(matchesPromotion(promotion({ categories: ['Beverages'], brands: ['Bru'] }), tea), false);
+  assert.equal(matchesPromotion(promotion({ tags: ['hot', 'cold'] }), tea), true);
+  assert.equal(matchesPromotion(promotion({ tags: ['hot'] }), coffee), false);
+});
+
+test('buy 2 get 1 free discounts the cheapest unit of each group of three', () => {
+  const result = evaluatePromotion(promotion({ type: 'BUY_X_GET_Y', buyQuantity: 2, getQuantity: 1, getDiscountPercent: 100 }), [
+    { product: tea, quantity: 2, amount: 200 },
+    { product: coffee, quantity: 2, amount: 100 }
+  ]);
+
+  // Four units make one group; the free unit is one coffee at 50
+  assert.deepEqual(result, { shares: [0, 50], amount: 50 });
+});
+
+test('a bundle sells every full set at the bundle price, dearest units first', () => {
+  const result = evaluatePromotion(promotion({ type: 'BUNDLE', bundleQuantity: 3, bundlePrice: 250 }), [
+    { product: tea, quantity: 2, amount: 200 },
+    { product: coffee, quantity: 2, amount: 100 }
+  ]);
+
+  // Two teas and one coffee (250) make the bundle; nothing is saved on them
+  assert.equal(result, null);
+
+  const cheaper = evaluatePromotion(promotion({ type: 'BUNDLE', bundleQuantity: 3, bundlePrice: 200 }), [
+    { product: tea, quantity: 2, amount: 200 },
+    { product: coffee, quantity: 2, amount: 100 }
+  ]);
+  assert.equal(cheaper.amount, 50);
+  assert.deepEqual(cheaper.shares, [40, 10]);
+});
+
+test('tiered offers give the best tier reached', () => {
+  const tiered = promotion({
+    type: 'TIERED',
+    tiers: [
+      { minAmount: 100, discountType: 'PERCENT', discountValue: 5 },
+      { minAmount: 250, discountType: 'PERCENT', discountValue: 10 },
+      { minQuantity: 10, discountType: 'FLAT', discountValue: 100 }
+    ]
+  });
+
+  assert.equal(evaluatePromotion(tiered, [{ product: tea, quantity: 3, amount: 300 }]).amount, 30);
+  assert.equal(evaluatePromotion(tiered, [{ product: tea, quantity: 2, amount: 120 }]).amount, 6);
+  assert.equal(evaluatePromotion(tiered, [{ product: tea, quantity: 1, amount: 50 }]), null);
+});
+
+test('a promotion below its minimum quantity or amount does not apply', () => {
+  const lines = [{ product: tea, quantity: 2, amount: 200 }];
+  const tiers = [{ discountType: 'FLAT', discountValue: 20 }];
+
+  assert.equal(evaluatePromotion(promotion({ type: 'TIERED', tiers, minQuantity: 3 }), lines), null);
+  assert.equal(evaluatePromotion(promotion({ type: 'TIERED', tiers, minAmount: 500 }), lines), null);
+  assert.equal(evaluatePromotion(promotion({ type: 'TIERED', tiers, categories: ['Personal Care'] }), lines), null);
+});
+
+test('applyPromotions lets the larger exclusive offer win a line', () => {
+  const lines = [{ product: tea, quantity: 3, amount: 300 }];
+  const applied = applyPromotions([
+    promotion({ id: 'small', type: 'TIERED', tiers: [{ discountType: 'FLAT', discountValue: 20 }] }),
+    promotion({ id: 'large', type: 'TIERED', tiers: [{ discountType: 'PERCENT', discountValue: 10 }] })
+  ], lines);
+
+  assert.deepEqual(applied.map((entry) => [entry.promotion.id, entry.amount]), [['large', 30]]);
+});
+
+test('applyPromotions stacks stackable offers but never below zero', () => {
+  const lines = [{ product: tea, quantity: 1, amount: 50 }];
+  const applied = applyPromotions([
+    promotion({ id: 'first', stackable: true, type: 'TIERED', tiers: [{ discountType: 'FLAT', discountValue: 40 }] }),
+    promotion({ id: 'second', stackable: true, type: 'TIERED', tiers: [{ discountType: 'FLAT', discountValue: 30 }] })
+  ], lines);
+
+  assert.deepEqual(applied.map((entry) => [entry.promotion.id, entry.amount]), [['first', 40], ['second', 10]]);
+});
+
+test('applyPromotions keeps stackable offers off a line held by an exclusive one', () => {
+  const lines = [
+    { product: tea, quantity: 1, amount: 100 },
+    { product: soap, quantity: 1, amount: 100 }
+  ];
+  const applied = applyPromotions([
+    promotion({ id: 'tea_only', type: 'TIERED', productIds: ['prod_tea'], tiers: [{ discountType: 'FLAT', discountValue: 30 }] }),
+    promotion({ id: 'everything', stackable: true, type: 'TIERED', tiers: [{ discountType: 'FLAT', discountValue: 20 }] })
+  ], lines);
+
+  assert.deepEqual(applied.map((entry) => entry.promotion.id), ['tea_only']);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The fake provider only runs under NODE_ENV=test
+process.env.NODE_ENV = 'test';
+
+const fake = require('../utils/paymentProviders/fake');
+const { allocateRefund, issueRefund } = require('../utils/refunds');
+const { createPrismaStub } = require('./support/prismaStub');
+
+const seed = (overrides = {}) => ({
+  bill: [{
+    id: 'bill_1',
+    finalAmount: 500,
+    amountPaid: 500,
+    refundedAmount: 0,
+    paymentStatus: 'PAID',
+    ...overrides.bill
+  }],
+  payment: overrides.payment || [
+    { id: 'pay_cash', billId: 'bill_1', amount: 200, method: 'CASH', paidAt: new Date('2026-10-01T10:00:00Z') },
+    { id: 'pay_card', billId: 'bill_1', amount: 300, method: 'CARD', provider: 'FAKE', reference: 'fake_pay_1', paidAt: new Date('2026-10-01T11:00:00Z') }
+  ],
+  billItem: [{ id: 'item_1', billId: 'bill_1', productId: 'prod_1', variantId: null, quantity: 3 }],
+  product: [{ id: 'prod_1', title: 'Tea', stock: 10 }],
+  refund: overrides.refund || [],
+  creditNoteItem: overrides.creditNoteItem || []
+});
+
+test('allocateRefund takes from the newest payment first and skips disputed ones', () => {
+  const parts = allocateRefund([
+    { id: 'old', amount: 200, refundedAmount: 0, status: 'SUCCEEDED', paidAt: '2026-10-01T10:00:00Z' },
+    { id: 'new', amount: 300, refundedAmount: 100, status: 'SUCCEEDED', paidAt: '2026-10-01T11:00:00Z' },
+    { id: 'disputed', amount: 500, refundedAmount: 0, status: 'DISPUTED', paidAt: '2026-10-01T12:00:00Z' }
+  ], 250);
+
+  assert.deepEqual(parts.map((part) => [part.payment.id, part.amount]), [['new', 200], ['old', 50]]);
+});
+
+test('issueRefund refunds online payments through their provider and the rest at the counter', async () => {
+  const prisma = createPrismaStub(seed());
+
+  const refunds = await issueRefund(prisma, { id: 'bill_1' }, { amount: 400, reason: 'Changed mind' });
+
+  assert.deepEqual(refunds.map((refund) => [refund.paymentId, refund.amount, refund.status]), [
+    ['pay_card', 300, 'SUCCEEDED'],
+    ['pay_cash', 100, 'SUCCEEDED']
+  ]);
+  assert.ok(refunds[0].providerRefundId);
+  assert.equal(refunds[1].providerRefundId, null);
+
+  const payments = prisma.$rows('payment');
+  assert.equal(payments.find((payment) => payment.id === 'pay_card').status, 'REFUNDED');
+  assert.equal(payments.find((payment) => payment.id === 'pay_cash').refundedAmount, 100);
+
+  const [bill] = prisma.$rows('bill');
+  assert.equal(bill.refundedAmount, 400);
+  assert.equal(bill.paymentStatus, 'PAID');
+});
+
+test('issueRefund counts refunds still in flight against what can be refunded', async () => {
+  const prisma = createPrismaStub(seed({
+    refund: [{ billId: 'bill_1', paymentId: 'pay_card', amount: 300, method: 'CARD', status: 'PENDING' }]
+  }));
+
+  await assert.rejects(
+    issueRefund(prisma, { id: 'bill_1' }, { amount: 300 }),
+    (error) => error.status === 400 && /exceeds the refundable amount \(200\)/.test(error.message)
+  );
+
+  const refunds = await issueRefund(prisma, { id: 'bill_1' }, {});
+  assert.deepEqual(refunds.map((refund) => [refund.paymentId, refund.amount]), [['pay_cash', 200]]);
+});
+
+test('issueRefund refunds only from the payment it is given', async () => {
+  const prisma = createPrismaStub(seed());
+
+  await assert.rejects(
+    issueRefund(prisma, { id: 'bill_1' }, { amount: 250, paymentId: 'pay_cash' }),
+    /Only 200 can be refunded/
+  );
+});
+
+test('issueRefund restocks only units not already returned', async () => {
+  const prisma = createPrismaStub(seed({
+    creditNoteItem: [{ billItemId: 'item_1', quantity: 1 }]
+  }));
+
+  await assert.rejects(
+    issueRefund(prisma, { id: 'bill_1' }, { amount: 100, restock: [{ billItemId: 'item_1', quantity: 3 }] }),
+    /Only 2 unit\(s\) of bill item item_1 can be restocked/
+  );
+
+  const [refund] = await issueRefund(prisma, { id: 'bill_1' }, { amount: 100, restock: [{ billItemId: 'item_1' }] });
+
+  assert.equal(prisma.$rows('product')[0].stock, 12);
+  assert.deepEqual(prisma.$rows('refund').find((row) => row.id === refund.id).restockedItems, [
+    { billItemId: 'item_1', productId: 'prod_1', variantId: null, quantity: 2 }
+  ]);
+
+  await assert.rejects(
+    issueRefund(prisma, { id: 'bill_1' }, { amount: 100, restock: [{ billItemId: 'item_1', quantity: 1 }] }),
+    /Only 0 unit\(s\)/
+  );
+});
+
+test('issueRefund marks the refund failed and restocks nothing when the provider refuses', async (t) => {
+  t.mock.method(fake, 'refund', async () => {
+    throw new Error('Card refunds are paused');
+  });
+  const prisma = createPrismaStub(seed());
+
+  await assert.rejects(
+    issueRefund(prisma, { id: 'bill_1' }, { amount: 100, restock: [{ billItemId: 'item_1', quantity: 1 }] }),
+    (error) => error.status === 502 && /Card refunds are paused/.test(error.message)
+  );
+
+  const [refund] = prisma.$rows('refund');
+  assert.equal(refund.status, 'FAILED');
+  assert.equal(refund.failureReason, 'Card refunds are paused');
+  assert.equal(prisma.$rows('product')[0].stock, 10);
+  assert.equal(prisma.$rows('bill')[0].refundedAmount, 0);
+});
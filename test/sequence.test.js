@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getSequenceConfig, getPeriodKey, nextSequenceNumber } = require('../utils/sequence');
+
+// Set env variables for one test and put them back afterwards
+const withEnv = (t, values) => {
+  const previous = {};
+  Object.entries(values).forEach(([key, value]) => {
+    previous[key] = process.env[key];
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+
+  t.after(() => {
+    Object.entries(previous).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  });
+};
+
+test('getPeriodKey labels days and months', () => {
+  const date = new Date(2026, 9, 8);
+
+  assert.equal(getPeriodKey('DAILY', date), '20261008');
+  assert.equal(getPeriodKey('MONTHLY', date), '202610');
+  assert.equal(getPeriodKey('NEVER', date), '');
+});
+
+test('getPeriodKey starts the financial year in April', () => {
+  assert.equal(getPeriodKey('FINANCIAL_YEAR', new Date(2026, 2, 31)), '202526');
+  assert.equal(getPeriodKey('FINANCIAL_YEAR', new Date(2026, 3, 1)), '202627');
+  assert.equal(getPeriodKey('FINANCIAL_YEAR', new Date(2099, 5, 1)), '209900');
+});
+
+test('getSequenceConfig reads overrides from the environment', (t) => {
+  withEnv(t, { BILL_NUMBER_PREFIX: 'INV-', BILL_NUMBER_RESET: 'financial_year', BILL_NUMBER_PADDING: '6' });
+
+  assert.deepEqual(getSequenceConfig('BILL'), { prefix: 'INV-', resetPeriod: 'FINANCIAL_YEAR', padding: 6 });
+});
+
+test('getSequenceConfig allows an empty prefix and refuses unknown settings', (t) => {
+  withEnv(t, { QUOTATION_NUMBER_PREFIX: '', CREDIT_NOTE_NUMBER_RESET: 'WEEKLY' });
+
+  assert.equal(getSequenceConfig('QUOTATION').prefix, '');
+  assert.throws(() => getSequenceConfig('CREDIT_NOTE'), /Invalid reset period for CREDIT_NOTE: WEEKLY/);
+  assert.throws(() => getSequenceConfig('RECEIPT'), /Unknown number sequence: RECEIPT/);
+});
+
+test('nextSequenceNumber pads the counter after the prefix and period', async (t) => {
+  withEnv(t, { BILL_NUMBER_PREFIX: undefined, BILL_NUMBER_RESET: undefined, BILL_NUMBER_PADDING: undefined });
+  const calls = [];
+  const tx = {
+    $queryRaw: async (strings, ...values) => {
+      calls.push(values);
+      return [{ lastValue: 7 }];
+    }
+  };
+
+  assert.equal(await nextSequenceNumber(tx, 'BILL', new Date(2026, 9, 18)), 'BILL202610180007');
+  assert.deepEqual(calls, [['BILL', '20261018']]);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAvailability, moveStock, getRestockedQuantities } = require('../utils/stock');
+const { createPrismaStub } = require('./support/prismaStub');
+
+test('getAvailability reads no stock as out of stock', () => {
+  assert.equal(getAvailability(0, 5), 'Out of Stock');
+  assert.equal(getAvailability(-2, null), 'Out of Stock');
+});
+
+test('getAvailability reads stock at or below the reorder level as low', () => {
+  assert.equal(getAvailability(5, 5), 'Low Stock');
+  assert.equal(getAvailability(3, 5), 'Low Stock');
+  assert.equal(getAvailability(6, 5), 'In Stock');
+});
+
+test('getAvailability ignores the reorder level when none is set', () => {
+  assert.equal(getAvailability(1, null), 'In Stock');
+  assert.equal(getAvailability(1, undefined), 'In Stock');
+});
+
+test('getAvailability treats a reorder level of zero as set', () => {
+  assert.equal(getAvailability(1, 0), 'In Stock');
+});
+
+test('moveStock on a variant moves the variant and its product together', async () => {
+  const prisma = createPrismaStub({
+    product: [{ id: 'prod_1', title: "Levi's 501", stock: 5, optionAxes: ['Size'] }],
+    productVariant: [
+      { id: 'var_32', productId: 'prod_1', options: { Size: '32' }, stock: 2 },
+      { id: 'var_34', productId: 'prod_1', options: { Size: '34' }, stock: 3 }
+    ]
+  });
+
+  const { product, variant, movement } = await moveStock(prisma, 'prod_1', -2, { reason: 'SALE', variantId: 'var_32' });
+
+  assert.equal(variant.stock, 0);
+  assert.equal(variant.availabilityStatus, 'Out of Stock');
+  assert.equal(product.stock, 3);
+  assert.equal(product.availabilityStatus, 'In Stock');
+  assert.equal(movement.variantId, 'var_32');
+  assert.equal(movement.balance, 0);
+
+  await assert.rejects(
+    moveStock(prisma, 'prod_1', -1, { reason: 'SALE', variantId: 'var_32' }),
+    /Insufficient stock for product Levi's 501 \(.*32.*\)\. Available: 0, Requested: 1/
+  );
+});
+
+test('getRestockedQuantities adds up credit note returns and restocking refunds still standing', async () => {
+  const prisma = createPrismaStub({
+    creditNoteItem: [
+      { billItemId: 'item_1', quantity: 1 },
+      { billItemId: 'item_2', quantity: 2 },
+      { billItemId: 'other_bill_item', quantity: 5 }
+    ],
+    refund: [
+      { billId: 'bill_1', status: 'SUCCEEDED', restockedItems: [{ billItemId: 'item_1', quantity: 2 }] },
+      { billId: 'bill_1', status: 'FAILED', restockedItems: [{ billItemId: 'item_2', quantity: 1 }] },
+      { billId: 'bill_1', status: 'PENDING', restockedItems: [{ billItemId: 'item_2', quantity: 1 }] },
+      { billId: 'bill_1', status: 'SUCCEEDED' }
+    ]
+  });
+
+  const restocked = await getRestockedQuantities(prisma, 'bill_1', ['item_1', 'item_2']);
+
+  assert.deepEqual(restocked, { item_1: 3, item_2: 3 });
+});
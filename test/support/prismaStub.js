@@ -0,0 +1,203 @@
+// test/support/prismaStub.js
+//
+// In-memory stand-in for PrismaClient, enough to run the billing helpers
+// without a database. Rows are plain objects per model; where filters cover
+// equality, not, in, notIn, lt/lte/gt/gte, contains, OR, AND, NOT and
+// compound unique keys (key_scope: { key, scope }), and updates cover
+// increment/decrement. Relations, include and select are not
+// followed: tests seed the rows a helper reads. $transaction with a
+// callback rolls every table back when the callback throws.
+
+// Column defaults from prisma/schema.prisma for the models the tests create
+const DEFAULTS = {
+  payment: () => ({ status: 'SUCCEEDED', refundedAmount: 0, paidAt: new Date(), reference: null, provider: null }),
+  refund: () => ({ status: 'PENDING', providerRefundId: null, restockedItems: null, creditNoteId: null }),
+  webhookEvent: () => ({ provider: 'STRIPE', attempts: 1, lastError: null, processedAt: null }),
+  idempotencyKey: () => ({ status: 'IN_PROGRESS', responseStatus: null, responseBody: null }),
+  productImportJob: () => ({ status: 'PENDING', totalRows: 0, processedRows: 0, createdCount: 0, updatedCount: 0, failedCount: 0, rowErrors: null, error: null }),
+  product: () => ({ stock: 0, optionAxes: [], reorderLevel: null, sku: null, barcode: null, lowStockAlertedAt: null }),
+  stockMovement: () => ({ variantId: null }),
+  paymentLink: () => ({ checkoutSessionId: null, paidAt: null })
+};
+
+const OPERATORS = ['equals', 'not', 'in', 'notIn', 'lt', 'lte', 'gt', 'gte', 'contains'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+
+const toComparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const equals = (a, b) => toComparable(a) === toComparable(b) || (a == null && b == null);
+
+const matchesValue = (actual, condition) => {
+  if (!isPlainObject(condition) || !Object.keys(condition).some((key) => OPERATORS.includes(key))) {
+    return equals(actual, condition);
+  }
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    const value = toComparable(actual);
+    switch (operator) {
+      case 'equals': return equals(actual, expected);
+      case 'not': return !matchesValue(actual, expected);
+      case 'in': return expected.some((entry) => equals(actual, entry));
+      case 'notIn': return !expected.some((entry) => equals(actual, entry));
+      case 'lt': return actual != null && value < toComparable(expected);
+      case 'lte': return actual != null && value <= toComparable(expected);
+      case 'gt': return actual != null && value > toComparable(expected);
+      case 'gte': return actual != null && value >= toComparable(expected);
+      case 'contains': return typeof actual === 'string' && actual.includes(expected);
+      default: return true;
+    }
+  });
+};
+
+const matches = (row, where = {}) => Object.entries(where).every(([key, condition]) => {
+  if (key === 'OR') return condition.some((part) => matches(row, part));
+  if (key === 'AND') return [].concat(condition).every((part) => matches(row, part));
+  if (key === 'NOT') return ![].concat(condition).some((part) => matches(row, part));
+  if (condition === undefined) return true;
+  if (key.includes('_') && !(key in row) && isPlainObject(condition)) return matches(row, condition);
+  return matchesValue(row[key], condition);
+});
+
+const applyData = (row, data) => {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined) return;
+    if (isPlainObject(value) && 'increment' in value) row[key] = (row[key] || 0) + value.increment;
+    else if (isPlainObject(value) && 'decrement' in value) row[key] = (row[key] || 0) - value.decrement;
+    else if (isPlainObject(value) && 'set' in value) row[key] = value.set;
+    else row[key] = value;
+  });
+  row.updatedAt = new Date();
+  return row;
+};
+
+const sortRows = (rows, orderBy) => {
+  const orders = [].concat(orderBy || []);
+  return [...rows].sort((a, b) => {
+    for (const order of orders) {
+      const [[key, direction]] = Object.entries(order);
+      const left = toComparable(a[key]);
+      const right = toComparable(b[key]);
+      if (left < right) return direction === 'desc' ? 1 : -1;
+      if (left > right) return direction === 'desc' ? -1 : 1;
+    }
+    return 0;
+  });
+};
+
+const notFound = (model) => {
+  const error = new Error(`No ${model} record found`);
+  error.code = 'P2025';
+  return error;
+};
+
+const createPrismaStub = (seed = {}, { unique = {} } = {}) => {
+  let tables = {};
+  let counter = 0;
+
+  const table = (model) => {
+    if (!tables[model]) tables[model] = [];
+    return tables[model];
+  };
+
+  // unique is { model: [['field'], ['otherField', 'andAnother']] }; id is always unique
+  const checkUnique = (model, row) => {
+    const keys = [['id'], ...(unique[model] || [])];
+    for (const fields of keys) {
+      if (fields.some((field) => row[field] == null)) continue;
+      const clash = table(model).some((other) => other !== row && fields.every((field) => equals(other[field], row[field])));
+      if (clash) {
+        const error = new Error(`Unique constraint failed on ${model}(${fields.join(', ')})`);
+        error.code = 'P2002';
+        throw error;
+      }
+    }
+  };
+
+  const create = (model, data) => {
+    const now = new Date();
+    const row = { ...(DEFAULTS[model] ? DEFAULTS[model]() : {}), createdAt: now, updatedAt: now };
+    applyData(row, data);
+    if (row.id === undefined) row.id = `${model}_${++counter}`;
+    checkUnique(model, row);
+    table(model).push(row);
+    return row;
+  };
+
+  const delegate = (model) => ({
+    findUnique: async ({ where }) => {
+      const row = table(model).find((entry) => matches(entry, where));
+      return row ? structuredClone(row) : null;
+    },
+    findFirst: async ({ where, orderBy } = {}) => {
+      const row = sortRows(table(model).filter((entry) => matches(entry, where)), orderBy)[0];
+      return row ? structuredClone(row) : null;
+    },
+    findMany: async ({ where, orderBy, take } = {}) => {
+      const rows = sortRows(table(model).filter((entry) => matches(entry, where)), orderBy);
+      return structuredClone(take ? rows.slice(0, take) : rows);
+    },
+    count: async ({ where } = {}) => table(model).filter((entry) => matches(entry, where)).length,
+    create: async ({ data }) => structuredClone(create(model, data)),
+    update: async ({ where, data }) => {
+      const row = table(model).find((entry) => matches(entry, where));
+      if (!row) throw notFound(model);
+      applyData(row, data);
+      checkUnique(model, row);
+      return structuredClone(row);
+    },
+    updateMany: async ({ where, data }) => {
+      const rows = table(model).filter((entry) => matches(entry, where));
+      rows.forEach((row) => applyData(row, data));
+      return { count: rows.length };
+    },
+    upsert: async ({ where, create: createData, update }) => {
+      const row = table(model).find((entry) => matches(entry, where));
+      if (row) return structuredClone(applyData(row, update));
+      return structuredClone(create(model, createData));
+    },
+    delete: async ({ where }) => {
+      const index = table(model).findIndex((entry) => matches(entry, where));
+      if (index === -1) throw notFound(model);
+      return table(model).splice(index, 1)[0];
+    },
+    deleteMany: async ({ where } = {}) => {
+      const keep = table(model).filter((entry) => !matches(entry, where));
+      const count = table(model).length - keep.length;
+      tables[model] = keep;
+      return { count };
+    }
+  });
+
+  const client = new Proxy({}, {
+    get: (target, property) => {
+      if (property === 'then') return undefined;
+      if (property === '$queryRaw' || property === '$executeRaw') return async () => [];
+      if (property === '$rows') return (model) => table(model);
+      if (property === '$transaction') {
+        return async (work) => {
+          if (Array.isArray(work)) return Promise.all(work);
+
+          const snapshot = structuredClone(tables);
+          try {
+            return await work(client);
+          } catch (error) {
+            tables = snapshot;
+            throw error;
+          }
+        };
+      }
+      return delegate(property);
+    }
+  });
+
+  Object.entries(seed).forEach(([model, rows]) => {
+    rows.forEach((row) => create(model, row));
+  });
+
+  return client;
+};
+
+module.exports = {
+  createPrismaStub
+};
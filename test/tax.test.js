@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateLineTax, isInterState } = require('../utils/tax');
+
+test('calculateLineTax splits intra-state GST into CGST and SGST', () => {
+  assert.deepEqual(calculateLineTax(1000, 18, false), {
+    taxRate: 18,
+    cgstAmount: 90,
+    sgstAmount: 90,
+    igstAmount: 0,
+    taxAmount: 180
+  });
+});
+
+test('calculateLineTax charges inter-state GST as IGST', () => {
+  assert.deepEqual(calculateLineTax(1000, 18, true), {
+    taxRate: 18,
+    cgstAmount: 0,
+    sgstAmount: 0,
+    igstAmount: 180,
+    taxAmount: 180
+  });
+});
+
+test('calculateLineTax rounds CGST and gives SGST the rest so the halves add up', () => {
+  const tax = calculateLineTax(100.1, 5, false);
+
+  assert.equal(tax.taxAmount, 5.01);
+  assert.equal(tax.cgstAmount, 2.51);
+  assert.equal(tax.sgstAmount, 2.5);
+  assert.equal(Math.round((tax.cgstAmount + tax.sgstAmount) * 100) / 100, tax.taxAmount);
+});
+
+test('calculateLineTax treats a missing rate as zero', () => {
+  assert.deepEqual(calculateLineTax(250, null, false), {
+    taxRate: 0,
+    cgstAmount: 0,
+    sgstAmount: 0,
+    igstAmount: 0,
+    taxAmount: 0
+  });
+});
+
+test('isInterState compares the place of supply with SELLER_STATE_CODE', (t) => {
+  const previous = process.env.SELLER_STATE_CODE;
+  t.after(() => {
+    if (previous === undefined) delete process.env.SELLER_STATE_CODE;
+    else process.env.SELLER_STATE_CODE = previous;
+  });
+
+  process.env.SELLER_STATE_CODE = 'KA';
+  assert.equal(isInterState('ka '), false);
+  assert.equal(isInterState('MH'), true);
+  assert.equal(isInterState(undefined), false);
+});
@@ -0,0 +1,640 @@
+// utils/billing.js
+const { roundAmount, isInterState, calculateLineTax } = require('./tax');
+const { derivePaymentStatus, allocateTenders, checkUpiReferences } = require('./payments');
+const { nextSequenceNumber } = require('./sequence');
+const { takeStock, adjustStock } = require('./stock');
+const { formatVariantOptions } = require('./variants');
+const { lockBill } = require('./locks');
+const {
+  calculateLineDiscount,
+  allocateDiscount,
+  findRedeemableCoupon,
+  isCouponEligible,
+  calculateCouponDiscount,
+  redeemCoupon
+} = require('./discounts');
+const { findActivePromotions, applyPromotions } = require('./promotions');
+
+// Check if customer exists, if not create new one
+const findOrCreateCustomer = async (tx, { customerName, mobileNumber, email, address }) => {
+  const customer = await tx.customer.findFirst({
+    where: {
+      AND: [
+        { name: customerName },
+        { mobileNumber: mobileNumber }
+      ]
+    }
+  });
+
+  if (customer) return customer;
+
+  return tx.customer.create({
+    data: {
+      name: customerName,
+      mobileNumber: mobileNumber,
+      email: email || null,
+      address: address || null
+    }
+  });
+};
+
+// Validate products and calculate amounts. With reserveStock the stock is
+// checked; the caller takes it with takeStock once the bill exists.
+// Quotations and drafts price without it.
+// An item may carry a unitPrice to honour an earlier quoted price, and a
+// discountType/discountValue for a line discount. Promotions running at
+// promotionsAt are applied; repricing an earlier quote or bill passes its
+// date so the promotions it was priced with are kept and no new ones stack
+// on the honoured prices.
+const priceItems = async (tx, items, {
+  discountPercent = 0,
+  flatDiscount = 0,
+  coupon = null,
+  placeOfSupply,
+  reserveStock = false,
+  promotionsAt = new Date()
+} = {}) => {
+  let totalAmount = 0;
+  const lines = [];
+  const interState = isInterState(placeOfSupply);
+
+  for (const item of items) {
+    const product = await tx.product.findUnique({
+      where: { id: item.productId }
+    });
+
+    if (!product) {
+      throw new Error(`Product with ID ${item.productId} not found`);
+    }
+
+    // Products with option axes are sold by variant; its price overrides
+    // the product's and its stock is the one checked
+    let variant = null;
+    if (item.variantId) {
+      variant = await tx.productVariant.findUnique({
+        where: { id: item.variantId }
+      });
+
+      if (!variant || variant.productId !== product.id || !variant.isActive) {
+        const error = new Error(`Variant with ID ${item.variantId} not found for product ${product.title}`);
+        error.status = 400;
+        throw error;
+      }
+    } else if (product.optionAxes.length > 0) {
+      const error = new Error(`Choose a ${product.optionAxes.join(' / ')} variant of ${product.title}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const stocked = variant || product;
+    if (reserveStock && stocked.stock < item.quantity) {
+      const title = variant ? `${product.title} (${formatVariantOptions(variant.options, product.optionAxes)})` : product.title;
+      throw new Error(`Insufficient stock for product ${title}. Available: ${stocked.stock}, Requested: ${item.quantity}`);
+    }
+
+    const listPrice = variant && variant.price !== null ? variant.price : product.price;
+    const unitPrice = item.unitPrice !== undefined ? item.unitPrice : listPrice;
+    const itemTotal = unitPrice * item.quantity;
+    const lineDiscount = calculateLineDiscount(itemTotal, item.discountType, item.discountValue);
+    totalAmount += itemTotal;
+
+    lines.push({ item, product, unitPrice, itemTotal, lineDiscount });
+  }
+
+  // Bill discounts apply after line discounts and before tax, in the
+  // order promotions, percent, coupon, flat
+  const discountBreakdown = [];
+  let remaining = lines.map((line) => line.itemTotal - line.lineDiscount);
+  const subtract = (shares) => {
+    remaining = remaining.map((amount, index) => amount - shares[index]);
+  };
+  const sum = (amounts) => amounts.reduce((total, amount) => total + amount, 0);
+
+  const lineDiscountTotal = roundAmount(sum(lines.map((line) => line.lineDiscount)));
+  if (lineDiscountTotal > 0) {
+    discountBreakdown.push({ type: 'LINE', amount: lineDiscountTotal });
+  }
+
+  const promotions = await findActivePromotions(tx, promotionsAt);
+  const promotionLines = lines.map((line, index) => ({
+    product: line.product,
+    quantity: line.item.quantity,
+    amount: remaining[index]
+  }));
+
+  for (const { promotion, shares, amount } of applyPromotions(promotions, promotionLines)) {
+    subtract(shares);
+    discountBreakdown.push({
+      type: 'PROMOTION',
+      promotionId: promotion.id,
+      name: promotion.name,
+      amount,
+      items: lines
+        .map((line, index) => ({ productId: line.item.productId, amount: shares[index] }))
+        .filter((share) => share.amount > 0)
+    });
+  }
+
+  const subtotal = roundAmount(sum(remaining));
+
+  if (discountPercent > 0) {
+    const amount = roundAmount((subtotal * discountPercent) / 100);
+    subtract(allocateDiscount(remaining, amount));
+    discountBreakdown.push({ type: 'PERCENT', percent: discountPercent, amount });
+  }
+
+  if (coupon) {
+    if (subtotal < coupon.minBillAmount) {
+      const error = new Error(`Coupon ${coupon.code} needs a minimum bill of ${coupon.minBillAmount}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const eligible = lines.map((line, index) => (isCouponEligible(coupon, line.product) ? remaining[index] : 0));
+    if (sum(eligible) <= 0) {
+      const error = new Error(`Coupon ${coupon.code} does not apply to any item on this bill`);
+      error.status = 400;
+      throw error;
+    }
+
+    const amount = calculateCouponDiscount(coupon, sum(eligible));
+    subtract(allocateDiscount(eligible, amount));
+    discountBreakdown.push({ type: 'COUPON', couponId: coupon.id, code: coupon.code, amount });
+  }
+
+  if (flatDiscount > 0) {
+    const amount = roundAmount(Math.min(flatDiscount, sum(remaining)));
+    subtract(allocateDiscount(remaining, amount));
+    discountBreakdown.push({ type: 'FLAT', amount });
+  }
+
+  let taxAmount = 0;
+  const lineItems = lines.map((line, index) => {
+    const taxableAmount = roundAmount(remaining[index]);
+    const lineTax = calculateLineTax(taxableAmount, line.product.taxRate, interState);
+    taxAmount += lineTax.taxAmount;
+
+    return {
+      productId: line.item.productId,
+      variantId: line.item.variantId || null,
+      quantity: line.item.quantity,
+      unitPrice: line.unitPrice,
+      totalPrice: line.itemTotal,
+      discountType: line.item.discountType || null,
+      discountValue: line.item.discountValue || 0,
+      discountAmount: line.lineDiscount,
+      hsnCode: line.product.hsnCode,
+      taxableAmount,
+      taxRate: lineTax.taxRate,
+      cgstAmount: lineTax.cgstAmount,
+      sgstAmount: lineTax.sgstAmount,
+      igstAmount: lineTax.igstAmount
+    };
+  });
+
+  // Calculate final amounts
+  const discountAmount = roundAmount(sum(discountBreakdown.map((entry) => entry.amount)));
+  taxAmount = roundAmount(taxAmount);
+  const finalAmount = roundAmount(totalAmount - discountAmount + taxAmount);
+
+  return {
+    items: lineItems,
+    totalAmount,
+    discountAmount,
+    discountBreakdown,
+    taxAmount,
+    finalAmount
+  };
+};
+
+// Cart item from a stored bill or quotation line
+const toCartItem = (item) => ({
+  productId: item.productId,
+  variantId: item.variantId,
+  quantity: item.quantity,
+  discountType: item.discountType,
+  discountValue: item.discountValue
+});
+
+// Keep only the cart fields of request items; prices always come from the catalog
+const toCartItems = (items) => items.map((item) => ({
+  ...toCartItem(item),
+  variantId: item.variantId || undefined,
+  quantity: parseInt(item.quantity),
+  discountValue: item.discountValue !== undefined ? parseFloat(item.discountValue) : 0
+}));
+
+const findCouponById = (tx, couponId) => (
+  couponId ? tx.coupon.findUnique({ where: { id: couponId } }) : null
+);
+
+// Work out payments for a priced bill from counter tenders
+const buildSettlement = (finalAmount, { paymentMethod = 'CASH', tenders } = {}) => {
+  // Without explicit tenders the bill is settled in full by paymentMethod;
+  // an empty tenders list leaves it unpaid
+  const tendered = tenders
+    ? tenders.map((tender) => ({ ...tender, amount: roundAmount(parseFloat(tender.amount)) }))
+    : [{ method: paymentMethod, amount: finalAmount }];
+  const { payments, amountPaid, changeDue } = allocateTenders(tendered, finalAmount);
+  const paymentStatus = derivePaymentStatus(finalAmount, amountPaid);
+
+  // Bill method follows the largest tender
+  const primaryMethod = payments.length > 0
+    ? payments.reduce((largest, payment) => (payment.amount > largest.amount ? payment : largest)).method
+    : paymentMethod;
+
+  return {
+    paymentMethod: primaryMethod,
+    paymentStatus,
+    amountPaid,
+    changeDue,
+    paidAt: paymentStatus === 'PAID' ? new Date() : null,
+    payments: {
+      create: payments
+    }
+  };
+};
+
+const billInclude = {
+  customer: true,
+  items: {
+    include: {
+      product: true,
+      variant: true
+    }
+  }
+};
+
+// Create a bill inside a transaction: customer, pricing, stock, coupon, payments and number
+const createBill = async (tx, {
+  id,
+  customerName,
+  mobileNumber,
+  email,
+  address,
+  items,
+  discountPercent = 0,
+  flatDiscount = 0,
+  couponCode,
+  placeOfSupply,
+  paymentMethod = 'CASH',
+  tenders,
+  promotionsAt,
+  createdBy
+}) => {
+  await checkUpiReferences(tx, tenders);
+
+  const customer = await findOrCreateCustomer(tx, { customerName, mobileNumber, email, address });
+  const coupon = couponCode ? await findRedeemableCoupon(tx, couponCode) : null;
+
+  const pricing = await priceItems(tx, items, { discountPercent, flatDiscount, coupon, placeOfSupply, reserveStock: true, promotionsAt });
+  const { totalAmount, discountAmount, discountBreakdown, taxAmount, finalAmount } = pricing;
+
+  if (coupon) {
+    await redeemCoupon(tx, coupon);
+  }
+
+  // Generate bill number
+  const billNumber = await nextSequenceNumber(tx, 'BILL');
+
+  const bill = await tx.bill.create({
+    data: {
+      id,
+      billNumber,
+      customerId: customer.id,
+      totalAmount,
+      discountPercent,
+      flatDiscount,
+      discountAmount,
+      discountBreakdown,
+      taxAmount,
+      finalAmount,
+      placeOfSupply: placeOfSupply || null,
+      couponId: coupon ? coupon.id : null,
+      ...buildSettlement(finalAmount, { paymentMethod, tenders }),
+      items: {
+        create: pricing.items
+      }
+    }
+  });
+
+  await takeStock(tx, pricing.items, { referenceType: 'BILL', referenceId: bill.id, createdBy });
+
+  return tx.bill.findUnique({
+    where: { id: bill.id },
+    include: billInclude
+  });
+};
+
+// Park a cart as a draft bill: priced, but no stock change and no bill number.
+// A coupon is checked now but only redeemed when the draft is finalized.
+const createDraftBill = async (tx, {
+  id,
+  customerName,
+  mobileNumber,
+  email,
+  address,
+  items,
+  discountPercent = 0,
+  flatDiscount = 0,
+  couponCode,
+  placeOfSupply
+}) => {
+  const customer = await findOrCreateCustomer(tx, { customerName, mobileNumber, email, address });
+  const coupon = couponCode ? await findRedeemableCoupon(tx, couponCode) : null;
+  const pricing = await priceItems(tx, items, { discountPercent, flatDiscount, coupon, placeOfSupply });
+
+  return tx.bill.create({
+    data: {
+      id,
+      customerId: customer.id,
+      totalAmount: pricing.totalAmount,
+      discountPercent,
+      flatDiscount,
+      discountAmount: pricing.discountAmount,
+      discountBreakdown: pricing.discountBreakdown,
+      taxAmount: pricing.taxAmount,
+      finalAmount: pricing.finalAmount,
+      placeOfSupply: placeOfSupply || null,
+      couponId: coupon ? coupon.id : null,
+      paymentStatus: 'DRAFT',
+      items: {
+        create: pricing.items
+      }
+    },
+    include: billInclude
+  });
+};
+
+// Replace a draft's items and re-price it at current catalog prices.
+// couponCode of null or '' removes the draft's coupon.
+const updateDraftBill = async (tx, draft, { customer, items, discountPercent, flatDiscount, couponCode, placeOfSupply }) => {
+  // A finalize that got in first owns the cart now
+  await lockBill(tx, draft.id);
+  const current = await tx.bill.findUnique({
+    where: { id: draft.id },
+    include: { items: true }
+  });
+
+  if (!current || current.paymentStatus !== 'DRAFT') {
+    const error = new Error('Bill is no longer a draft');
+    error.status = 400;
+    throw error;
+  }
+
+  const nextDiscount = discountPercent !== undefined ? discountPercent : current.discountPercent;
+  const nextFlatDiscount = flatDiscount !== undefined ? flatDiscount : current.flatDiscount;
+  const nextPlaceOfSupply = placeOfSupply !== undefined ? placeOfSupply : current.placeOfSupply;
+  const nextItems = items || current.items.map(toCartItem);
+
+  let coupon;
+  if (couponCode === undefined) {
+    coupon = await findCouponById(tx, current.couponId);
+  } else {
+    coupon = couponCode ? await findRedeemableCoupon(tx, couponCode) : null;
+  }
+
+  const pricing = await priceItems(tx, nextItems, {
+    discountPercent: nextDiscount,
+    flatDiscount: nextFlatDiscount,
+    coupon,
+    placeOfSupply: nextPlaceOfSupply
+  });
+
+  await tx.billItem.deleteMany({
+    where: { billId: draft.id }
+  });
+
+  return tx.bill.update({
+    where: { id: draft.id },
+    data: {
+      customerId: customer ? customer.id : current.customerId,
+      totalAmount: pricing.totalAmount,
+      discountPercent: nextDiscount,
+      flatDiscount: nextFlatDiscount,
+      discountAmount: pricing.discountAmount,
+      discountBreakdown: pricing.discountBreakdown,
+      taxAmount: pricing.taxAmount,
+      finalAmount: pricing.finalAmount,
+      placeOfSupply: nextPlaceOfSupply || null,
+      couponId: coupon ? coupon.id : null,
+      items: {
+        create: pricing.items
+      }
+    },
+    include: billInclude
+  });
+};
+
+// Turn a draft into a real bill: stock checks and decrements, coupon, number and payments
+const finalizeDraftBill = async (tx, draft, { paymentMethod = 'CASH', tenders, createdBy } = {}) => {
+  // Claim the draft first so a concurrent finalize cannot take stock twice
+  const claimed = await tx.bill.updateMany({
+    where: { id: draft.id, paymentStatus: 'DRAFT' },
+    data: { paymentStatus: 'PENDING' }
+  });
+
+  if (claimed.count === 0) {
+    const error = new Error('Bill is no longer a draft');
+    error.status = 400;
+    throw error;
+  }
+
+  await checkUpiReferences(tx, tenders);
+
+  // Price the cart as it is now: an edit may have committed since draft was read
+  const parked = await tx.bill.findUnique({
+    where: { id: draft.id },
+    include: { items: true }
+  });
+
+  // The coupon may have expired or run out while the cart was parked
+  const storedCoupon = await findCouponById(tx, parked.couponId);
+  const coupon = storedCoupon ? await findRedeemableCoupon(tx, storedCoupon.code) : null;
+
+  const pricing = await priceItems(tx, parked.items.map(toCartItem), {
+    discountPercent: parked.discountPercent,
+    flatDiscount: parked.flatDiscount,
+    coupon,
+    placeOfSupply: parked.placeOfSupply,
+    reserveStock: true
+  });
+
+  await takeStock(tx, pricing.items, { referenceType: 'BILL', referenceId: draft.id, createdBy });
+
+  if (coupon) {
+    await redeemCoupon(tx, coupon);
+  }
+
+  const billNumber = await nextSequenceNumber(tx, 'BILL');
+
+  await tx.billItem.deleteMany({
+    where: { billId: draft.id }
+  });
+
+  return tx.bill.update({
+    where: { id: draft.id },
+    data: {
+      billNumber,
+      totalAmount: pricing.totalAmount,
+      discountAmount: pricing.discountAmount,
+      discountBreakdown: pricing.discountBreakdown,
+      taxAmount: pricing.taxAmount,
+      finalAmount: pricing.finalAmount,
+      ...buildSettlement(pricing.finalAmount, { paymentMethod, tenders }),
+      // The sale happens now, not when the cart was parked
+      createdAt: new Date(),
+      items: {
+        create: pricing.items
+      }
+    },
+    include: billInclude
+  });
+};
+
+// Edit the items of a finalized, unpaid bill. Stock moves by the difference
+// in quantities and the bill as it was is kept as a revision. A redeemed
+// coupon stays on the bill, and promotions are those running when it was made.
+const reviseBill = async (tx, billId, { customer, items, discountPercent, flatDiscount, placeOfSupply, editedBy, reason }) => {
+  // A payment or return landing mid-revision would be priced against the old cart
+  await lockBill(tx, billId);
+
+  const bill = await tx.bill.findUnique({
+    where: { id: billId },
+    include: {
+      items: true,
+      _count: {
+        select: { revisions: true, creditNotes: true }
+      }
+    }
+  });
+
+  if (bill.amountPaid > 0 || !['PENDING', 'OVERDUE'].includes(bill.paymentStatus)) {
+    const error = new Error('Items can only be changed on an unpaid bill');
+    error.status = 400;
+    throw error;
+  }
+
+  if (bill._count.creditNotes > 0) {
+    const error = new Error('Items cannot be changed on a bill with credit notes');
+    error.status = 400;
+    throw error;
+  }
+
+  const nextDiscount = discountPercent !== undefined ? discountPercent : bill.discountPercent;
+  const nextFlatDiscount = flatDiscount !== undefined ? flatDiscount : bill.flatDiscount;
+  const nextPlaceOfSupply = placeOfSupply !== undefined ? placeOfSupply : bill.placeOfSupply;
+
+  // Stock and billed prices are per product, or per variant when sold by variant
+  const lineKey = (item) => `${item.productId}:${item.variantId || ''}`;
+
+  // Lines already on the bill keep the price they were billed at
+  const billedPrices = {};
+  for (const item of bill.items) {
+    billedPrices[lineKey(item)] = item.unitPrice;
+  }
+
+  const nextItems = (items || bill.items.map(toCartItem)).map((item) => ({
+    ...item,
+    unitPrice: billedPrices[lineKey(item)]
+  }));
+
+  // Net quantity change per product or variant
+  const changes = {};
+  for (const item of bill.items) {
+    const key = lineKey(item);
+    changes[key] = changes[key] || { productId: item.productId, variantId: item.variantId, quantity: 0 };
+    changes[key].quantity -= item.quantity;
+  }
+  for (const item of nextItems) {
+    const key = lineKey(item);
+    changes[key] = changes[key] || { productId: item.productId, variantId: item.variantId, quantity: 0 };
+    changes[key].quantity += item.quantity;
+  }
+
+  await adjustStock(tx, Object.values(changes), {
+    referenceType: 'BILL',
+    referenceId: billId,
+    note: `Revision ${bill._count.revisions + 1}`,
+    createdBy: editedBy
+  });
+
+  const pricing = await priceItems(tx, nextItems, {
+    discountPercent: nextDiscount,
+    flatDiscount: nextFlatDiscount,
+    coupon: await findCouponById(tx, bill.couponId),
+    placeOfSupply: nextPlaceOfSupply,
+    promotionsAt: bill.createdAt
+  });
+
+  await tx.billRevision.create({
+    data: {
+      billId,
+      revision: bill._count.revisions + 1,
+      snapshot: {
+        customerId: bill.customerId,
+        totalAmount: bill.totalAmount,
+        discountPercent: bill.discountPercent,
+        flatDiscount: bill.flatDiscount,
+        discountAmount: bill.discountAmount,
+        discountBreakdown: bill.discountBreakdown,
+        taxAmount: bill.taxAmount,
+        finalAmount: bill.finalAmount,
+        placeOfSupply: bill.placeOfSupply,
+        items: bill.items.map((item) => ({
+          productId: item.productId,
+          variantId: item.variantId,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          totalPrice: item.totalPrice,
+          discountType: item.discountType,
+          discountValue: item.discountValue,
+          discountAmount: item.discountAmount,
+          taxableAmount: item.taxableAmount,
+          taxRate: item.taxRate,
+          cgstAmount: item.cgstAmount,
+          sgstAmount: item.sgstAmount,
+          igstAmount: item.igstAmount
+        }))
+      },
+      editedBy: editedBy || null,
+      reason: reason || null
+    }
+  });
+
+  await tx.billItem.deleteMany({
+    where: { billId }
+  });
+
+  return tx.bill.update({
+    where: { id: billId },
+    data: {
+      customerId: customer ? customer.id : bill.customerId,
+      totalAmount: pricing.totalAmount,
+      discountPercent: nextDiscount,
+      flatDiscount: nextFlatDiscount,
+      discountAmount: pricing.discountAmount,
+      discountBreakdown: pricing.discountBreakdown,
+      taxAmount: pricing.taxAmount,
+      finalAmount: pricing.finalAmount,
+      placeOfSupply: nextPlaceOfSupply || null,
+      items: {
+        create: pricing.items
+      }
+    },
+    include: billInclude
+  });
+};
+
+module.exports = {
+  findOrCreateCustomer,
+  priceItems,
+  toCartItem,
+  toCartItems,
+  buildSettlement,
+  createBill,
+  createDraftBill,
+  updateDraftBill,
+  finalizeDraftBill,
+  reviseBill
+};
@@ -0,0 +1,54 @@
+// utils/checkout.js
+const { roundAmount } = require('./tax');
+const { getDefaultProviderName, getProvider } = require('./paymentProviders');
+const { settlePaidSession } = require('./paymentEvents');
+
+// Start a provider checkout for amount on a bill (loaded with customer,
+// items and products), or hand back the open one. A bill has one open
+// checkout at a time, so an open session for another provider or amount is
+// closed first. The provider defaults to the one already handling the bill,
+// then PAYMENT_PROVIDER.
+const startCheckout = async (prisma, bill, { providerName, amount, idempotencyKey }) => {
+  const provider = getProvider(providerName || bill.paymentProvider || getDefaultProviderName());
+  const checkoutAmount = roundAmount(amount);
+
+  if (bill.checkoutSessionId) {
+    const previousProvider = getProvider(bill.paymentProvider || 'STRIPE');
+    const existingSession = await previousProvider.fetchStatus(bill.checkoutSessionId);
+
+    // Paid, but the webhook has not arrived yet
+    if (existingSession.status === 'paid') {
+      await settlePaidSession(prisma, previousProvider, bill.id, existingSession);
+      const error = new Error('The last checkout for this bill has already been paid');
+      error.status = 400;
+      throw error;
+    }
+
+    if (existingSession.status === 'open') {
+      if (previousProvider === provider && existingSession.amount === checkoutAmount) {
+        return { provider, session: existingSession };
+      }
+
+      await previousProvider.expireSession(existingSession.id);
+    }
+  }
+
+  const session = await provider.createSession(bill, {
+    amount: checkoutAmount,
+    idempotencyKey
+  });
+
+  await prisma.bill.update({
+    where: { id: bill.id },
+    data: {
+      checkoutSessionId: session.id,
+      paymentProvider: provider.name
+    }
+  });
+
+  return { provider, session };
+};
+
+module.exports = {
+  startCheckout
+};
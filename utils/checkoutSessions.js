@@ -0,0 +1,95 @@
+// utils/checkoutSessions.js
+const { getProvider } = require('./paymentProviders');
+const { OPEN_LINK_STATUSES } = require('./paymentLinks');
+
+// Bills that should not take any more money online
+const CLOSED_BILL_STATUSES = ['PAID', 'VOID'];
+
+// Close a provider checkout session so the customer can no longer pay it.
+// Failures are logged, not thrown: the money has already been settled some
+// other way, and a late payment still arrives by webhook and is refunded.
+const expireProviderSession = async (providerName, sessionId) => {
+  try {
+    await getProvider(providerName).expireSession(sessionId);
+    return true;
+  } catch (error) {
+    console.error(`Could not expire checkout session ${sessionId}:`, error.message);
+    return false;
+  }
+};
+
+// Expire the checkout a payment link started. Only the bill's current
+// session can still be open; starting another checkout closed the ones before.
+const expireLinkCheckout = async (prisma, link) => {
+  if (!link.checkoutSessionId) return;
+
+  const bill = await prisma.bill.findUnique({ where: { id: link.billId } });
+  if (!bill || bill.checkoutSessionId !== link.checkoutSessionId) return;
+
+  await expireProviderSession(bill.paymentProvider || 'STRIPE', link.checkoutSessionId);
+
+  await prisma.bill.updateMany({
+    where: { id: bill.id, checkoutSessionId: link.checkoutSessionId },
+    data: { checkoutSessionId: null }
+  });
+};
+
+// Mark open links past their expiry as expired and close their checkouts
+const expirePaymentLinks = async (prisma) => {
+  const links = await prisma.paymentLink.findMany({
+    where: {
+      status: { in: OPEN_LINK_STATUSES },
+      expiresAt: { lt: new Date() }
+    }
+  });
+
+  const result = await prisma.paymentLink.updateMany({
+    where: {
+      id: { in: links.map((link) => link.id) },
+      status: { in: OPEN_LINK_STATUSES }
+    },
+    data: {
+      status: 'EXPIRED'
+    }
+  });
+
+  for (const link of links) {
+    await expireLinkCheckout(prisma, link);
+  }
+
+  return result.count;
+};
+
+// Once a bill is paid in full or voided, expire the checkout it still has
+// open and its unpaid links. paidSessionId is the session that just paid,
+// which is left alone.
+const closeOpenCheckouts = async (prisma, billId, { paidSessionId } = {}) => {
+  const bill = await prisma.bill.findUnique({ where: { id: billId } });
+  if (!bill || !CLOSED_BILL_STATUSES.includes(bill.paymentStatus)) return;
+
+  await prisma.paymentLink.updateMany({
+    where: {
+      billId,
+      status: { in: OPEN_LINK_STATUSES }
+    },
+    data: {
+      status: 'EXPIRED'
+    }
+  });
+
+  if (bill.checkoutSessionId && bill.checkoutSessionId !== paidSessionId) {
+    await expireProviderSession(bill.paymentProvider || 'STRIPE', bill.checkoutSessionId);
+
+    await prisma.bill.updateMany({
+      where: { id: billId, checkoutSessionId: bill.checkoutSessionId },
+      data: { checkoutSessionId: null }
+    });
+  }
+};
+
+module.exports = {
+  expireProviderSession,
+  expireLinkCheckout,
+  expirePaymentLinks,
+  closeOpenCheckouts
+};
@@ -0,0 +1,154 @@
+// utils/discounts.js
+const { roundAmount } = require('./tax');
+
+const DISCOUNT_TYPES = ['PERCENT', 'FLAT'];
+
+const discountError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const normalizeCouponCode = (code) => String(code).trim().toUpperCase();
+
+// Discount on a single line, never more than the line itself
+const calculateLineDiscount = (lineTotal, discountType, discountValue) => {
+  if (!discountType || !discountValue) return 0;
+
+  const amount = discountType === 'PERCENT'
+    ? (lineTotal * discountValue) / 100
+    : discountValue;
+
+  return roundAmount(Math.min(amount, lineTotal));
+};
+
+// Spread a bill level discount over lines in proportion to their amounts.
+// The last line takes the rounding difference so the shares add up exactly.
+const allocateDiscount = (amounts, discount) => {
+  const total = amounts.reduce((sum, amount) => sum + amount, 0);
+  const shares = amounts.map(() => 0);
+  if (total <= 0 || discount <= 0) return shares;
+
+  const lastIndex = amounts.reduce((last, amount, index) => (amount > 0 ? index : last), -1);
+  let allocated = 0;
+
+  amounts.forEach((amount, index) => {
+    if (amount <= 0) return;
+    shares[index] = index === lastIndex
+      ? roundAmount(discount - allocated)
+      : roundAmount((discount * amount) / total);
+    allocated += shares[index];
+  });
+
+  return shares;
+};
+
+// Look up a coupon by code and check it can be redeemed right now
+const findRedeemableCoupon = async (tx, code, at = new Date()) => {
+  const coupon = await tx.coupon.findUnique({
+    where: { code: normalizeCouponCode(code) }
+  });
+
+  if (!coupon || !coupon.isActive) {
+    throw discountError(`Coupon ${code} is not valid`);
+  }
+
+  if (coupon.validFrom > at) {
+    throw discountError(`Coupon ${coupon.code} is not active yet`);
+  }
+
+  if (coupon.validUntil && coupon.validUntil < at) {
+    throw discountError(`Coupon ${coupon.code} has expired`);
+  }
+
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    throw discountError(`Coupon ${coupon.code} has reached its usage limit`);
+  }
+
+  return coupon;
+};
+
+// A coupon without restrictions applies to every product
+const isCouponEligible = (coupon, product) => {
+  if (coupon.productIds.length === 0 && coupon.categories.length === 0) return true;
+  return coupon.productIds.includes(product.id) || coupon.categories.includes(product.category);
+};
+
+// Discount a coupon gives on the eligible part of the bill
+const calculateCouponDiscount = (coupon, eligibleAmount) => {
+  let amount = coupon.discountType === 'PERCENT'
+    ? (eligibleAmount * coupon.discountValue) / 100
+    : coupon.discountValue;
+
+  if (coupon.maxDiscount !== null) {
+    amount = Math.min(amount, coupon.maxDiscount);
+  }
+
+  return roundAmount(Math.min(amount, eligibleAmount));
+};
+
+// Take one use of the coupon. The usage condition is part of the update so
+// two bills cannot both take the last use.
+const redeemCoupon = async (tx, coupon) => {
+  const where = { id: coupon.id };
+  if (coupon.usageLimit !== null) {
+    where.usedCount = { lt: coupon.usageLimit };
+  }
+
+  const claimed = await tx.coupon.updateMany({
+    where,
+    data: { usedCount: { increment: 1 } }
+  });
+
+  if (claimed.count === 0) {
+    throw discountError(`Coupon ${coupon.code} has reached its usage limit`);
+  }
+};
+
+// Give a use back, e.g. when the bill is voided
+const releaseCoupon = async (tx, couponId) => {
+  if (!couponId) return;
+
+  await tx.coupon.updateMany({
+    where: { id: couponId, usedCount: { gt: 0 } },
+    data: { usedCount: { decrement: 1 } }
+  });
+};
+
+// Labelled discount lines for invoices and receipts
+const describeDiscounts = (document) => {
+  // Bills from before the breakdown was stored only had a percent discount
+  if (!document.discountBreakdown) {
+    return document.discountAmount > 0
+      ? [{ label: `Discount (${document.discountPercent}%)`, amount: document.discountAmount }]
+      : [];
+  }
+
+  return document.discountBreakdown.map((entry) => {
+    switch (entry.type) {
+      case 'LINE':
+        return { label: 'Item discounts', amount: entry.amount };
+      case 'PERCENT':
+        return { label: `Discount (${entry.percent}%)`, amount: entry.amount };
+      case 'COUPON':
+        return { label: `Coupon ${entry.code}`, amount: entry.amount };
+      case 'PROMOTION':
+        return { label: entry.name, amount: entry.amount };
+      default:
+        return { label: 'Discount', amount: entry.amount };
+    }
+  });
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  normalizeCouponCode,
+  calculateLineDiscount,
+  allocateDiscount,
+  findRedeemableCoupon,
+  isCouponEligible,
+  calculateCouponDiscount,
+  redeemCoupon,
+  releaseCoupon,
+  describeDiscounts
+};
@@ -0,0 +1,162 @@
+// utils/invoice.js
+const PDFDocument = require('pdfkit');
+const { buildTaxBreakdown } = require('./tax');
+const { describeDiscounts } = require('./discounts');
+const { getItemTitle } = require('./variants');
+
+// Standard PDF fonts have no rupee glyph
+const formatAmount = (value) => `Rs. ${(value || 0).toFixed(2)}`;
+
+const getSeller = () => ({
+  name: process.env.SELLER_NAME || 'BillG',
+  address: process.env.SELLER_ADDRESS || '',
+  phone: process.env.SELLER_PHONE || '',
+  gstin: process.env.SELLER_GSTIN || ''
+});
+
+const COLUMNS = [
+  { label: '#', x: 50, width: 25, align: 'left' },
+  { label: 'Item', x: 75, width: 200, align: 'left' },
+  { label: 'HSN', x: 275, width: 60, align: 'left' },
+  { label: 'Qty', x: 335, width: 40, align: 'right' },
+  { label: 'Rate', x: 375, width: 80, align: 'right' },
+  { label: 'Amount', x: 455, width: 90, align: 'right' }
+];
+
+// Start a new page when the next height would run past the bottom margin.
+// Returns whether a page was added.
+const ensureSpace = (doc, height) => {
+  if (doc.y + height <= doc.page.height - doc.page.margins.bottom) return false;
+  doc.addPage();
+  return true;
+};
+
+// Height of a row: its tallest cell once wrapped to the column width
+const measureRow = (doc, values) => Math.max(...COLUMNS.map((column, index) => (
+  doc.heightOfString(values[index], { width: column.width })
+)));
+
+// Draw a table row and move below its tallest cell
+const drawRow = (doc, values, options = {}) => {
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica');
+  const y = doc.y;
+  const height = measureRow(doc, values);
+
+  COLUMNS.forEach((column, index) => {
+    doc.text(values[index], column.x, y, { width: column.width, align: column.align });
+  });
+
+  doc.x = 50;
+  doc.y = y + height;
+};
+
+const drawItemsHeader = (doc) => {
+  drawRow(doc, COLUMNS.map((column) => column.label), { bold: true });
+  doc.moveTo(50, doc.y + 2).lineTo(545, doc.y + 2).stroke();
+  doc.moveDown(0.5);
+};
+
+const drawSummaryLine = (doc, label, value, options = {}) => {
+  ensureSpace(doc, doc.currentLineHeight(true));
+  const y = doc.y;
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica');
+  doc.text(label, 335, y, { width: 120, align: 'right' });
+  doc.text(value, 455, y, { width: 90, align: 'right' });
+  doc.moveDown(0.3);
+};
+
+// Render a bill (with customer and items.product) as a PDF into the given stream
+const renderInvoicePdf = (bill, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const seller = getSeller();
+  const tax = buildTaxBreakdown(bill.items);
+
+  doc.pipe(stream);
+
+  // Seller header
+  doc.font('Helvetica-Bold').fontSize(18).text(seller.name);
+  doc.font('Helvetica').fontSize(9);
+  if (seller.address) doc.text(seller.address);
+  if (seller.phone) doc.text(`Phone: ${seller.phone}`);
+  if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`);
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(14).text('TAX INVOICE', { align: 'right' });
+  doc.font('Helvetica').fontSize(10);
+  doc.text(`Bill No: ${bill.billNumber || 'DRAFT'}`, { align: 'right' });
+  doc.text(`Date: ${new Date(bill.createdAt).toLocaleDateString('en-IN')}`, { align: 'right' });
+
+  // Customer details
+  doc.moveDown();
+  doc.font('Helvetica-Bold').text('Bill To');
+  doc.font('Helvetica').text(bill.customer.name);
+  doc.text(bill.customer.mobileNumber);
+  if (bill.customer.email) doc.text(bill.customer.email);
+  if (bill.customer.address) doc.text(bill.customer.address);
+  if (bill.placeOfSupply) doc.text(`Place of supply: ${bill.placeOfSupply}`);
+
+  // Line items
+  doc.moveDown();
+  drawItemsHeader(doc);
+
+  bill.items.forEach((item, index) => {
+    const values = [
+      String(index + 1),
+      getItemTitle(item),
+      item.hsnCode || '-',
+      String(item.quantity),
+      item.unitPrice.toFixed(2),
+      item.totalPrice.toFixed(2)
+    ];
+
+    // Long bills continue on a new page under the column headings again
+    doc.font('Helvetica');
+    if (ensureSpace(doc, measureRow(doc, values))) {
+      drawItemsHeader(doc);
+    }
+
+    drawRow(doc, values);
+    doc.moveDown(0.3);
+  });
+
+  doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+  doc.moveDown(0.5);
+
+  // Totals
+  drawSummaryLine(doc, 'Subtotal', formatAmount(bill.totalAmount));
+  for (const discount of describeDiscounts(bill)) {
+    drawSummaryLine(doc, discount.label, `- ${formatAmount(discount.amount)}`);
+  }
+  if (tax.cgstAmount > 0) drawSummaryLine(doc, 'CGST', formatAmount(tax.cgstAmount));
+  if (tax.sgstAmount > 0) drawSummaryLine(doc, 'SGST', formatAmount(tax.sgstAmount));
+  if (tax.igstAmount > 0) drawSummaryLine(doc, 'IGST', formatAmount(tax.igstAmount));
+  drawSummaryLine(doc, 'Total', formatAmount(bill.finalAmount), { bold: true });
+  drawSummaryLine(doc, 'Paid', formatAmount(bill.amountPaid));
+  drawSummaryLine(doc, 'Balance Due', formatAmount(Math.max(bill.finalAmount - bill.amountPaid, 0)));
+
+  // Payment status
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(11)
+    .text(`Payment Status: ${bill.paymentStatus}`, 50)
+    .font('Helvetica').fontSize(10)
+    .text(`Payment Method: ${bill.paymentMethod}`);
+  if (bill.transactionId) doc.text(`Reference: ${bill.transactionId}`);
+
+  if (bill.paymentStatus === 'VOID') {
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('red')
+      .text('VOID', { align: 'center' })
+      .font('Helvetica').fontSize(10)
+      .text(bill.voidReason || '', { align: 'center' })
+      .fillColor('black');
+  }
+
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(8).text('This is a computer generated invoice.', 50, doc.y, { align: 'center', width: 495 });
+
+  doc.end();
+};
+
+module.exports = {
+  renderInvoicePdf
+};
@@ -0,0 +1,25 @@
+// utils/locks.js
+
+// Lock a bill row until the transaction ends. Checks that read the bill's
+// payments, returns or refunds and then write against them must run after
+// this, so two requests for the same bill cannot both pass them.
+const lockBill = async (tx, billId) => {
+  await tx.$queryRaw`SELECT "id" FROM "bills" WHERE "id" = ${billId} FOR UPDATE`;
+};
+
+// Lock a product row until the transaction ends, so a stock count read
+// after it is the one a new count is measured against
+const lockProduct = async (tx, productId) => {
+  await tx.$queryRaw`SELECT "id" FROM "products" WHERE "id" = ${productId} FOR UPDATE`;
+};
+
+// The same for a variant's stock
+const lockVariant = async (tx, variantId) => {
+  await tx.$queryRaw`SELECT "id" FROM "product_variants" WHERE "id" = ${variantId} FOR UPDATE`;
+};
+
+module.exports = {
+  lockBill,
+  lockProduct,
+  lockVariant
+};
@@ -0,0 +1,118 @@
+// utils/lowStock.js
+const { formatVariantOptions } = require('./variants');
+const { getChannels, sendNotification } = require('./notifications');
+
+// Stock at or below the reorder level needs a reorder
+const isLowStock = (stock, reorderLevel) => reorderLevel !== null && reorderLevel !== undefined && stock <= reorderLevel;
+
+const toLowStockItem = (product, variant) => {
+  const stocked = variant || product;
+
+  return {
+    productId: product.id,
+    variantId: variant ? variant.id : null,
+    title: variant ? `${product.title} (${formatVariantOptions(variant.options, product.optionAxes)})` : product.title,
+    sku: stocked.sku,
+    category: product.category,
+    stock: stocked.stock,
+    reorderLevel: product.reorderLevel,
+    reorderQuantity: product.reorderQuantity,
+    alertedAt: stocked.lowStockAlertedAt
+  };
+};
+
+// Products at or below their reorder level, lowest stock first. A product
+// sold by variant is checked per active variant against its own level.
+const findLowStockItems = async (prisma, { category } = {}) => {
+  const where = { reorderLevel: { not: null } };
+
+  if (category) {
+    where.category = { contains: category, mode: 'insensitive' };
+  }
+
+  const products = await prisma.product.findMany({
+    where,
+    include: {
+      variants: {
+        where: { isActive: true },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+
+  const items = [];
+  for (const product of products) {
+    const stocked = product.optionAxes.length > 0 ? product.variants : [null];
+
+    for (const variant of stocked) {
+      if (isLowStock((variant || product).stock, product.reorderLevel)) {
+        items.push(toLowStockItem(product, variant));
+      }
+    }
+  }
+
+  return items.sort((a, b) => a.stock - b.stock);
+};
+
+const buildLowStockMessage = (items) => ({
+  event: 'stock.low',
+  subject: `${items.length} item(s) at or below reorder level`,
+  text: items.map((item) => {
+    const reorder = item.reorderQuantity ? `, reorder ${item.reorderQuantity}` : '';
+    return `- ${item.title}${item.sku ? ` [${item.sku}]` : ''}: ${item.stock} left (level ${item.reorderLevel}${reorder})`;
+  }).join('\n'),
+  data: { items }
+});
+
+// Clear the alert mark on everything that is no longer low, so it alerts
+// again the next time it runs down
+const clearRestockedAlerts = async (prisma, items) => {
+  const lowProductIds = items.filter((item) => !item.variantId).map((item) => item.productId);
+  const lowVariantIds = items.filter((item) => item.variantId).map((item) => item.variantId);
+
+  await prisma.product.updateMany({
+    where: { lowStockAlertedAt: { not: null }, id: { notIn: lowProductIds } },
+    data: { lowStockAlertedAt: null }
+  });
+
+  await prisma.productVariant.updateMany({
+    where: { lowStockAlertedAt: { not: null }, id: { notIn: lowVariantIds } },
+    data: { lowStockAlertedAt: null }
+  });
+};
+
+// Alert on items that ran low since the last run through the channels in
+// LOW_STOCK_CHANNELS (the log by default). Items stay marked as alerted until
+// they are restocked; if no channel delivers, they are tried again next run.
+const notifyLowStock = async (prisma) => {
+  const items = await findLowStockItems(prisma);
+  await clearRestockedAlerts(prisma, items);
+
+  const newItems = items.filter((item) => !item.alertedAt);
+  if (newItems.length === 0) {
+    return { lowStock: items.length, notified: 0 };
+  }
+
+  const delivered = await sendNotification(getChannels(process.env.LOW_STOCK_CHANNELS), buildLowStockMessage(newItems));
+  if (delivered === 0) {
+    return { lowStock: items.length, notified: 0 };
+  }
+
+  const alertedAt = new Date();
+  await prisma.product.updateMany({
+    where: { id: { in: newItems.filter((item) => !item.variantId).map((item) => item.productId) } },
+    data: { lowStockAlertedAt: alertedAt }
+  });
+  await prisma.productVariant.updateMany({
+    where: { id: { in: newItems.filter((item) => item.variantId).map((item) => item.variantId) } },
+    data: { lowStockAlertedAt: alertedAt }
+  });
+
+  return { lowStock: items.length, notified: newItems.length };
+};
+
+module.exports = {
+  isLowStock,
+  findLowStockItems,
+  notifyLowStock
+};
@@ -0,0 +1,39 @@
+// utils/notifications/email.js
+// Sends the message over SMTP to NOTIFY_EMAIL_TO. SMTP_HOST and SMTP_PORT
+// default to a local catcher such as MailHog or Mailpit (localhost:1025).
+const nodemailer = require('nodemailer');
+
+let transport;
+
+// Created on first use so the settings are read after dotenv has loaded
+const getTransport = () => {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+  return transport;
+};
+
+const isConfigured = () => Boolean(process.env.NOTIFY_EMAIL_TO);
+
+const send = async (message) => {
+  await getTransport().sendMail({
+    from: process.env.NOTIFY_EMAIL_FROM || 'billing@localhost',
+    to: process.env.NOTIFY_EMAIL_TO,
+    subject: message.subject,
+    text: message.text
+  });
+};
+
+module.exports = {
+  name: 'EMAIL',
+  label: 'Email',
+  isConfigured,
+  send
+};
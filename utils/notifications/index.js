@@ -0,0 +1,60 @@
+// utils/notifications/index.js
+//
+// Channels that alerts go out through. Each one implements:
+//   isConfigured() -> whether its settings are present
+//   send(message) -> resolves once delivered
+// A message is { event, subject, text, data }.
+const log = require('./log');
+const email = require('./email');
+const webhook = require('./webhook');
+
+const CHANNELS = {
+  LOG: log,
+  EMAIL: email,
+  WEBHOOK: webhook
+};
+
+const NOTIFICATION_CHANNELS = Object.keys(CHANNELS);
+
+// Channels named in a comma separated setting such as LOW_STOCK_CHANNELS.
+// Unknown or unconfigured channels are skipped with a warning.
+const getChannels = (setting, fallback = 'LOG') => (setting || fallback)
+  .split(',')
+  .map((name) => name.trim().toUpperCase())
+  .filter(Boolean)
+  .filter((name) => {
+    const channel = CHANNELS[name];
+
+    if (!channel) {
+      console.warn(`Unknown notification channel: ${name}`);
+      return false;
+    }
+
+    if (!channel.isConfigured()) {
+      console.warn(`Notification channel ${channel.label} is not configured`);
+      return false;
+    }
+
+    return true;
+  })
+  .map((name) => CHANNELS[name]);
+
+// Send a message through every channel. Returns the number that delivered it;
+// a failing channel does not stop the others.
+const sendNotification = async (channels, message) => {
+  const results = await Promise.allSettled(channels.map((channel) => channel.send(message)));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Error sending ${message.event} through ${channels[index].label}:`, result.reason.message);
+    }
+  });
+
+  return results.filter((result) => result.status === 'fulfilled').length;
+};
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  getChannels,
+  sendNotification
+};
@@ -0,0 +1,16 @@
+// utils/notifications/log.js
+// Writes the message to the server log. Always available.
+
+const isConfigured = () => true;
+
+const send = async (message) => {
+  console.log(`🔔 ${message.subject}`);
+  console.log(message.text);
+};
+
+module.exports = {
+  name: 'LOG',
+  label: 'Log',
+  isConfigured,
+  send
+};
@@ -0,0 +1,37 @@
+// utils/notifications/webhook.js
+// Posts the message as JSON to NOTIFY_WEBHOOK_URL. With
+// NOTIFY_WEBHOOK_SECRET set the body is signed (HMAC-SHA256, hex) in the
+// X-Signature header.
+const crypto = require('crypto');
+const axios = require('axios');
+
+const isConfigured = () => Boolean(process.env.NOTIFY_WEBHOOK_URL);
+
+const send = async (message) => {
+  const body = JSON.stringify({
+    event: message.event,
+    subject: message.subject,
+    data: message.data,
+    sentAt: new Date().toISOString()
+  });
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.NOTIFY_WEBHOOK_SECRET) {
+    headers['X-Signature'] = crypto
+      .createHmac('sha256', process.env.NOTIFY_WEBHOOK_SECRET)
+      .update(body)
+      .digest('hex');
+  }
+
+  await axios.post(process.env.NOTIFY_WEBHOOK_URL, body, {
+    headers,
+    timeout: 10000
+  });
+};
+
+module.exports = {
+  name: 'WEBHOOK',
+  label: 'Webhook',
+  isConfigured,
+  send
+};
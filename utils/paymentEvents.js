@@ -0,0 +1,334 @@
+// utils/paymentEvents.js
+//
+// Webhooks from every provider are translated (see utils/paymentProviders)
+// into these payment events before they touch a bill:
+//   payment.succeeded  { billId, sessionId, reference, amount, method }
+//   payment.failed     { billId, reference, amount, method, reason }
+//   session.expired    { sessionId }
+//   payment.refunded   { reference, refundedTotal }
+//   payment.disputed   { reference, disputedAt }
+const { roundAmount } = require('./tax');
+const { recordPayment, applyPaymentRefund, withBalance } = require('./payments');
+const { lockBill } = require('./locks');
+const { issueRefund } = require('./refunds');
+const { getProvider } = require('./paymentProviders');
+const { markLinksPaid } = require('./paymentLinks');
+const { closeOpenCheckouts } = require('./checkoutSessions');
+
+// Retries give up after this many attempts and leave the event for a person
+const MAX_WEBHOOK_ATTEMPTS = 5;
+
+// Successful payment taken through the provider with this reference
+const findPaymentForReference = (tx, provider, reference) => tx.payment.findFirst({
+  where: {
+    provider: provider.name,
+    reference,
+    status: { not: 'FAILED' }
+  }
+});
+
+// The money has been taken, so it is always recorded, even on a bill that
+// was paid some other way while the checkout was open. What it pays over the
+// balance due is returned as the excess, to be refunded once committed. On a
+// void or draft bill all of it is excess.
+const handlePaymentSucceeded = async (tx, provider, data) => {
+  const bill = data.billId ? await tx.bill.findUnique({ where: { id: data.billId } }) : null;
+
+  if (!bill) {
+    throw new Error(`Bill ${data.billId} for checkout session ${data.sessionId} not found`);
+  }
+
+  await lockBill(tx, bill.id);
+
+  if (await findPaymentForReference(tx, provider, data.reference)) {
+    console.log(`Payment ${data.reference} is already recorded, ignoring session ${data.sessionId}`);
+    await markLinksPaid(tx, data.sessionId);
+    return null;
+  }
+
+  const current = await tx.bill.findUnique({ where: { id: bill.id } });
+
+  // recordPayment refuses these bills; keep the money on the bill without
+  // moving its status so it can be refunded
+  if (current.paymentStatus === 'VOID' || current.paymentStatus === 'DRAFT') {
+    console.log(`Payment ${data.reference} received for ${current.paymentStatus.toLowerCase()} bill ${bill.id}, refunding it`);
+
+    const payment = await tx.payment.create({
+      data: {
+        billId: bill.id,
+        amount: data.amount,
+        method: data.method,
+        reference: data.reference,
+        provider: provider.name
+      }
+    });
+
+    await tx.bill.update({
+      where: { id: bill.id },
+      data: { amountPaid: { increment: data.amount } }
+    });
+
+    return { billId: bill.id, sessionId: data.sessionId, payment, excess: roundAmount(data.amount) };
+  }
+
+  const excess = roundAmount(Math.max(data.amount - withBalance(current).balanceDue, 0));
+
+  const payment = await recordPayment(tx, bill, {
+    amount: data.amount,
+    method: data.method,
+    reference: data.reference,
+    provider: provider.name,
+    allowOverpayment: true
+  });
+
+  await markLinksPaid(tx, data.sessionId);
+
+  console.log('💰 Payment Successful');
+  console.log('Bill ID:', bill.id);
+  console.log('Transaction ID:', data.reference);
+
+  return { billId: bill.id, sessionId: data.sessionId, payment, excess };
+};
+
+// After a payment is committed: refund what it paid over the balance, and
+// close any other checkout still open on a bill that is now paid
+const settleRecordedPayment = async (prisma, { billId, sessionId, payment, excess }) => {
+  if (excess > 0) {
+    const bill = await prisma.bill.findUnique({ where: { id: billId } });
+    console.log(`Bill ${billId} was overpaid by ${excess}, refunding payment ${payment.reference}`);
+
+    try {
+      await issueRefund(prisma, bill, {
+        amount: excess,
+        paymentId: payment.id,
+        reason: 'Paid after the bill was settled'
+      });
+    } catch (error) {
+      // The refund is kept as FAILED on the bill for a person to settle
+      console.error(`Refund of overpayment on bill ${billId} failed:`, error.message);
+    }
+  }
+
+  await closeOpenCheckouts(prisma, billId, { paidSessionId: sessionId });
+};
+
+// The customer never paid; a new checkout can be started
+const handleSessionExpired = async (tx, provider, data) => {
+  await tx.bill.updateMany({
+    where: { checkoutSessionId: data.sessionId },
+    data: { checkoutSessionId: null }
+  });
+};
+
+// Keep the failed attempt on the bill's payment history
+const handlePaymentFailed = async (tx, provider, data) => {
+  const bill = data.billId ? await tx.bill.findUnique({ where: { id: data.billId } }) : null;
+
+  if (!bill) {
+    console.log(`No bill for failed ${provider.label} payment ${data.reference}`);
+    return;
+  }
+
+  await tx.payment.create({
+    data: {
+      billId: bill.id,
+      amount: data.amount,
+      method: data.method,
+      reference: data.reference,
+      provider: provider.name,
+      status: 'FAILED',
+      failureReason: data.reason || 'Payment failed'
+    }
+  });
+};
+
+const handlePaymentRefunded = async (tx, provider, data) => {
+  const payment = await findPaymentForReference(tx, provider, data.reference);
+
+  if (!payment) {
+    throw new Error(`No payment found for refunded ${provider.label} payment ${data.reference}`);
+  }
+
+  // Refunds issued through our API add themselves onto the payment once the
+  // provider confirms them; a later event carries the same total
+  const pendingRefunds = await tx.refund.count({
+    where: { paymentId: payment.id, status: 'PENDING' }
+  });
+
+  if (pendingRefunds > 0) return;
+
+  // Anything else was refunded from the provider's dashboard and needs its own record
+  const delta = await applyPaymentRefund(tx, payment, data.refundedTotal);
+
+  if (delta > 0) {
+    await tx.refund.create({
+      data: {
+        billId: payment.billId,
+        paymentId: payment.id,
+        amount: delta,
+        method: payment.method,
+        status: 'SUCCEEDED',
+        reason: `Refunded in ${provider.label}`
+      }
+    });
+  }
+};
+
+const handlePaymentDisputed = async (tx, provider, data) => {
+  const payment = await findPaymentForReference(tx, provider, data.reference);
+
+  if (!payment) {
+    throw new Error(`No payment found for disputed ${provider.label} payment ${data.reference}`);
+  }
+
+  await tx.payment.update({
+    where: { id: payment.id },
+    data: { status: 'DISPUTED' }
+  });
+
+  await tx.bill.update({
+    where: { id: payment.billId },
+    data: { disputedAt: new Date(data.disputedAt) }
+  });
+};
+
+const HANDLERS = {
+  'payment.succeeded': handlePaymentSucceeded,
+  'session.expired': handleSessionExpired,
+  'payment.failed': handlePaymentFailed,
+  'payment.refunded': handlePaymentRefunded,
+  'payment.disputed': handlePaymentDisputed
+};
+
+// Record a paid session found by polling the provider, as its webhook would
+const settlePaidSession = async (prisma, provider, billId, session) => {
+  const recorded = await prisma.$transaction((tx) => (
+    handlePaymentSucceeded(tx, provider, {
+      billId,
+      sessionId: session.id,
+      reference: session.reference,
+      amount: session.amount,
+      method: session.method
+    })
+  ));
+
+  if (recorded) {
+    await settleRecordedPayment(prisma, recorded);
+  }
+};
+
+// Apply a verified webhook event ({ id, type, payload }) once. The event row
+// is claimed in the same transaction as the changes, so a redelivered or
+// concurrent copy is a no-op. Failures are recorded for
+// retryFailedPaymentEvents and rethrown.
+const processPaymentEvent = async (prisma, provider, event) => {
+  let recorded = null;
+
+  try {
+    await prisma.$transaction(async (tx) => {
+      const existingEvent = await tx.webhookEvent.findUnique({ where: { id: event.id } });
+
+      if (existingEvent) {
+        const claimed = await tx.webhookEvent.updateMany({
+          where: { id: event.id, status: 'FAILED' },
+          data: {
+            status: 'PROCESSED',
+            attempts: { increment: 1 },
+            lastError: null,
+            processedAt: new Date()
+          }
+        });
+
+        if (claimed.count === 0) {
+          const duplicate = new Error(`Event ${event.id} already processed`);
+          duplicate.code = 'DUPLICATE_EVENT';
+          throw duplicate;
+        }
+      } else {
+        await tx.webhookEvent.create({
+          data: {
+            id: event.id,
+            provider: provider.name,
+            type: event.type,
+            status: 'PROCESSED',
+            payload: event.payload,
+            processedAt: new Date()
+          }
+        });
+      }
+
+      const paymentEvent = provider.toPaymentEvent(event.payload);
+      const handler = paymentEvent && HANDLERS[paymentEvent.type];
+      if (handler) {
+        recorded = await handler(tx, provider, paymentEvent.data);
+      }
+    });
+  } catch (error) {
+    // Another delivery of the same event got there first
+    if (error.code === 'DUPLICATE_EVENT' || error.code === 'P2002') {
+      return { duplicate: true };
+    }
+
+    await prisma.webhookEvent.upsert({
+      where: { id: event.id },
+      create: {
+        id: event.id,
+        provider: provider.name,
+        type: event.type,
+        status: 'FAILED',
+        lastError: error.message,
+        payload: event.payload
+      },
+      update: {
+        status: 'FAILED',
+        attempts: { increment: 1 },
+        lastError: error.message
+      }
+    });
+
+    throw error;
+  }
+
+  // Only payment.succeeded hands back a payment to settle
+  if (recorded) {
+    await settleRecordedPayment(prisma, recorded);
+  }
+
+  return { duplicate: false };
+};
+
+// Run failed events again, oldest first
+const retryFailedPaymentEvents = async (prisma) => {
+  const failedEvents = await prisma.webhookEvent.findMany({
+    where: {
+      status: 'FAILED',
+      attempts: { lt: MAX_WEBHOOK_ATTEMPTS }
+    },
+    orderBy: {
+      createdAt: 'asc'
+    }
+  });
+
+  let succeeded = 0;
+  for (const failedEvent of failedEvents) {
+    try {
+      await processPaymentEvent(prisma, getProvider(failedEvent.provider), {
+        id: failedEvent.id,
+        type: failedEvent.type,
+        payload: failedEvent.payload
+      });
+      succeeded++;
+    } catch (error) {
+      console.error(`Retry of webhook event ${failedEvent.id} failed:`, error.message);
+    }
+  }
+
+  return { attempted: failedEvents.length, succeeded };
+};
+
+module.exports = {
+  MAX_WEBHOOK_ATTEMPTS,
+  settlePaidSession,
+  processPaymentEvent,
+  retryFailedPaymentEvents
+};
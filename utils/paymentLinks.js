@@ -0,0 +1,51 @@
+// utils/paymentLinks.js
+const crypto = require('crypto');
+const { roundAmount } = require('./tax');
+
+// Links still waiting for the customer
+const OPEN_LINK_STATUSES = ['SENT', 'OPENED'];
+
+// How long a link works, PAYMENT_LINK_TTL_HOURS (72 hours by default)
+const getLinkTtlMs = () => (parseInt(process.env.PAYMENT_LINK_TTL_HOURS) || 72) * 60 * 60 * 1000;
+
+const generateLinkToken = () => crypto.randomBytes(24).toString('base64url');
+
+const getDefaultExpiry = () => new Date(Date.now() + getLinkTtlMs());
+
+// Public page for a link, PAYMENT_LINK_BASE_URL or the client's /pay route
+const buildLinkUrl = (link) => `${process.env.PAYMENT_LINK_BASE_URL || `${process.env.CLIENT_URL}/pay`}/${link.token}`;
+
+const isLinkExpired = (link) => OPEN_LINK_STATUSES.includes(link.status) && link.expiresAt < new Date();
+
+// What the link collects now: its amount, but never more than the balance due
+const getLinkAmount = (link, bill) => {
+  const balanceDue = roundAmount(Math.max(bill.finalAmount - bill.amountPaid, 0));
+  return link.amount ? Math.min(roundAmount(link.amount), balanceDue) : balanceDue;
+};
+
+const withLinkUrl = (link) => ({
+  ...link,
+  url: buildLinkUrl(link)
+});
+
+// A checkout started from a link was paid
+const markLinksPaid = (tx, sessionId) => tx.paymentLink.updateMany({
+  where: {
+    checkoutSessionId: sessionId,
+    status: { not: 'PAID' }
+  },
+  data: {
+    status: 'PAID',
+    paidAt: new Date()
+  }
+});
+
+module.exports = {
+  OPEN_LINK_STATUSES,
+  generateLinkToken,
+  getDefaultExpiry,
+  isLinkExpired,
+  getLinkAmount,
+  withLinkUrl,
+  markLinksPaid
+};
@@ -0,0 +1,103 @@
+// utils/paymentProviders/fake.js
+// In-process provider for tests and local development. Sessions live in
+// memory; completeSession() marks one paid and returns the signed webhook
+// to post to /api/webhook/fake. It is only enabled under NODE_ENV=test or
+// when FAKE_WEBHOOK_SECRET is set, since its webhooks can mark any bill paid.
+const crypto = require('crypto');
+const { roundAmount } = require('../tax');
+
+const sessions = new Map();
+let counter = 0;
+
+const nextId = (prefix) => `${prefix}_${Date.now().toString(36)}${(++counter).toString(36)}`;
+
+// Without FAKE_WEBHOOK_SECRET (tests), webhooks are signed with a secret
+// made for this process, so only its own buildWebhook() can sign one
+const processSecret = crypto.randomBytes(32).toString('hex');
+
+const sign = (body) => crypto
+  .createHmac('sha256', process.env.FAKE_WEBHOOK_SECRET || processSecret)
+  .update(body)
+  .digest('hex');
+
+const createSession = async (bill, { amount }) => {
+  const session = {
+    id: nextId('fake_cs'),
+    billId: bill.id,
+    url: `${process.env.CLIENT_URL}/fake-checkout/${bill.id}`,
+    amount: roundAmount(amount),
+    status: 'open',
+    reference: null,
+    method: 'CARD'
+  };
+  sessions.set(session.id, session);
+  return { ...session };
+};
+
+// Sessions from before a restart are gone; treat them as expired
+const fetchStatus = async (sessionId) => {
+  const session = sessions.get(sessionId);
+  return session ? { ...session } : { id: sessionId, url: null, amount: 0, status: 'expired', reference: null, method: 'CARD' };
+};
+
+const expireSession = async (sessionId) => {
+  const session = sessions.get(sessionId);
+  if (session && session.status === 'open') session.status = 'expired';
+};
+
+// Signed webhook for a payment event, as { body, headers }
+const buildWebhook = (type, data) => {
+  const body = JSON.stringify({ id: nextId('fake_evt'), type, data });
+  return { body, headers: { 'x-fake-signature': sign(body) } };
+};
+
+// Pay an open session, as the customer would on the provider's page
+const completeSession = (sessionId, { method = 'CARD' } = {}) => {
+  const session = sessions.get(sessionId);
+  if (!session || session.status !== 'open') {
+    throw new Error(`Fake session ${sessionId} is not open`);
+  }
+
+  session.status = 'paid';
+  session.reference = nextId('fake_pay');
+  session.method = method;
+
+  return buildWebhook('payment.succeeded', {
+    billId: session.billId,
+    sessionId: session.id,
+    reference: session.reference,
+    amount: session.amount,
+    method
+  });
+};
+
+const verifyWebhook = (rawBody, headers) => {
+  const signature = headers['x-fake-signature'] || '';
+  const expected = sign(rawBody);
+
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new Error('Invalid fake webhook signature');
+  }
+
+  const event = JSON.parse(rawBody.toString());
+  return { id: event.id, type: event.type, payload: event };
+};
+
+// Fake events are already payment events
+const toPaymentEvent = (event) => ({ type: event.type, data: event.data });
+
+const refund = async () => ({ id: nextId('fake_re') });
+
+module.exports = {
+  name: 'FAKE',
+  label: 'Fake provider',
+  isConfigured: () => process.env.NODE_ENV === 'test' || Boolean(process.env.FAKE_WEBHOOK_SECRET),
+  createSession,
+  fetchStatus,
+  expireSession,
+  verifyWebhook,
+  toPaymentEvent,
+  refund,
+  buildWebhook,
+  completeSession
+};
@@ -0,0 +1,48 @@
+// utils/paymentProviders/index.js
+//
+// Online payment providers. Each one implements:
+//   createSession(bill, { amount, idempotencyKey }) -> session
+//   fetchStatus(sessionId) -> session
+//   expireSession(sessionId)
+//   verifyWebhook(rawBody, headers) -> { id, type, payload }, throws on a bad signature
+//   toPaymentEvent(payload) -> { type, data } or null, see utils/paymentEvents.js
+//   refund(payment, refund) -> { id }
+// A session is { id, url, amount, status: open | paid | expired, reference, method }.
+const stripe = require('./stripe');
+const razorpay = require('./razorpay');
+const fake = require('./fake');
+
+const PROVIDERS = {
+  STRIPE: stripe,
+  RAZORPAY: razorpay,
+  FAKE: fake
+};
+
+const PAYMENT_PROVIDERS = Object.keys(PROVIDERS);
+
+// PAYMENT_PROVIDER picks the provider for new checkouts (Stripe by default)
+const getDefaultProviderName = () => (process.env.PAYMENT_PROVIDER || 'STRIPE').toUpperCase();
+
+const getProvider = (name) => {
+  const provider = PROVIDERS[(name || '').toUpperCase()];
+
+  if (!provider) {
+    const error = new Error(`Unknown payment provider: ${name}`);
+    error.status = 400;
+    throw error;
+  }
+
+  if (!provider.isConfigured()) {
+    const error = new Error(`Payment provider ${provider.label} is not configured`);
+    error.status = 400;
+    throw error;
+  }
+
+  return provider;
+};
+
+module.exports = {
+  PAYMENT_PROVIDERS,
+  getDefaultProviderName,
+  getProvider
+};
@@ -0,0 +1,206 @@
+// utils/paymentProviders/razorpay.js
+const crypto = require('crypto');
+const axios = require('axios');
+const { roundAmount } = require('../tax');
+
+const client = axios.create({
+  baseURL: 'https://api.razorpay.com/v1'
+});
+
+// Razorpay amounts are in paise
+const toPaise = (amount) => Math.round(amount * 100);
+const fromPaise = (amount) => roundAmount((amount || 0) / 100);
+
+// Razorpay payment methods as recorded on our payments
+const PAYMENT_METHODS = {
+  upi: 'UPI',
+  card: 'CARD',
+  netbanking: 'BANK_TRANSFER'
+};
+
+const toPaymentMethod = (method) => PAYMENT_METHODS[method] || 'OTHER';
+
+// Payment link statuses as checkout session statuses
+const LINK_STATUSES = {
+  created: 'open',
+  partially_paid: 'open',
+  paid: 'paid',
+  expired: 'expired',
+  cancelled: 'expired'
+};
+
+const request = async (method, url, data, headers) => {
+  try {
+    const response = await client.request({
+      method,
+      url,
+      data,
+      headers,
+      auth: {
+        username: process.env.RAZORPAY_KEY_ID,
+        password: process.env.RAZORPAY_KEY_SECRET
+      }
+    });
+    return response.data;
+  } catch (error) {
+    const details = error.response && error.response.data && error.response.data.error;
+    throw new Error((details && details.description) || error.message);
+  }
+};
+
+const toSession = (link) => {
+  const payments = (link.payments || []).filter((payment) => payment.status === 'captured');
+  const payment = payments[payments.length - 1];
+
+  return {
+    id: link.id,
+    url: link.short_url,
+    amount: fromPaise(link.amount),
+    status: LINK_STATUSES[link.status] || 'open',
+    reference: payment ? payment.payment_id : null,
+    method: payment ? toPaymentMethod(payment.method) : 'UPI'
+  };
+};
+
+// Hosted payment link; the customer can pay by UPI, card or netbanking
+const createSession = async (bill, { amount }) => {
+  const link = await request('post', '/payment_links', {
+    amount: toPaise(amount),
+    currency: 'INR',
+    accept_partial: false,
+    description: `Payment for bill ${bill.billNumber}`,
+    customer: bill.customer ? {
+      name: bill.customer.name,
+      contact: bill.customer.mobileNumber,
+      email: bill.customer.email || undefined
+    } : undefined,
+    notify: {
+      sms: false,
+      email: false
+    },
+    notes: {
+      billId: bill.id,
+      billNumber: bill.billNumber
+    },
+    callback_url: `${process.env.CLIENT_URL}/success/${bill.id}`,
+    callback_method: 'get'
+  });
+
+  return toSession(link);
+};
+
+const fetchStatus = async (sessionId) => toSession(await request('get', `/payment_links/${sessionId}`));
+
+const expireSession = async (sessionId) => {
+  await request('post', `/payment_links/${sessionId}/cancel`);
+};
+
+// X-Razorpay-Signature is a hex HMAC-SHA256 of the raw body. Without
+// RAZORPAY_WEBHOOK_SECRET nothing is accepted; an empty key can be forged.
+const verifyWebhook = (rawBody, headers) => {
+  if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+    throw new Error('RAZORPAY_WEBHOOK_SECRET is not set');
+  }
+
+  const signature = headers['x-razorpay-signature'] || '';
+  const expected = crypto
+    .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest('hex');
+
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new Error('Invalid Razorpay webhook signature');
+  }
+
+  const event = JSON.parse(rawBody.toString());
+
+  // Redeliveries carry the same event id header
+  const id = headers['x-razorpay-event-id'] || `rzp_${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+
+  return { id, type: event.event, payload: event };
+};
+
+const getEntity = (event, name) => event.payload && event.payload[name] && event.payload[name].entity;
+
+// Translate a Razorpay event into a payment event, or null when it needs no action
+const toPaymentEvent = (event) => {
+  const payment = getEntity(event, 'payment');
+
+  switch (event.event) {
+    case 'payment_link.paid': {
+      const link = getEntity(event, 'payment_link');
+      return {
+        type: 'payment.succeeded',
+        data: {
+          billId: link.notes && link.notes.billId,
+          sessionId: link.id,
+          reference: payment.id,
+          amount: fromPaise(payment.amount),
+          method: toPaymentMethod(payment.method)
+        }
+      };
+    }
+    case 'payment_link.expired':
+    case 'payment_link.cancelled':
+      return { type: 'session.expired', data: { sessionId: getEntity(event, 'payment_link').id } };
+    case 'payment.failed':
+      return {
+        type: 'payment.failed',
+        data: {
+          billId: payment.notes && payment.notes.billId,
+          reference: payment.id,
+          amount: fromPaise(payment.amount),
+          method: toPaymentMethod(payment.method),
+          reason: payment.error_description
+        }
+      };
+    case 'refund.processed':
+      return {
+        type: 'payment.refunded',
+        data: {
+          reference: payment.id,
+          refundedTotal: fromPaise(payment.amount_refunded)
+        }
+      };
+    case 'payment.dispute.created': {
+      const dispute = getEntity(event, 'dispute');
+      return {
+        type: 'payment.disputed',
+        data: {
+          reference: dispute.payment_id,
+          disputedAt: new Date(dispute.created_at * 1000)
+        }
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+// Refund a captured payment; keyed on our refund id so a retry cannot refund twice
+const refund = async (payment, refundRecord) => {
+  const razorpayRefund = await request('post', `/payments/${payment.reference}/refund`, {
+    amount: toPaise(refundRecord.amount),
+    receipt: refundRecord.id,
+    notes: {
+      billId: refundRecord.billId,
+      refundId: refundRecord.id
+    }
+  }, {
+    'X-Refund-Idempotency': refundRecord.id
+  });
+
+  return { id: razorpayRefund.id };
+};
+
+module.exports = {
+  name: 'RAZORPAY',
+  label: 'Razorpay',
+  isConfigured: () => Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET && process.env.RAZORPAY_WEBHOOK_SECRET),
+  createSession,
+  fetchStatus,
+  expireSession,
+  verifyWebhook,
+  toPaymentEvent,
+  refund
+};
@@ -0,0 +1,194 @@
+// utils/paymentProviders/stripe.js
+const Stripe = require('stripe');
+const { roundAmount } = require('../tax');
+const { getItemTitle } = require('../variants');
+
+// Created on first use so the server starts without Stripe keys when
+// another provider is in use
+let client = null;
+const stripe = () => {
+  if (!client) client = new Stripe(process.env.STRIPE_SECRET_KEY);
+  return client;
+};
+
+// Stripe wants amounts in the smallest currency unit (paise)
+const toPaise = (amount) => Math.round(amount * 100);
+
+const toLineItem = (name, amount) => ({
+  price_data: {
+    currency: 'inr',
+    product_data: { name },
+    unit_amount: amount
+  },
+  quantity: 1
+});
+
+// Stripe line items for a bill. Each line is charged at its discounted, tax
+// inclusive amount; the last line absorbs rounding so the session total is
+// exactly the amount being collected. When the lines cannot add up to it
+// (a bill discount larger than the last line) the bill is charged as one line.
+const buildLineItems = (bill, amount) => {
+  const amountDue = toPaise(amount);
+  const isPartial = amountDue !== toPaise(bill.finalAmount - bill.amountPaid);
+  const balanceLine = [toLineItem(`Balance due for bill ${bill.billNumber}`, amountDue)];
+
+  // Part paid bills and part payments are charged as one line
+  if (isPartial) {
+    return [toLineItem(`Part payment for bill ${bill.billNumber}`, amountDue)];
+  }
+
+  if (bill.amountPaid > 0 || bill.items.length === 0) {
+    return balanceLine;
+  }
+
+  const lines = bill.items.map((item) => ({
+    name: `${getItemTitle(item)} x ${item.quantity}`,
+    amount: toPaise(item.taxableAmount + item.cgstAmount + item.sgstAmount + item.igstAmount)
+  }));
+
+  const difference = amountDue - lines.reduce((sum, line) => sum + line.amount, 0);
+  lines[lines.length - 1].amount += difference;
+
+  const charged = lines.filter((line) => line.amount > 0);
+  if (charged.reduce((sum, line) => sum + line.amount, 0) !== amountDue) {
+    return balanceLine;
+  }
+
+  return charged.map((line) => toLineItem(line.name, line.amount));
+};
+
+const SESSION_STATUSES = {
+  open: 'open',
+  complete: 'paid',
+  expired: 'expired'
+};
+
+const toSession = (session) => ({
+  id: session.id,
+  url: session.url,
+  amount: roundAmount(session.amount_total / 100),
+  status: session.payment_status === 'paid' ? 'paid' : SESSION_STATUSES[session.status] || 'open',
+  reference: session.payment_intent || null,
+  method: 'CARD'
+});
+
+// Hosted Checkout Session for a bill loaded with items and products
+const createSession = async (bill, { amount, idempotencyKey }) => {
+  const session = await stripe().checkout.sessions.create(
+    {
+      payment_method_types: ['card'],
+      mode: 'payment',
+      line_items: buildLineItems(bill, amount),
+      client_reference_id: bill.id,
+      metadata: {
+        billId: bill.id,
+        billNumber: bill.billNumber
+      },
+      payment_intent_data: {
+        metadata: {
+          billId: bill.id
+        }
+      },
+      success_url: `${process.env.CLIENT_URL}/success/${bill.id}?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${process.env.CLIENT_URL}/cancel`
+    },
+    idempotencyKey ? { idempotencyKey } : undefined
+  );
+
+  return toSession(session);
+};
+
+const fetchStatus = async (sessionId) => toSession(await stripe().checkout.sessions.retrieve(sessionId));
+
+const expireSession = async (sessionId) => {
+  await stripe().checkout.sessions.expire(sessionId);
+};
+
+const verifyWebhook = (rawBody, headers) => {
+  const event = stripe().webhooks.constructEvent(
+    rawBody,
+    headers['stripe-signature'],
+    process.env.STRIPE_WEBHOOK_SECRET
+  );
+
+  return { id: event.id, type: event.type, payload: event };
+};
+
+// Translate a Stripe event into a payment event, or null when it needs no action
+const toPaymentEvent = (event) => {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+      // Delayed payment methods settle later through their own events
+      if (object.payment_status !== 'paid') return null;
+      return {
+        type: 'payment.succeeded',
+        data: {
+          billId: (object.metadata && object.metadata.billId) || object.client_reference_id,
+          sessionId: object.id,
+          reference: object.payment_intent,
+          amount: roundAmount(object.amount_total / 100),
+          method: 'CARD'
+        }
+      };
+    case 'checkout.session.expired':
+      return { type: 'session.expired', data: { sessionId: object.id } };
+    case 'payment_intent.payment_failed':
+      return {
+        type: 'payment.failed',
+        data: {
+          billId: object.metadata && object.metadata.billId,
+          reference: object.id,
+          amount: roundAmount(object.amount / 100),
+          method: 'CARD',
+          reason: object.last_payment_error && object.last_payment_error.message
+        }
+      };
+    case 'charge.refunded':
+      return {
+        type: 'payment.refunded',
+        data: {
+          reference: object.payment_intent,
+          refundedTotal: roundAmount(object.amount_refunded / 100)
+        }
+      };
+    case 'charge.dispute.created':
+      return {
+        type: 'payment.disputed',
+        data: {
+          reference: object.payment_intent,
+          disputedAt: new Date(object.created * 1000)
+        }
+      };
+    default:
+      return null;
+  }
+};
+
+// Refund against the PaymentIntent; keyed on our refund id so a retry cannot refund twice
+const refund = async (payment, refundRecord) => {
+  const stripeRefund = await stripe().refunds.create({
+    payment_intent: payment.reference,
+    amount: toPaise(refundRecord.amount),
+    metadata: {
+      billId: refundRecord.billId,
+      refundId: refundRecord.id
+    }
+  }, { idempotencyKey: `refund_${refundRecord.id}` });
+
+  return { id: stripeRefund.id };
+};
+
+module.exports = {
+  name: 'STRIPE',
+  label: 'Stripe',
+  isConfigured: () => Boolean(process.env.STRIPE_SECRET_KEY),
+  createSession,
+  fetchStatus,
+  expireSession,
+  verifyWebhook,
+  toPaymentEvent,
+  refund,
+  buildLineItems
+};
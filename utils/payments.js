@@ -0,0 +1,191 @@
+// utils/payments.js
+const { roundAmount } = require('./tax');
+const { lockBill } = require('./locks');
+
+// Work out the payment status from what has been paid against the bill
+const derivePaymentStatus = (finalAmount, amountPaid) => {
+  if (amountPaid <= 0) return 'PENDING';
+  if (roundAmount(amountPaid) < roundAmount(finalAmount)) return 'PARTIAL';
+  return 'PAID';
+};
+
+// Add the outstanding balance and what the customer has paid net of refunds to a bill read
+const withBalance = (bill) => ({
+  ...bill,
+  balanceDue: roundAmount(Math.max(bill.finalAmount - bill.amountPaid, 0)),
+  netPaid: roundAmount(bill.amountPaid - (bill.refundedAmount || 0))
+});
+
+// Record a payment against a bill and move its status along. The bill is
+// locked and read again first, so concurrent payments see each other and the
+// balance check holds. Paying more than the balance due is refused unless
+// allowOverpayment is set (money the provider has already taken).
+const recordPayment = async (tx, bill, { amount, method, reference, paidAt, provider, allowOverpayment = false }) => {
+  await lockBill(tx, bill.id);
+  const current = await tx.bill.findUnique({ where: { id: bill.id } });
+
+  if (current.paymentStatus === 'VOID' || current.paymentStatus === 'DRAFT') {
+    const error = new Error(`Payments cannot be recorded against a ${current.paymentStatus.toLowerCase()} bill`);
+    error.status = 400;
+    throw error;
+  }
+
+  const { balanceDue } = withBalance(current);
+  if (!allowOverpayment && roundAmount(amount) > balanceDue) {
+    const error = new Error(`Payment exceeds balance. Balance due on this bill is ${balanceDue}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const payment = await tx.payment.create({
+    data: {
+      billId: bill.id,
+      amount,
+      method,
+      reference: reference || null,
+      provider: provider || null,
+      paidAt: paidAt || new Date()
+    }
+  });
+
+  const updateData = {
+    amountPaid: { increment: amount },
+    paymentMethod: method
+  };
+  if (reference) updateData.transactionId = reference;
+  if (provider) updateData.paymentProvider = provider;
+
+  const updated = await tx.bill.update({
+    where: { id: bill.id },
+    data: updateData
+  });
+
+  // Status and balance come from the row as it is now, not as the caller read it
+  const amountPaid = roundAmount(updated.amountPaid);
+  const paymentStatus = derivePaymentStatus(updated.finalAmount, amountPaid);
+
+  const statusData = { amountPaid, paymentStatus };
+  if (paymentStatus === 'PAID') statusData.paidAt = payment.paidAt;
+
+  await tx.bill.update({
+    where: { id: bill.id },
+    data: statusData
+  });
+
+  return payment;
+};
+
+// Bring a payment's refunded total up to refundedTotal (cumulative, as
+// reported by the gateway) and move the bill along with it
+const applyPaymentRefund = async (tx, payment, refundedTotal) => {
+  // Read again: the API and the gateway webhook can both report the same refund
+  const current = await tx.payment.findUnique({ where: { id: payment.id } });
+  const delta = roundAmount(refundedTotal - current.refundedAmount);
+  if (delta <= 0) return 0;
+
+  const fullyRefunded = roundAmount(refundedTotal) >= roundAmount(payment.amount);
+  await tx.payment.update({
+    where: { id: payment.id },
+    data: {
+      refundedAmount: roundAmount(refundedTotal),
+      status: fullyRefunded ? 'REFUNDED' : current.status
+    }
+  });
+
+  const bill = await tx.bill.findUnique({ where: { id: current.billId } });
+  const billRefunded = roundAmount(bill.refundedAmount + delta);
+
+  await tx.bill.update({
+    where: { id: bill.id },
+    data: {
+      refundedAmount: billRefunded,
+      // A void or draft bill keeps its status when money taken on it is returned
+      paymentStatus: !['VOID', 'DRAFT'].includes(bill.paymentStatus) && bill.amountPaid > 0 && billRefunded >= roundAmount(bill.amountPaid)
+        ? 'REFUNDED'
+        : bill.paymentStatus
+    }
+  });
+
+  return delta;
+};
+
+// Split counter tenders into payments; cash over the bill amount becomes change
+const allocateTenders = (tenders, finalAmount) => {
+  const total = roundAmount(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+  const nonCash = roundAmount(tenders
+    .filter((tender) => tender.method !== 'CASH')
+    .reduce((sum, tender) => sum + tender.amount, 0));
+
+  if (nonCash > roundAmount(finalAmount)) {
+    const error = new Error(`Non-cash tenders (${nonCash}) exceed the bill amount (${roundAmount(finalAmount)})`);
+    error.status = 400;
+    throw error;
+  }
+
+  const changeDue = roundAmount(Math.max(total - finalAmount, 0));
+  let changeLeft = changeDue;
+
+  const payments = tenders.map((tender) => {
+    let amount = tender.amount;
+    if (tender.method === 'CASH' && changeLeft > 0) {
+      const applied = Math.min(amount, changeLeft);
+      amount = roundAmount(amount - applied);
+      changeLeft = roundAmount(changeLeft - applied);
+    }
+
+    return {
+      amount,
+      method: tender.method,
+      reference: tender.reference || null
+    };
+  }).filter((payment) => payment.amount > 0);
+
+  return {
+    payments,
+    amountPaid: roundAmount(total - changeDue),
+    changeDue
+  };
+};
+
+// A UPI transaction number pays one bill once, whether it comes in as a
+// payment or as a tender on a new bill. Requests racing each other are
+// stopped by the partial unique index on UPI references instead; see
+// isDuplicateUpiReference.
+const checkUpiReferences = async (tx, tenders = []) => {
+  const references = tenders
+    .filter((tender) => tender.method === 'UPI' && tender.reference)
+    .map((tender) => String(tender.reference).trim());
+
+  if (references.length === 0) return;
+
+  const repeated = references.find((reference, index) => references.indexOf(reference) !== index);
+  const duplicate = repeated
+    ? { reference: repeated }
+    : await tx.payment.findFirst({
+      where: {
+        method: 'UPI',
+        reference: { in: references },
+        status: { not: 'FAILED' }
+      }
+    });
+
+  if (duplicate) {
+    const error = new Error(`UPI reference ${duplicate.reference} is already recorded against a bill`);
+    error.status = 409;
+    throw error;
+  }
+};
+
+// Whether a failed write hit the UPI reference index (P2002 names it as the target)
+const isDuplicateUpiReference = (error) => error.code === 'P2002' &&
+  [].concat((error.meta && error.meta.target) || []).join(',').includes('reference');
+
+module.exports = {
+  derivePaymentStatus,
+  withBalance,
+  recordPayment,
+  applyPaymentRefund,
+  allocateTenders,
+  checkUpiReferences,
+  isDuplicateUpiReference
+};
@@ -0,0 +1,132 @@
+// utils/productCodes.js
+const { roundAmount } = require('./tax');
+
+// EAN-8, UPC-A, EAN-13 and GTIN-14 are all digits ending in a check digit
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+// In-store EAN-13s from the scale: PP IIIII VVVVV C, where PP is 20-29,
+// IIIII the item's scale code and VVVVV a price in paise or a weight in grams.
+// Which prefixes carry a price and which a weight depends on how the scales
+// are set up (WEIGHED_PRICE_PREFIXES, WEIGHED_WEIGHT_PREFIXES).
+const parsePrefixes = (value, fallback) => (value || fallback).split(',').map((prefix) => prefix.trim()).filter(Boolean);
+const getPricePrefixes = () => parsePrefixes(process.env.WEIGHED_PRICE_PREFIXES, '20,21,22,23,24');
+const getWeightPrefixes = () => parsePrefixes(process.env.WEIGHED_WEIGHT_PREFIXES, '25,26,27,28,29');
+
+const isGtin = (code) => /^\d+$/.test(code) && GTIN_LENGTHS.includes(code.length);
+
+// Mod-10 check digit over the digits before it, weighted 3 and 1 from the right
+const calculateCheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    const weight = i % 2 === 0 ? 3 : 1;
+    sum += parseInt(digits[digits.length - 1 - i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10;
+};
+
+const hasValidCheckDigit = (code) => (
+  isGtin(code) && calculateCheckDigit(code.slice(0, -1)) === parseInt(code.slice(-1))
+);
+
+// The same item printed as UPC-A (12 digits) or EAN-13 with a leading 0
+const getCodeCandidates = (code) => {
+  if (/^\d{12}$/.test(code)) return [code, `0${code}`];
+  if (/^0\d{12}$/.test(code)) return [code, code.slice(1)];
+  return [code];
+};
+
+// Decode a scale barcode. Returns { scaleCode, type, price | weight } or
+// null when the code is not one. The check digit is validated by the caller.
+const parseWeighedBarcode = (code) => {
+  if (!/^2\d{12}$/.test(code)) return null;
+
+  const prefix = code.slice(0, 2);
+  const value = parseInt(code.slice(7, 12));
+
+  if (getPricePrefixes().includes(prefix)) {
+    return { scaleCode: code.slice(0, 7), type: 'PRICE', price: value / 100 };
+  }
+
+  if (getWeightPrefixes().includes(prefix)) {
+    return { scaleCode: code.slice(0, 7), type: 'WEIGHT', weight: value / 1000 };
+  }
+
+  return null;
+};
+
+// Fill in the other half of a weighed reading from the item's price per kg
+const describeWeighedItem = (weighed, unitPrice) => {
+  if (weighed.type === 'PRICE') {
+    return {
+      ...weighed,
+      weight: unitPrice > 0 ? Math.round((weighed.price / unitPrice) * 1000) / 1000 : null
+    };
+  }
+
+  return {
+    ...weighed,
+    price: roundAmount(weighed.weight * unitPrice)
+  };
+};
+
+// Product or variant with exactly this SKU or barcode.
+// Returns { product, variant, matchedOn } or null.
+const findByCode = async (tx, code) => {
+  for (const candidate of getCodeCandidates(code)) {
+    for (const field of ['barcode', 'sku']) {
+      const product = await tx.product.findUnique({ where: { [field]: candidate } });
+      if (product) {
+        return { product, variant: null, matchedOn: field.toUpperCase() };
+      }
+
+      const variant = await tx.productVariant.findUnique({
+        where: { [field]: candidate },
+        include: { product: true }
+      });
+      if (variant) {
+        const { product: parent, ...rest } = variant;
+        return { product: parent, variant: rest, matchedOn: field.toUpperCase() };
+      }
+    }
+  }
+
+  return null;
+};
+
+// Another product or variant already using this SKU or barcode. exclude is
+// { productId } or { variantId } for the record being updated.
+const findCodeConflict = async (tx, { sku, barcode }, exclude = {}) => {
+  const codes = [];
+  if (sku) codes.push({ sku });
+  if (barcode) codes.push({ barcode });
+  if (codes.length === 0) return null;
+
+  const product = await tx.product.findFirst({
+    where: {
+      OR: codes,
+      ...(exclude.productId ? { id: { not: exclude.productId } } : {})
+    }
+  });
+  if (product) return product;
+
+  return tx.productVariant.findFirst({
+    where: {
+      OR: codes,
+      ...(exclude.variantId ? { id: { not: exclude.variantId } } : {})
+    }
+  });
+};
+
+// A barcode that looks like a GTIN must carry the right check digit
+const isValidBarcode = (barcode) => !isGtin(barcode) || hasValidCheckDigit(barcode);
+
+module.exports = {
+  isGtin,
+  calculateCheckDigit,
+  hasValidCheckDigit,
+  isValidBarcode,
+  parseWeighedBarcode,
+  describeWeighedItem,
+  findByCode,
+  findCodeConflict
+};
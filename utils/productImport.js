@@ -0,0 +1,286 @@
+// utils/productImport.js
+const { validationResult } = require('express-validator');
+const { productValidation } = require('../middleware/validation');
+const { moveStock, refreshAvailability } = require('./stock');
+const { findCodeConflict } = require('./productCodes');
+const { lockProduct } = require('./locks');
+
+// Columns of the import and export sheets, in order
+const PRODUCT_COLUMNS = [
+  'sku',
+  'barcode',
+  'title',
+  'description',
+  'price',
+  'stock',
+  'category',
+  'brand',
+  'hsnCode',
+  'taxRate',
+  'thumbnail',
+  'images',
+  'rating',
+  'tags',
+  'warrantyInformation',
+  'shippingInformation',
+  'returnPolicy',
+  'minimumOrderQuantity',
+  'reorderLevel',
+  'reorderQuantity'
+];
+
+// List cells hold their values separated by |
+const LIST_COLUMNS = ['images', 'tags'];
+const LIST_SEPARATOR = '|';
+
+const FLOAT_COLUMNS = ['price', 'rating', 'taxRate'];
+const INT_COLUMNS = ['minimumOrderQuantity', 'reorderLevel', 'reorderQuantity'];
+
+// Files up to this many rows are imported before the response; larger
+// ones run in the background and are followed through the job
+const INLINE_IMPORT_ROWS = 200;
+
+// How often a background job saves its progress
+const PROGRESS_EVERY_ROWS = 50;
+
+// A job that has saved nothing for this long stopped with its server
+const STALE_JOB_MINUTES = 15;
+
+// Request body for a sheet row. Blank cells are left out.
+const toProductBody = (values) => {
+  const body = {};
+
+  PRODUCT_COLUMNS.forEach((column) => {
+    const value = values[column];
+    if (value === undefined || value === null || value === '') return;
+
+    body[column] = LIST_COLUMNS.includes(column)
+      ? String(value).split(LIST_SEPARATOR).map((entry) => entry.trim()).filter(Boolean)
+      : value;
+  });
+
+  return body;
+};
+
+// Sheet row for a product
+const toProductRow = (product) => {
+  const row = {};
+
+  PRODUCT_COLUMNS.forEach((column) => {
+    const value = product[column];
+    row[column] = Array.isArray(value) ? value.join(LIST_SEPARATOR) : value;
+  });
+
+  return row;
+};
+
+// Check a row body against the same rules as POST /api/products.
+// Returns [{ field, message }].
+const validateProductBody = async (body) => {
+  const req = { body };
+
+  for (const chain of productValidation.create) {
+    await chain.run(req);
+  }
+
+  return validationResult(req).array().map((error) => ({
+    field: error.path,
+    message: error.msg
+  }));
+};
+
+// Product fields given on the row; stock is moved separately
+const toProductData = (body) => {
+  const data = {};
+
+  Object.keys(body).forEach((key) => {
+    if (key === 'stock') return;
+    if (FLOAT_COLUMNS.includes(key)) data[key] = parseFloat(body[key]);
+    else if (INT_COLUMNS.includes(key)) data[key] = parseInt(body[key]);
+    else data[key] = body[key];
+  });
+
+  return data;
+};
+
+const rowError = (field, message) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.field = field;
+  return error;
+};
+
+// Code a row is matched on: its SKU, or its barcode for products exported
+// without a SKU
+const getRowKey = (body) => (body.sku ? { sku: body.sku } : { barcode: body.barcode });
+
+// Create or update the product with the row's SKU (or barcode). Blank cells
+// leave an existing product's values as they are. Returns 'CREATED' or 'UPDATED'.
+const importProductRow = async (tx, body, job) => {
+  const match = await tx.product.findUnique({
+    where: getRowKey(body)
+  });
+
+  // The stock count is measured against the product as it is now
+  let existing = null;
+  if (match) {
+    await lockProduct(tx, match.id);
+    existing = await tx.product.findUnique({ where: { id: match.id } });
+  }
+
+  const conflict = await findCodeConflict(tx, { sku: body.sku, barcode: body.barcode }, existing ? { productId: existing.id } : {});
+
+  if (conflict) {
+    const field = conflict.sku === body.sku ? 'sku' : 'barcode';
+    throw rowError(field, `Another product or variant already uses this ${field === 'sku' ? 'SKU' : 'barcode'}`);
+  }
+
+  const stock = parseInt(body.stock);
+
+  if (existing && existing.optionAxes.length > 0 && stock !== existing.stock) {
+    throw rowError('stock', 'Stock of this product is held on its variants');
+  }
+
+  if (job.dryRun) return existing ? 'UPDATED' : 'CREATED';
+
+  const movement = {
+    reason: 'ADJUSTMENT',
+    referenceType: 'PRODUCT_IMPORT',
+    referenceId: job.id,
+    createdBy: job.createdBy
+  };
+
+  if (existing) {
+    await tx.product.update({
+      where: { id: existing.id },
+      data: toProductData(body)
+    });
+
+    if (stock !== existing.stock) {
+      await moveStock(tx, existing.id, stock - existing.stock, { ...movement, note: 'Stock count imported' });
+    }
+
+    if (body.reorderLevel !== undefined) {
+      await refreshAvailability(tx, existing.id);
+    }
+    return 'UPDATED';
+  }
+
+  const product = await tx.product.create({
+    data: {
+      ...toProductData(body),
+      stock: 0,
+      availabilityStatus: 'Out of Stock'
+    }
+  });
+
+  if (stock > 0) {
+    await moveStock(tx, product.id, stock, { ...movement, note: 'Opening stock' });
+  }
+  return 'CREATED';
+};
+
+// Work through the rows of an import job ({ rowNumber, values }). Each row is
+// validated and saved on its own, so a bad row is reported and skipped
+// without holding back the rest. In a dry run nothing is saved.
+const runImportJob = async (prisma, jobId, rows) => {
+  const job = await prisma.productImportJob.update({
+    where: { id: jobId },
+    data: {
+      status: 'RUNNING',
+      totalRows: rows.length,
+      startedAt: new Date()
+    }
+  });
+
+  const counts = { processedRows: 0, createdCount: 0, updatedCount: 0, failedCount: 0 };
+  const rowErrors = [];
+  const seenKeys = new Set();
+
+  try {
+    for (const { rowNumber, values } of rows) {
+      const body = toProductBody(values);
+      const errors = await validateProductBody(body);
+
+      const key = JSON.stringify(getRowKey(body));
+
+      if (!body.sku && !body.barcode) {
+        errors.unshift({ field: 'sku', message: 'SKU or barcode is required to import a product' });
+      } else if (seenKeys.has(key)) {
+        errors.unshift({ field: body.sku ? 'sku' : 'barcode', message: `${body.sku ? 'SKU' : 'Barcode'} appears on an earlier row` });
+      }
+
+      if (errors.length === 0) {
+        seenKeys.add(key);
+
+        try {
+          const action = await prisma.$transaction((tx) => importProductRow(tx, body, job));
+          counts[action === 'CREATED' ? 'createdCount' : 'updatedCount']++;
+        } catch (error) {
+          errors.push({ field: error.field || null, message: error.message });
+        }
+      }
+
+      if (errors.length > 0) {
+        counts.failedCount++;
+        rowErrors.push({ row: rowNumber, sku: body.sku || null, errors });
+      }
+
+      counts.processedRows++;
+      if (counts.processedRows % PROGRESS_EVERY_ROWS === 0) {
+        await prisma.productImportJob.update({
+          where: { id: jobId },
+          data: counts
+        });
+      }
+    }
+
+    return await prisma.productImportJob.update({
+      where: { id: jobId },
+      data: {
+        ...counts,
+        status: 'COMPLETED',
+        rowErrors,
+        completedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error(`Product import ${jobId} failed:`, error);
+
+    return prisma.productImportJob.update({
+      where: { id: jobId },
+      data: {
+        ...counts,
+        status: 'FAILED',
+        rowErrors,
+        error: error.message,
+        completedAt: new Date()
+      }
+    });
+  }
+};
+
+// Jobs left PENDING or RUNNING by a server that stopped mid-import never
+// finish; mark them failed so the file can be uploaded again
+const failStaleImportJobs = async (prisma) => {
+  const result = await prisma.productImportJob.updateMany({
+    where: {
+      status: { in: ['PENDING', 'RUNNING'] },
+      updatedAt: { lt: new Date(Date.now() - STALE_JOB_MINUTES * 60 * 1000) }
+    },
+    data: {
+      status: 'FAILED',
+      error: 'The import stopped before it finished',
+      completedAt: new Date()
+    }
+  });
+  return result.count;
+};
+
+module.exports = {
+  PRODUCT_COLUMNS,
+  INLINE_IMPORT_ROWS,
+  toProductRow,
+  runImportJob,
+  failStaleImportJobs
+};
@@ -0,0 +1,160 @@
+// utils/promotions.js
+const { roundAmount } = require('./tax');
+const { allocateDiscount } = require('./discounts');
+
+const PROMOTION_TYPES = ['BUY_X_GET_Y', 'BUNDLE', 'TIERED'];
+
+// Promotions running right now
+const findActivePromotions = (tx, at = new Date()) => tx.promotion.findMany({
+  where: {
+    isActive: true,
+    validFrom: { lte: at },
+    OR: [
+      { validUntil: null },
+      { validUntil: { gte: at } }
+    ]
+  }
+});
+
+// Every non-empty criterion has to match; within a list any value does
+const matchesPromotion = (promotion, product) => {
+  if (promotion.productIds.length > 0 && !promotion.productIds.includes(product.id)) return false;
+  if (promotion.categories.length > 0 && !promotion.categories.includes(product.category)) return false;
+  if (promotion.brands.length > 0 && !promotion.brands.includes(product.brand)) return false;
+  if (promotion.tags.length > 0 && !(product.tags || []).some((tag) => promotion.tags.includes(tag))) return false;
+  return true;
+};
+
+// One entry per unit of the matching lines, so offers can pick single units
+const expandUnits = (lines, matched) => {
+  const units = [];
+  lines.forEach((line, index) => {
+    if (!matched[index]) return;
+    for (let unit = 0; unit < line.quantity; unit++) {
+      units.push({ index, price: line.amount / line.quantity });
+    }
+  });
+  return units;
+};
+
+const sharesFromUnits = (lines, units, discountPerUnit) => {
+  const shares = lines.map(() => 0);
+  units.forEach((unit) => {
+    shares[unit.index] += discountPerUnit(unit);
+  });
+  return shares.map(roundAmount);
+};
+
+// Buy X get Y: in every group of X + Y units the cheapest Y are discounted
+const evaluateBuyXGetY = (promotion, lines, matched) => {
+  const groupSize = promotion.buyQuantity + promotion.getQuantity;
+  const units = expandUnits(lines, matched).sort((a, b) => a.price - b.price);
+  const discountedUnits = Math.floor(units.length / groupSize) * promotion.getQuantity;
+
+  return sharesFromUnits(lines, units.slice(0, discountedUnits), (unit) => (
+    (unit.price * promotion.getDiscountPercent) / 100
+  ));
+};
+
+// Bundle: every bundleQuantity units sell for bundlePrice, using the dearest units first
+const evaluateBundle = (promotion, lines, matched) => {
+  const units = expandUnits(lines, matched).sort((a, b) => b.price - a.price);
+  const bundles = Math.floor(units.length / promotion.bundleQuantity);
+  const bundledUnits = units.slice(0, bundles * promotion.bundleQuantity);
+  const bundledAmount = bundledUnits.reduce((sum, unit) => sum + unit.price, 0);
+  const discount = Math.max(bundledAmount - bundles * promotion.bundlePrice, 0);
+
+  const amounts = lines.map(() => 0);
+  bundledUnits.forEach((unit) => {
+    amounts[unit.index] += unit.price;
+  });
+  return allocateDiscount(amounts, roundAmount(discount));
+};
+
+// Tiered: the best tier whose quantity and amount thresholds are met
+const evaluateTiered = (promotion, lines, matched) => {
+  const amounts = lines.map((line, index) => (matched[index] ? line.amount : 0));
+  const quantity = lines.reduce((sum, line, index) => sum + (matched[index] ? line.quantity : 0), 0);
+  const amount = amounts.reduce((sum, value) => sum + value, 0);
+
+  let best = 0;
+  for (const tier of promotion.tiers || []) {
+    if (quantity < (tier.minQuantity || 0) || amount < (tier.minAmount || 0)) continue;
+
+    const discount = tier.discountType === 'PERCENT'
+      ? (amount * tier.discountValue) / 100
+      : Math.min(tier.discountValue, amount);
+    best = Math.max(best, discount);
+  }
+
+  return allocateDiscount(amounts, roundAmount(best));
+};
+
+const EVALUATORS = {
+  BUY_X_GET_Y: evaluateBuyXGetY,
+  BUNDLE: evaluateBundle,
+  TIERED: evaluateTiered
+};
+
+// Discount a promotion gives on each line, or null when it does not apply.
+// Lines are { product, quantity, amount } with amount after line discounts.
+const evaluatePromotion = (promotion, lines) => {
+  const matched = lines.map((line) => matchesPromotion(promotion, line.product));
+  const quantity = lines.reduce((sum, line, index) => sum + (matched[index] ? line.quantity : 0), 0);
+  const amount = lines.reduce((sum, line, index) => sum + (matched[index] ? line.amount : 0), 0);
+
+  if (quantity === 0 || quantity < promotion.minQuantity || amount < promotion.minAmount) {
+    return null;
+  }
+
+  const shares = EVALUATORS[promotion.type](promotion, lines, matched);
+  const total = roundAmount(shares.reduce((sum, share) => sum + share, 0));
+  return total > 0 ? { shares, amount: total } : null;
+};
+
+// Pick the best combination: larger discounts first. An exclusive promotion
+// needs lines no other promotion has touched; stackable ones only avoid
+// lines held by an exclusive promotion.
+const applyPromotions = (promotions, lines) => {
+  const candidates = promotions
+    .map((promotion) => ({ promotion, result: evaluatePromotion(promotion, lines) }))
+    .filter((candidate) => candidate.result)
+    .sort((a, b) => b.result.amount - a.result.amount);
+
+  const remaining = lines.map((line) => line.amount);
+  const used = lines.map(() => false);
+  const exclusive = lines.map(() => false);
+  const applied = [];
+
+  for (const { promotion, result } of candidates) {
+    const touched = result.shares.map((share) => share > 0);
+    const blocked = touched.some((isTouched, index) => (
+      isTouched && (exclusive[index] || (!promotion.stackable && used[index]))
+    ));
+    if (blocked) continue;
+
+    // Stacked discounts can never take a line below zero
+    const shares = result.shares.map((share, index) => roundAmount(Math.min(share, remaining[index])));
+    const amount = roundAmount(shares.reduce((sum, share) => sum + share, 0));
+    if (amount <= 0) continue;
+
+    shares.forEach((share, index) => {
+      if (share <= 0) return;
+      remaining[index] -= share;
+      used[index] = true;
+      if (!promotion.stackable) exclusive[index] = true;
+    });
+
+    applied.push({ promotion, shares, amount });
+  }
+
+  return applied;
+};
+
+module.exports = {
+  PROMOTION_TYPES,
+  findActivePromotions,
+  matchesPromotion,
+  evaluatePromotion,
+  applyPromotions
+};
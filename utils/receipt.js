@@ -0,0 +1,154 @@
+// utils/receipt.js
+const { buildTaxBreakdown } = require('./tax');
+const { describeDiscounts } = require('./discounts');
+const { getItemTitle } = require('./variants');
+
+// Characters per line in the printer's default font
+const PAPER_COLUMNS = {
+  58: 32,
+  80: 48
+};
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// Thermal printers use single byte code pages, so keep receipts ASCII
+const toAscii = (text) => String(text).replace(/[^\x20-\x7e]/g, '?');
+
+const formatAmount = (value) => (value || 0).toFixed(2);
+
+const wrap = (text, width) => {
+  const words = toAscii(text).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+
+  for (const word of words) {
+    if (!current) {
+      current = word;
+    } else if ((current + ' ' + word).length <= width) {
+      current += ' ' + word;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+
+    // Break words that are longer than the paper
+    while (current.length > width) {
+      lines.push(current.slice(0, width));
+      current = current.slice(width);
+    }
+  }
+
+  if (current) lines.push(current);
+  return lines.length > 0 ? lines : [''];
+};
+
+const twoColumns = (left, right, width) => {
+  const rightText = toAscii(right);
+  const leftText = toAscii(left).slice(0, Math.max(width - rightText.length - 1, 0));
+  return leftText + ' '.repeat(Math.max(width - leftText.length - rightText.length, 1)) + rightText;
+};
+
+// Lay out a bill (with customer and items.product) as receipt lines
+const buildReceiptLines = (bill, columns) => {
+  const lines = [];
+  const add = (text, options = {}) => lines.push({ text, align: 'left', bold: false, ...options });
+  const divider = () => add('-'.repeat(columns));
+  const tax = buildTaxBreakdown(bill.items);
+
+  for (const line of wrap(process.env.SELLER_NAME || 'BillG', columns)) add(line, { align: 'center', bold: true });
+  if (process.env.SELLER_ADDRESS) {
+    for (const line of wrap(process.env.SELLER_ADDRESS, columns)) add(line, { align: 'center' });
+  }
+  if (process.env.SELLER_GSTIN) add(`GSTIN: ${process.env.SELLER_GSTIN}`, { align: 'center' });
+  divider();
+
+  add(twoColumns('Bill No', bill.billNumber || 'DRAFT', columns));
+  add(twoColumns('Date', new Date(bill.createdAt).toLocaleString('en-IN'), columns));
+  add(twoColumns('Customer', bill.customer.name, columns));
+  divider();
+
+  for (const item of bill.items) {
+    for (const line of wrap(getItemTitle(item), columns)) add(line);
+    add(twoColumns(`  ${item.quantity} x ${formatAmount(item.unitPrice)}`, formatAmount(item.totalPrice), columns));
+    if (item.discountAmount > 0) add(twoColumns('  Discount', `-${formatAmount(item.discountAmount)}`, columns));
+  }
+  divider();
+
+  add(twoColumns('Subtotal', formatAmount(bill.totalAmount), columns));
+  for (const discount of describeDiscounts(bill)) {
+    add(twoColumns(discount.label, `-${formatAmount(discount.amount)}`, columns));
+  }
+  if (tax.cgstAmount > 0) add(twoColumns('CGST', formatAmount(tax.cgstAmount), columns));
+  if (tax.sgstAmount > 0) add(twoColumns('SGST', formatAmount(tax.sgstAmount), columns));
+  if (tax.igstAmount > 0) add(twoColumns('IGST', formatAmount(tax.igstAmount), columns));
+  add(twoColumns('TOTAL', formatAmount(bill.finalAmount), columns), { bold: true });
+  add(twoColumns('Paid', formatAmount(bill.amountPaid), columns));
+  if (bill.changeDue > 0) add(twoColumns('Change', formatAmount(bill.changeDue), columns));
+  add(twoColumns('Balance Due', formatAmount(Math.max(bill.finalAmount - bill.amountPaid, 0)), columns));
+  divider();
+
+  add(twoColumns('Payment', bill.paymentMethod, columns));
+  add(twoColumns('Status', bill.paymentStatus, columns), { bold: bill.paymentStatus === 'VOID' });
+  add('');
+  add('Thank you! Visit again.', { align: 'center' });
+
+  return lines;
+};
+
+// Plain text layout, padded to the paper width
+const renderReceiptText = (lines, columns) => lines.map(({ text, align }) => {
+  if (align === 'center') {
+    return ' '.repeat(Math.max(Math.floor((columns - text.length) / 2), 0)) + text;
+  }
+  if (align === 'right') {
+    return text.padStart(columns);
+  }
+  return text;
+}).join('\n') + '\n';
+
+// GS ( k sequence that stores and prints a model 2 QR code
+const qrCodeCommand = (data) => {
+  const payload = Buffer.from(toAscii(data), 'ascii');
+  const storeLength = payload.length + 3;
+
+  return Buffer.concat([
+    Buffer.from([GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0x00]), // model 2
+    Buffer.from([GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, 0x06]), // module size
+    Buffer.from([GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31]), // error correction M
+    Buffer.from([GS, 0x28, 0x6b, storeLength % 256, Math.floor(storeLength / 256), 0x31, 0x50, 0x30]),
+    payload,
+    Buffer.from([GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30]) // print
+  ]);
+};
+
+// ESC/POS byte stream for the same layout, with an optional QR code
+const renderReceiptEscPos = (lines, { qrData } = {}) => {
+  const ALIGN = { left: 0, center: 1, right: 2 };
+  const chunks = [Buffer.from([ESC, 0x40])];
+
+  for (const { text, align, bold } of lines) {
+    chunks.push(Buffer.from([ESC, 0x61, ALIGN[align], ESC, 0x45, bold ? 1 : 0]));
+    chunks.push(Buffer.from(toAscii(text), 'ascii'));
+    chunks.push(Buffer.from([LF]));
+  }
+
+  if (qrData) {
+    chunks.push(Buffer.from([ESC, 0x61, ALIGN.center]));
+    chunks.push(qrCodeCommand(qrData));
+    chunks.push(Buffer.from([LF]));
+  }
+
+  // Feed and partial cut
+  chunks.push(Buffer.from([ESC, 0x61, ALIGN.left, ESC, 0x64, 4, GS, 0x56, 0x01]));
+
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  PAPER_COLUMNS,
+  buildReceiptLines,
+  renderReceiptText,
+  renderReceiptEscPos
+};
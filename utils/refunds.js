@@ -0,0 +1,220 @@
+// utils/refunds.js
+const { roundAmount } = require('./tax');
+const { applyPaymentRefund } = require('./payments');
+const { restockItems, getRestockedQuantities } = require('./stock');
+const { lockBill } = require('./locks');
+const { getProvider } = require('./paymentProviders');
+
+// Payments taken online are refunded through the provider that took them
+const isProviderPayment = (payment) => Boolean(payment.provider && payment.reference);
+
+// Disputed and failed payments cannot be refunded from here
+const getRefundablePayments = (payments) => payments
+  .filter((payment) => payment.status === 'SUCCEEDED' && payment.amount > payment.refundedAmount)
+  .sort((a, b) => new Date(b.paidAt) - new Date(a.paidAt));
+
+// Split a refund over the bill's payments, newest payment first
+const allocateRefund = (payments, amount) => {
+  const parts = [];
+  let left = roundAmount(amount);
+
+  for (const payment of getRefundablePayments(payments)) {
+    if (left <= 0) break;
+
+    const part = roundAmount(Math.min(payment.amount - payment.refundedAmount, left));
+    parts.push({ payment, amount: part });
+    left = roundAmount(left - part);
+  }
+
+  return parts;
+};
+
+const refundError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Turn requested restock lines ({ billItemId, quantity }, no quantity meaning
+// every unit still out) into stock lines, against what is already back on the
+// shelf. Run under the bill lock.
+const resolveRestock = async (tx, billId, requested) => {
+  if (requested.length === 0) return [];
+
+  const items = await tx.billItem.findMany({ where: { billId } });
+  const restocked = await getRestockedQuantities(tx, billId, items.map((item) => item.id));
+  const lines = [];
+
+  for (const line of requested) {
+    const billItem = items.find((item) => item.id === line.billItemId);
+
+    if (!billItem) {
+      throw refundError(`Bill item ${line.billItemId} does not belong to this bill`);
+    }
+
+    const restockableQuantity = billItem.quantity - (restocked[billItem.id] || 0);
+    const quantity = line.quantity !== undefined ? parseInt(line.quantity) : restockableQuantity;
+
+    if (quantity > restockableQuantity) {
+      throw refundError(`Only ${restockableQuantity} unit(s) of bill item ${billItem.id} can be restocked`);
+    }
+
+    if (quantity > 0) {
+      restocked[billItem.id] = (restocked[billItem.id] || 0) + quantity;
+      lines.push({
+        billItemId: billItem.id,
+        productId: billItem.productId,
+        variantId: billItem.variantId,
+        quantity
+      });
+    }
+  }
+
+  return lines;
+};
+
+// Refund money on a bill: amount (default everything still refundable), or
+// only from paymentId when given. Limits and restock quantities are checked
+// under the bill lock, counting refunds still in flight. Online payments are
+// refunded through their provider first; if a provider refuses, the online
+// refunds that went through are kept and the rest of the refund is marked
+// failed. Items are restocked only when the whole refund succeeds.
+const issueRefund = async (prisma, bill, { amount, reason, refundedBy, creditNoteId, paymentId, restock = [] }) => {
+  const { parts, refunds, restockLines } = await prisma.$transaction(async (tx) => {
+    await lockBill(tx, bill.id);
+
+    const current = await tx.bill.findUnique({ where: { id: bill.id } });
+    const payments = await tx.payment.findMany({ where: { billId: bill.id } });
+    const pending = await tx.refund.findMany({ where: { billId: bill.id, status: 'PENDING' } });
+
+    const pendingFor = (id) => pending
+      .filter((refund) => id === undefined || refund.paymentId === id)
+      .reduce((sum, refund) => sum + refund.amount, 0);
+
+    const refundableAmount = roundAmount(current.amountPaid - current.refundedAmount - pendingFor());
+    const refundAmount = amount !== undefined ? roundAmount(amount) : refundableAmount;
+
+    if (refundableAmount <= 0) {
+      throw refundError('All money paid on this bill has already been refunded');
+    }
+
+    if (refundAmount > refundableAmount) {
+      throw refundError(`Refund (${refundAmount}) exceeds the refundable amount (${refundableAmount})`);
+    }
+
+    // Money already on its way back is not available again
+    const available = payments
+      .filter((payment) => !paymentId || payment.id === paymentId)
+      .map((payment) => ({ ...payment, refundedAmount: roundAmount(payment.refundedAmount + pendingFor(payment.id)) }));
+    const availableAmount = roundAmount(getRefundablePayments(available)
+      .reduce((sum, payment) => sum + payment.amount - payment.refundedAmount, 0));
+
+    if (refundAmount > availableAmount) {
+      throw refundError(`Only ${availableAmount} can be refunded; disputed payments are settled through the dispute`);
+    }
+
+    if (restock.length > 0 && current.paymentStatus === 'VOID') {
+      throw refundError('Stock was already restored when the bill was voided');
+    }
+
+    const lines = await resolveRestock(tx, bill.id, restock);
+    const allocated = allocateRefund(available, refundAmount);
+
+    // Record the refunds before any money moves; the restock rides on the
+    // first so later returns count it while the refund is in flight
+    const created = [];
+    for (const [index, part] of allocated.entries()) {
+      created.push(await tx.refund.create({
+        data: {
+          billId: bill.id,
+          paymentId: part.payment.id,
+          creditNoteId: creditNoteId || null,
+          amount: part.amount,
+          method: part.payment.method,
+          reason: reason || null,
+          refundedBy: refundedBy || null,
+          restockedItems: index === 0 && lines.length > 0 ? lines : undefined
+        }
+      }));
+    }
+
+    return { parts: allocated, refunds: created, restockLines: lines };
+  });
+
+  const providerRefundIds = {};
+  let failure = null;
+
+  for (const [index, part] of parts.entries()) {
+    if (!isProviderPayment(part.payment)) continue;
+
+    try {
+      const providerRefund = await getProvider(part.payment.provider).refund(part.payment, refunds[index]);
+      providerRefundIds[index] = providerRefund.id;
+    } catch (error) {
+      failure = error;
+      break;
+    }
+  }
+
+  const succeeded = parts
+    .map((part, index) => ({ part, refund: refunds[index], index }))
+    .filter(({ index, part }) => !failure || (isProviderPayment(part.payment) && providerRefundIds[index]));
+
+  await prisma.$transaction(async (tx) => {
+    await lockBill(tx, bill.id);
+
+    for (const { part, refund, index } of succeeded) {
+      await tx.refund.update({
+        where: { id: refund.id },
+        data: {
+          status: 'SUCCEEDED',
+          providerRefundId: providerRefundIds[index] || null,
+          // Nothing goes back on the shelf when part of the refund failed
+          restockedItems: failure && refund.restockedItems ? [] : undefined
+        }
+      });
+
+      // Add onto the payment as it is now, not as it was before the provider call
+      const payment = await tx.payment.findUnique({ where: { id: part.payment.id } });
+      await applyPaymentRefund(tx, payment, roundAmount(payment.refundedAmount + part.amount));
+    }
+
+    if (failure) {
+      const succeededIds = succeeded.map(({ refund }) => refund.id);
+      await tx.refund.updateMany({
+        where: {
+          id: { in: refunds.map((refund) => refund.id).filter((id) => !succeededIds.includes(id)) }
+        },
+        data: {
+          status: 'FAILED',
+          failureReason: failure.message
+        }
+      });
+    } else if (restockLines.length > 0) {
+      await restockItems(tx, restockLines, {
+        referenceType: 'REFUND',
+        referenceId: refunds[0].id,
+        createdBy: refundedBy
+      });
+    }
+  });
+
+  if (failure) {
+    const error = new Error(`Online refund failed: ${failure.message}`);
+    error.status = 502;
+    throw error;
+  }
+
+  return refunds.map((refund, index) => ({
+    ...refund,
+    status: 'SUCCEEDED',
+    providerRefundId: providerRefundIds[index] || null
+  }));
+};
+
+module.exports = {
+  isProviderPayment,
+  getRefundablePayments,
+  allocateRefund,
+  issueRefund
+};
@@ -0,0 +1,73 @@
+// utils/sequence.js
+
+// Default numbering per document type. Each can be overridden through
+// <NAME>_NUMBER_PREFIX, <NAME>_NUMBER_RESET and <NAME>_NUMBER_PADDING.
+const SEQUENCE_DEFAULTS = {
+  BILL: { prefix: 'BILL', resetPeriod: 'DAILY', padding: 4 },
+  CREDIT_NOTE: { prefix: 'CN', resetPeriod: 'DAILY', padding: 4 },
+  QUOTATION: { prefix: 'QT', resetPeriod: 'MONTHLY', padding: 4 }
+};
+
+const RESET_PERIODS = ['DAILY', 'MONTHLY', 'FINANCIAL_YEAR', 'NEVER'];
+
+const getSequenceConfig = (name) => {
+  const defaults = SEQUENCE_DEFAULTS[name];
+  if (!defaults) {
+    throw new Error(`Unknown number sequence: ${name}`);
+  }
+
+  const resetPeriod = (process.env[`${name}_NUMBER_RESET`] || defaults.resetPeriod).toUpperCase();
+  if (!RESET_PERIODS.includes(resetPeriod)) {
+    throw new Error(`Invalid reset period for ${name}: ${resetPeriod}`);
+  }
+
+  return {
+    prefix: process.env[`${name}_NUMBER_PREFIX`] ?? defaults.prefix,
+    resetPeriod,
+    padding: parseInt(process.env[`${name}_NUMBER_PADDING`]) || defaults.padding
+  };
+};
+
+// Period label that is both the counter key and part of the number
+const getPeriodKey = (resetPeriod, date = new Date()) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+
+  switch (resetPeriod) {
+    case 'DAILY':
+      return `${year}${month}${day}`;
+    case 'MONTHLY':
+      return `${year}${month}`;
+    case 'FINANCIAL_YEAR': {
+      // Indian financial year runs April to March
+      const startYear = date.getMonth() >= 3 ? year : year - 1;
+      return `${startYear}${String((startYear + 1) % 100).padStart(2, '0')}`;
+    }
+    default:
+      return '';
+  }
+};
+
+// Allocate the next number atomically. Pass the transaction client so the
+// counter row stays locked until the document using the number is committed.
+const nextSequenceNumber = async (tx, name, date = new Date()) => {
+  const { prefix, resetPeriod, padding } = getSequenceConfig(name);
+  const periodKey = getPeriodKey(resetPeriod, date);
+
+  const [counter] = await tx.$queryRaw`
+    INSERT INTO "document_sequences" ("id", "name", "periodKey", "lastValue", "updatedAt")
+    VALUES (gen_random_uuid()::text, ${name}, ${periodKey}, 1, NOW())
+    ON CONFLICT ("name", "periodKey")
+    DO UPDATE SET "lastValue" = "document_sequences"."lastValue" + 1, "updatedAt" = NOW()
+    RETURNING "lastValue"
+  `;
+
+  return `${prefix}${periodKey}${String(counter.lastValue).padStart(padding, '0')}`;
+};
+
+module.exports = {
+  getSequenceConfig,
+  getPeriodKey,
+  nextSequenceNumber
+};
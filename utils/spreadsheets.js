@@ -0,0 +1,82 @@
+// utils/spreadsheets.js
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify/sync');
+
+const SHEET_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Format of an upload from its content type or file name
+const detectFormat = (contentType = '', fileName = '') => {
+  if (contentType.includes('spreadsheetml') || /\.xlsx$/i.test(fileName)) return 'xlsx';
+  if (contentType.includes('csv') || contentType.startsWith('text/') || /\.csv$/i.test(fileName)) return 'csv';
+  return null;
+};
+
+// Rows of the first sheet as { rowNumber, values } with values keyed by the
+// header row. Blank rows are dropped; rowNumber is the line in the file.
+const readSheet = async (buffer, format) => {
+  if (format === 'csv') {
+    const records = parse(buffer, {
+      columns: (header) => header.map((name) => name.trim()),
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      info: true
+    });
+
+    return records.map(({ record, info }) => ({ rowNumber: info.lines, values: record }));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = cell.text.trim();
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    headers.forEach((header, column) => {
+      if (header) values[header] = row.getCell(column).text.trim();
+    });
+
+    if (Object.values(values).some(Boolean)) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  return rows;
+};
+
+// File contents for rows of plain values under the given column names
+const writeSheet = async (columns, rows, format) => {
+  if (format === 'csv') {
+    return Buffer.from(stringify(rows, { header: true, columns }));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Sheet1');
+  sheet.columns = columns.map((column) => ({ header: column, key: column }));
+  sheet.addRows(rows);
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = {
+  SHEET_FORMATS,
+  CONTENT_TYPES,
+  detectFormat,
+  readSheet,
+  writeSheet
+};
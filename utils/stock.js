@@ -0,0 +1,167 @@
+// utils/stock.js
+const { formatVariantOptions } = require('./variants');
+
+// Why a product's stock changed
+const STOCK_MOVEMENT_REASONS = ['SALE', 'RETURN', 'ADJUSTMENT', 'PURCHASE', 'TRANSFER'];
+
+// Add delta to a product's or variant's stock unless it would go below zero
+const applyDelta = async (model, id, delta) => {
+  const where = delta < 0 ? { id, stock: { gte: -delta } } : { id };
+  const updated = await model.updateMany({
+    where,
+    data: { stock: { increment: delta } }
+  });
+  return updated.count > 0;
+};
+
+// Stock at or below the product's reorder level reads as low
+const getAvailability = (stock, reorderLevel) => {
+  if (stock <= 0) return 'Out of Stock';
+  if (reorderLevel !== null && reorderLevel !== undefined && stock <= reorderLevel) return 'Low Stock';
+  return 'In Stock';
+};
+
+// Move one product's stock by delta, refresh availability and write the
+// movement with the resulting balance. movement is { reason, variantId,
+// referenceType, referenceId, note, createdBy }. With a variantId the
+// variant's stock moves and the product's stock (the total of its variants)
+// moves with it. Stock cannot go below zero.
+// Returns { product, variant, movement }.
+const moveStock = async (tx, productId, delta, movement) => {
+  const variantId = movement.variantId || null;
+  const moved = variantId
+    ? await applyDelta(tx.productVariant, variantId, delta)
+    : await applyDelta(tx.product, productId, delta);
+
+  if (!moved) {
+    const product = await tx.product.findUnique({ where: { id: productId } });
+    const variant = variantId ? await tx.productVariant.findUnique({ where: { id: variantId } }) : null;
+
+    let error;
+    if (!product || (variantId && !variant)) {
+      error = new Error(`Product with ID ${variantId || productId} not found`);
+    } else {
+      const label = variant ? `${product.title} (${formatVariantOptions(variant.options, product.optionAxes)})` : product.title;
+      error = new Error(`Insufficient stock for product ${label}. Available: ${(variant || product).stock}, Requested: ${-delta}`);
+    }
+    error.status = 400;
+    throw error;
+  }
+
+  if (variantId) {
+    await tx.product.update({
+      where: { id: productId },
+      data: { stock: { increment: delta } }
+    });
+  }
+
+  const movedProduct = await tx.product.findUnique({ where: { id: productId } });
+  const product = await tx.product.update({
+    where: { id: productId },
+    data: { availabilityStatus: getAvailability(movedProduct.stock, movedProduct.reorderLevel) }
+  });
+
+  let variant = null;
+  if (variantId) {
+    const movedVariant = await tx.productVariant.findUnique({ where: { id: variantId } });
+    variant = await tx.productVariant.update({
+      where: { id: variantId },
+      data: { availabilityStatus: getAvailability(movedVariant.stock, product.reorderLevel) }
+    });
+  }
+
+  const stockMovement = await tx.stockMovement.create({
+    data: {
+      productId,
+      variantId,
+      delta,
+      reason: movement.reason,
+      referenceType: movement.referenceType || null,
+      referenceId: movement.referenceId || null,
+      note: movement.note || null,
+      createdBy: movement.createdBy || null,
+      balance: (variant || product).stock
+    }
+  });
+
+  return { product, variant, movement: stockMovement };
+};
+
+// Recompute availability of a product and its variants, e.g. after its
+// reorder level changed
+const refreshAvailability = async (tx, productId) => {
+  const product = await tx.product.findUnique({
+    where: { id: productId },
+    include: { variants: true }
+  });
+
+  for (const variant of product.variants) {
+    await tx.productVariant.update({
+      where: { id: variant.id },
+      data: { availabilityStatus: getAvailability(variant.stock, product.reorderLevel) }
+    });
+  }
+
+  return tx.product.update({
+    where: { id: productId },
+    data: { availabilityStatus: getAvailability(product.stock, product.reorderLevel) }
+  });
+};
+
+// Return quantities to product stock (a return unless movement says otherwise)
+const restockItems = async (tx, items, movement = {}) => {
+  for (const item of items) {
+    await moveStock(tx, item.productId, item.quantity, { reason: 'RETURN', ...movement, variantId: item.variantId });
+  }
+};
+
+// Units of each of a bill's lines already back on the shelf, through credit
+// notes or refunds that restocked (or are about to restock) items, keyed by
+// bill item id
+const getRestockedQuantities = async (tx, billId, billItemIds) => {
+  const [returnedLines, refunds] = await Promise.all([
+    tx.creditNoteItem.findMany({ where: { billItemId: { in: billItemIds } } }),
+    tx.refund.findMany({ where: { billId, status: { in: ['PENDING', 'SUCCEEDED'] } } })
+  ]);
+
+  const restocked = {};
+  const add = (line) => {
+    restocked[line.billItemId] = (restocked[line.billItemId] || 0) + line.quantity;
+  };
+
+  returnedLines.forEach(add);
+  refunds.forEach((refund) => (refund.restockedItems || []).forEach(add));
+
+  return restocked;
+};
+
+// Take sold quantities out of stock
+const takeStock = async (tx, items, movement = {}) => {
+  for (const item of items) {
+    await moveStock(tx, item.productId, -item.quantity, { reason: 'SALE', ...movement, variantId: item.variantId });
+  }
+};
+
+// Apply per-product quantity changes: positive takes from stock, negative returns it
+const adjustStock = async (tx, changes, movement = {}) => {
+  for (const { productId, variantId, quantity } of changes) {
+    if (quantity === 0) continue;
+
+    if (quantity < 0) {
+      await restockItems(tx, [{ productId, variantId, quantity: -quantity }], movement);
+    } else {
+      await takeStock(tx, [{ productId, variantId, quantity }], movement);
+    }
+  }
+};
+
+module.exports = {
+  STOCK_MOVEMENT_REASONS,
+  getAvailability,
+  moveStock,
+  refreshAvailability,
+  restockItems,
+  getRestockedQuantities,
+  takeStock,
+  adjustStock
+};
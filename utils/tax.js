@@ -0,0 +1,82 @@
+// utils/tax.js
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Supplies to another state attract IGST; everything else is split CGST/SGST
+const isInterState = (placeOfSupply) => {
+  const sellerState = process.env.SELLER_STATE_CODE;
+  if (!placeOfSupply || !sellerState) return false;
+  return placeOfSupply.trim().toUpperCase() !== sellerState.trim().toUpperCase();
+};
+
+// Calculate GST on a single line's taxable amount
+const calculateLineTax = (taxableAmount, taxRate, interState) => {
+  const rate = taxRate || 0;
+  const taxAmount = roundAmount((taxableAmount * rate) / 100);
+
+  if (interState) {
+    return {
+      taxRate: rate,
+      cgstAmount: 0,
+      sgstAmount: 0,
+      igstAmount: taxAmount,
+      taxAmount
+    };
+  }
+
+  const cgstAmount = roundAmount(taxAmount / 2);
+  return {
+    taxRate: rate,
+    cgstAmount,
+    sgstAmount: roundAmount(taxAmount - cgstAmount),
+    igstAmount: 0,
+    taxAmount
+  };
+};
+
+// Summarise bill item taxes per rate for display on the bill
+const buildTaxBreakdown = (items = []) => {
+  const byRate = {};
+
+  for (const item of items) {
+    const key = String(item.taxRate || 0);
+    if (!byRate[key]) {
+      byRate[key] = {
+        taxRate: item.taxRate || 0,
+        taxableAmount: 0,
+        cgstAmount: 0,
+        sgstAmount: 0,
+        igstAmount: 0
+      };
+    }
+
+    byRate[key].taxableAmount += item.taxableAmount || 0;
+    byRate[key].cgstAmount += item.cgstAmount || 0;
+    byRate[key].sgstAmount += item.sgstAmount || 0;
+    byRate[key].igstAmount += item.igstAmount || 0;
+  }
+
+  const rates = Object.values(byRate).map((entry) => ({
+    taxRate: entry.taxRate,
+    taxableAmount: roundAmount(entry.taxableAmount),
+    cgstAmount: roundAmount(entry.cgstAmount),
+    sgstAmount: roundAmount(entry.sgstAmount),
+    igstAmount: roundAmount(entry.igstAmount),
+    taxAmount: roundAmount(entry.cgstAmount + entry.sgstAmount + entry.igstAmount)
+  }));
+
+  return {
+    rates,
+    cgstAmount: roundAmount(rates.reduce((sum, rate) => sum + rate.cgstAmount, 0)),
+    sgstAmount: roundAmount(rates.reduce((sum, rate) => sum + rate.sgstAmount, 0)),
+    igstAmount: roundAmount(rates.reduce((sum, rate) => sum + rate.igstAmount, 0)),
+    taxAmount: roundAmount(rates.reduce((sum, rate) => sum + rate.taxAmount, 0))
+  };
+};
+
+module.exports = {
+  roundAmount,
+  isInterState,
+  calculateLineTax,
+  buildTaxBreakdown
+};
@@ -0,0 +1,54 @@
+// utils/upi.js
+const QRCode = require('qrcode');
+
+// UPI transaction reference (UTR/RRN) as shown in the customer's UPI app
+const UPI_REFERENCE_PATTERN = /^\d{12}$/;
+
+// Merchant VPA and payee name, from UPI_VPA and UPI_PAYEE_NAME
+const getUpiPayee = () => {
+  const vpa = process.env.UPI_VPA;
+
+  if (!vpa) {
+    throw new Error('UPI payments are not configured, set UPI_VPA');
+  }
+
+  return {
+    vpa,
+    name: process.env.UPI_PAYEE_NAME || process.env.SELLER_NAME || 'BillG'
+  };
+};
+
+// upi://pay intent collecting amount against a bill; any UPI app can scan it
+const buildUpiIntent = (bill, amount) => {
+  const payee = getUpiPayee();
+  const reference = bill.billNumber || bill.id;
+
+  const params = [
+    ['pa', payee.vpa],
+    ['pn', payee.name],
+    ['am', amount.toFixed(2)],
+    ['cu', 'INR'],
+    ['tr', reference],
+    ['tn', `Bill ${reference}`]
+  ];
+
+  // UPI apps expect the @ in the VPA unescaped
+  return `upi://pay?${params.map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`).join('&')}`;
+};
+
+// QR code for a UPI intent as a PNG buffer or an SVG string
+const renderUpiQr = (intent, format = 'png') => {
+  const options = { errorCorrectionLevel: 'M', margin: 2, width: 320 };
+
+  if (format === 'svg') {
+    return QRCode.toString(intent, { ...options, type: 'svg' });
+  }
+
+  return QRCode.toBuffer(intent, { ...options, type: 'png' });
+};
+
+module.exports = {
+  UPI_REFERENCE_PATTERN,
+  buildUpiIntent,
+  renderUpiQr
+};
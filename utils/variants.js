@@ -0,0 +1,57 @@
+// utils/variants.js
+
+// Variant options in the product's axis order, e.g. "32 / Blue"
+const formatVariantOptions = (options, optionAxes = []) => {
+  const values = options || {};
+  const axes = optionAxes.length > 0 ? optionAxes : Object.keys(values);
+  return axes.map((axis) => values[axis]).filter(Boolean).join(' / ');
+};
+
+// Title of a bill or quotation line (loaded with product and variant)
+const getItemTitle = (item) => {
+  if (!item.product) return item.productId;
+  if (!item.variant) return item.product.title;
+  return `${item.product.title} (${formatVariantOptions(item.variant.options, item.product.optionAxes)})`;
+};
+
+// Check a variant's options against the product's axes. Returns
+// { options } with trimmed string values, or { error }.
+const normalizeVariantOptions = (product, options) => {
+  const axes = product.optionAxes || [];
+
+  if (axes.length === 0) {
+    return { error: `Set optionAxes on ${product.title} before adding variants` };
+  }
+
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return { error: `Options must be an object with a value for ${axes.join(', ')}` };
+  }
+
+  const extra = Object.keys(options).filter((key) => !axes.includes(key));
+  if (extra.length > 0) {
+    return { error: `Unknown option(s): ${extra.join(', ')}` };
+  }
+
+  const normalized = {};
+  for (const axis of axes) {
+    const value = options[axis] === undefined || options[axis] === null ? '' : String(options[axis]).trim();
+    if (!value) {
+      return { error: `A value for ${axis} is required` };
+    }
+    normalized[axis] = value;
+  }
+
+  return { options: normalized };
+};
+
+// Whether two variants have the same value on every axis
+const isSameOptions = (a, b, optionAxes) => optionAxes.every((axis) => (
+  String((a || {})[axis]).toLowerCase() === String((b || {})[axis]).toLowerCase()
+));
+
+module.exports = {
+  formatVariantOptions,
+  getItemTitle,
+  normalizeVariantOptions,
+  isSameOptions
+};